@@ -0,0 +1,83 @@
+const { diffDashboards } = require('./dashboard-diff');
+
+const EVENT_TYPES = ['rows.added', 'rows.removed', 'rows.modified', 'total.changed', 'login.failed'];
+
+function extractionKey(dashboard) {
+  return `${dashboard.store || ''}\n${dashboard.user || ''}\n${dashboard.periode || ''}`;
+}
+
+// Ubah diff dua extract berurutan menjadi event webhook.
+function buildDashboardEvents(diff, { store, user, periode }) {
+  const base = store === undefined ? { user, periode } : { store, user, periode };
+  const events = [];
+  if (diff.added.length > 0) {
+    events.push({ type: 'rows.added', data: { ...base, count: diff.added.length, rows: diff.added } });
+  }
+  if (diff.removed.length > 0) {
+    events.push({ type: 'rows.removed', data: { ...base, count: diff.removed.length, rows: diff.removed } });
+  }
+  if (diff.modified.length > 0) {
+    events.push({ type: 'rows.modified', data: { ...base, count: diff.modified.length, rows: diff.modified } });
+  }
+  if (diff.totalTransaksi.before !== diff.totalTransaksi.after) {
+    events.push({ type: 'total.changed', data: { ...base, ...diff.totalTransaksi } });
+  }
+  return events;
+}
+
+// Simpan extract terakhir per toko + user + periode; extract pertama hanya jadi baseline.
+function createChangeTracker({ maxKeys = 1000 } = {}) {
+  const latest = new Map();
+
+  function track(dashboard) {
+    const key = extractionKey(dashboard);
+    const previous = latest.get(key);
+    latest.delete(key);
+    latest.set(key, { headers: dashboard.headers, data: dashboard.data, totalTransaksi: dashboard.totalTransaksi });
+    while (latest.size > maxKeys) latest.delete(latest.keys().next().value);
+
+    if (!previous) return [];
+    return buildDashboardEvents(diffDashboards(previous, dashboard), dashboard);
+  }
+
+  return {
+    track,
+    size: () => latest.size,
+  };
+}
+
+// Hitung login gagal per akun; true tepat saat jumlah mencapai threshold dalam satu window.
+function createLoginFailureTracker({ threshold = 3, windowMs = 15 * 60 * 1000, now = Date.now } = {}) {
+  const records = new Map();
+
+  function record(key) {
+    const current = now();
+    let entry = records.get(key);
+    if (!entry || current >= entry.resetAt) {
+      entry = { count: 0, resetAt: current + windowMs };
+      records.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, reached: entry.count === threshold };
+  }
+
+  function purgeExpired() {
+    const current = now();
+    for (const [key, entry] of records) {
+      if (current >= entry.resetAt) records.delete(key);
+    }
+  }
+
+  return {
+    record,
+    purgeExpired,
+    size: () => records.size,
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  buildDashboardEvents,
+  createChangeTracker,
+  createLoginFailureTracker,
+};
@@ -0,0 +1,115 @@
+const { CoreError } = require('./errors');
+
+// classify(error) -> 'failure' (dihitung), 'success' (upstream menjawab, mis. password salah), 'ignore' (masalah lokal).
+function createCircuitBreaker({
+  name = 'upstream',
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  classify = () => 'failure',
+  now = Date.now,
+  onStateChange = () => {},
+} = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = 0;
+  let probeInFlight = false;
+  let opens = 0;
+  let lastFailure = null;
+
+  function transition(next) {
+    if (state === next) return;
+    const previous = state;
+    state = next;
+    onStateChange({ name, from: previous, to: next });
+  }
+
+  // Open -> half_open dihitung saat dibaca, tanpa timer.
+  function currentState() {
+    if (state === 'open' && now() - openedAt >= resetTimeoutMs) transition('half_open');
+    return state;
+  }
+
+  function open() {
+    openedAt = now();
+    opens += 1;
+    transition('open');
+  }
+
+  function rejectFast() {
+    const retryAfterMs = state === 'open' ? Math.max(0, openedAt + resetTimeoutMs - now()) : resetTimeoutMs;
+    const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    const error = new CoreError(
+      'UPSTREAM_UNAVAILABLE',
+      `Apps Script sedang tidak bisa dihubungi. Coba lagi dalam ${seconds} detik.`
+    );
+    error.retryAfterMs = retryAfterMs || 1000;
+    throw error;
+  }
+
+  function recordSuccess() {
+    consecutiveFailures = 0;
+    transition('closed');
+  }
+
+  function recordFailure(error) {
+    consecutiveFailures += 1;
+    lastFailure = {
+      code: error && typeof error === 'object' && 'code' in error ? error.code : '',
+      message: error instanceof Error ? error.message : String(error),
+      at: new Date(now()).toISOString(),
+    };
+    if (state === 'half_open' || consecutiveFailures >= failureThreshold) open();
+  }
+
+  async function run(task) {
+    if (failureThreshold <= 0) return task();
+
+    const current = currentState();
+    if (current === 'open') rejectFast();
+    const isProbe = current === 'half_open';
+    if (isProbe) {
+      // Hanya satu request percobaan saat half-open; sisanya tetap ditolak cepat.
+      if (probeInFlight) rejectFast();
+      probeInFlight = true;
+    }
+
+    try {
+      const result = await task();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      const outcome = classify(error);
+      if (outcome === 'failure') recordFailure(error);
+      else if (outcome === 'success') recordSuccess();
+      throw error;
+    } finally {
+      if (isProbe) probeInFlight = false;
+    }
+  }
+
+  function stats() {
+    const current = currentState();
+    return {
+      name,
+      state: current,
+      enabled: failureThreshold > 0,
+      consecutiveFailures,
+      failureThreshold,
+      resetTimeoutMs,
+      opens,
+      openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      nextProbeAt: current === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null,
+      lastFailure,
+    };
+  }
+
+  return {
+    run,
+    state: currentState,
+    stats,
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+};
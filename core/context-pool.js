@@ -0,0 +1,78 @@
+const { CoreError } = require('./errors');
+
+// Batasi jumlah browser context paralel; sisanya antre dengan batas panjang dan timeout.
+function createContextPool({ maxContexts = 2, maxQueue = 20, queueTimeoutMs = 30000 } = {}) {
+  const settings = { maxContexts, maxQueue, queueTimeoutMs };
+  const queue = [];
+  let active = 0;
+
+  function createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      active -= 1;
+      drain();
+    };
+  }
+
+  function drain() {
+    while (active < settings.maxContexts && queue.length > 0) {
+      const waiter = queue.shift();
+      clearTimeout(waiter.timer);
+      active += 1;
+      waiter.resolve(createRelease());
+    }
+  }
+
+  function acquire() {
+    if (active < settings.maxContexts && queue.length === 0) {
+      active += 1;
+      return Promise.resolve(createRelease());
+    }
+    if (queue.length >= settings.maxQueue) {
+      return Promise.reject(
+        new CoreError('BUSY', `Server sedang sibuk (${queue.length} request dalam antrian). Coba lagi nanti.`)
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        const index = queue.indexOf(waiter);
+        if (index >= 0) queue.splice(index, 1);
+        reject(new CoreError('BUSY', `Timeout ${settings.queueTimeoutMs}ms menunggu antrian browser context.`));
+      }, settings.queueTimeoutMs);
+      queue.push(waiter);
+    });
+  }
+
+  function configure(patch) {
+    for (const key of Object.keys(settings)) {
+      const value = Number(patch[key]);
+      if (patch[key] !== undefined && Number.isFinite(value) && value >= 0) settings[key] = value;
+    }
+    settings.maxContexts = Math.max(1, settings.maxContexts);
+    drain();
+  }
+
+  function stats() {
+    return {
+      active,
+      queued: queue.length,
+      maxContexts: settings.maxContexts,
+      maxQueue: settings.maxQueue,
+      queueTimeoutMs: settings.queueTimeoutMs,
+    };
+  }
+
+  return {
+    acquire,
+    configure,
+    stats,
+  };
+}
+
+module.exports = {
+  createContextPool,
+};
@@ -0,0 +1,94 @@
+const FIELD_SPECS = [
+  { name: 'menit', min: 0, max: 59 },
+  { name: 'jam', min: 0, max: 23 },
+  { name: 'tanggal', min: 1, max: 31 },
+  { name: 'bulan', min: 1, max: 12 },
+  { name: 'hari', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+// Batas pencarian jadwal berikutnya: 4 tahun cukup untuk ekspresi seperti "0 0 29 2 *".
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+function parseField(text, spec) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Field ${spec.name} cron tidak valid: "${part}".`);
+    }
+    const step = match[3] ? Number(match[3]) : 1;
+    let start;
+    let end;
+    if (match[1] === '*') {
+      if (match[2]) throw new Error(`Field ${spec.name} cron tidak valid: "${part}".`);
+      start = spec.min;
+      end = spec.max;
+    } else {
+      start = Number(match[1]);
+      end = match[2] ? Number(match[2]) : match[3] ? spec.max : start;
+    }
+    if (step < 1 || start < spec.min || end > spec.max || start > end) {
+      throw new Error(`Field ${spec.name} cron di luar batas ${spec.min}-${spec.max}: "${part}".`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return values;
+}
+
+// Cron 5 field (menit jam tanggal bulan hari) memakai zona waktu proses (env TZ).
+function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const normalized = SHORTCUTS[source.toLowerCase()] || source;
+  const fields = normalized.split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Ekspresi cron "${source}" harus 5 field: menit jam tanggal bulan hari.`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseField(field, FIELD_SPECS[index])
+  );
+  if (weekdays.has(7)) weekdays.add(0);
+  const dayRestricted = fields[2] !== '*';
+  const weekdayRestricted = fields[4] !== '*';
+
+  function matches(date) {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours())) return false;
+    if (!months.has(date.getMonth() + 1)) return false;
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    // Aturan cron klasik: jika tanggal dan hari sama-sama dibatasi, cukup salah satu yang cocok.
+    if (dayRestricted && weekdayRestricted) return dayMatch || weekdayMatch;
+    if (dayRestricted) return dayMatch;
+    if (weekdayRestricted) return weekdayMatch;
+    return true;
+  }
+
+  function next(fromMs) {
+    const date = new Date(fromMs);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i += 1) {
+      if (matches(date)) return date.getTime();
+      date.setMinutes(date.getMinutes() + 1);
+    }
+    return null;
+  }
+
+  return {
+    expression: source,
+    matches,
+    next,
+  };
+}
+
+module.exports = {
+  parseCron,
+};
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function createDashboardCache({ ttlMs, staleMs = 0, maxEntries = 500, now = Date.now } = {}) {
+  const entries = new Map();
+  const enabled = Number(ttlMs) > 0;
+
+  function evictOverflow() {
+    while (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      entries.delete(oldestKey);
+    }
+  }
+
+  function purgeExpired() {
+    const current = now();
+    for (const [key, entry] of entries) {
+      if (current - entry.storedAt >= ttlMs + staleMs) entries.delete(key);
+    }
+  }
+
+  // state: 'fresh' (< ttl), 'stale' (masih boleh dipakai sambil revalidate), atau 'miss'.
+  function lookup(token) {
+    if (!enabled) return { state: 'miss', entry: null };
+    const key = hashKey(token);
+    const entry = entries.get(key);
+    if (!entry) return { state: 'miss', entry: null };
+
+    const ageMs = now() - entry.storedAt;
+    if (ageMs < ttlMs) return { state: 'fresh', entry };
+    if (ageMs < ttlMs + staleMs) return { state: 'stale', entry };
+
+    entries.delete(key);
+    return { state: 'miss', entry: null };
+  }
+
+  function store(token, value) {
+    if (!enabled) return null;
+    const key = hashKey(token);
+    const entry = { value, storedAt: now(), revalidating: null };
+    entries.delete(key);
+    entries.set(key, entry);
+    evictOverflow();
+    return entry;
+  }
+
+  function remove(token) {
+    entries.delete(hashKey(token));
+  }
+
+  // Satu revalidate per token; request lain yang melihat entry stale tidak memicu scrape baru.
+  function revalidate(token, entry, fetcher) {
+    if (entry.revalidating) return entry.revalidating;
+    entry.revalidating = Promise.resolve()
+      .then(fetcher)
+      .then((value) => store(token, value))
+      .finally(() => {
+        entry.revalidating = null;
+      });
+    return entry.revalidating;
+  }
+
+  function ageSeconds(entry) {
+    return Math.max(0, Math.floor((now() - entry.storedAt) / 1000));
+  }
+
+  function freshSecondsLeft(entry) {
+    return Math.max(0, Math.floor((entry.storedAt + ttlMs - now()) / 1000));
+  }
+
+  return {
+    enabled,
+    ttlMs,
+    staleMs,
+    lookup,
+    store,
+    remove,
+    revalidate,
+    purgeExpired,
+    ageSeconds,
+    freshSecondsLeft,
+    size: () => entries.size,
+  };
+}
+
+module.exports = {
+  createDashboardCache,
+};
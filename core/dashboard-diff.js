@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { CoreError } = require('./errors');
+const { getCell } = require('./dashboard-query');
+
+const KEY_HEADER_PATTERN = /^(no\.?|nomor|id|kode|kode transaksi|no transaksi|invoice)$/i;
+
+function rowFingerprint(row) {
+  return crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex');
+}
+
+// Kolom identitas baris: dari opsi, atau header seperti "No"/"ID"; '' berarti baris dibandingkan utuh.
+function detectKeyField(headers, keyField) {
+  if (keyField) {
+    if (!headers.includes(keyField)) {
+      throw new CoreError('INVALID_QUERY', `Kolom key "${keyField}" tidak ada. Pilihan: ${headers.join(', ')}.`);
+    }
+    return keyField;
+  }
+  return headers.find((header) => KEY_HEADER_PATTERN.test(header.trim())) || '';
+}
+
+function groupRows(rows, headers, keyField) {
+  const groups = new Map();
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const key = keyField ? String(getCell(row, keyField, headers) ?? '').trim() : rowFingerprint(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+function changedFields(before, after, headers) {
+  const fields =
+    Array.isArray(before) || Array.isArray(after)
+      ? headers
+      : Array.from(new Set([...headers, ...Object.keys(before || {}), ...Object.keys(after || {})]));
+  const changes = [];
+  for (const field of fields) {
+    const oldValue = getCell(before, field, headers);
+    const newValue = getCell(after, field, headers);
+    if (oldValue !== newValue) changes.push({ field, before: oldValue ?? null, after: newValue ?? null });
+  }
+  return changes;
+}
+
+function toNumberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+// Bandingkan dua hasil extract dashboard ({ headers, data, totalTransaksi }).
+function diffDashboards(previous, current, { keyField = '' } = {}) {
+  const headers =
+    Array.isArray(current.headers) && current.headers.length > 0 ? current.headers : previous.headers || [];
+  const resolvedKey = detectKeyField(headers, keyField);
+  const before = groupRows(previous.data, headers, resolvedKey);
+  const after = groupRows(current.data, headers, resolvedKey);
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+  for (const [key, rows] of after) {
+    const oldRows = before.get(key) || [];
+    rows.forEach((row, index) => {
+      const oldRow = oldRows[index];
+      if (oldRow === undefined) {
+        added.push(row);
+        return;
+      }
+      const changes = changedFields(oldRow, row, headers);
+      if (changes.length > 0) modified.push({ key: resolvedKey ? key : null, before: oldRow, after: row, changes });
+    });
+  }
+  for (const [key, oldRows] of before) {
+    const rows = after.get(key) || [];
+    oldRows.slice(rows.length).forEach((row) => removed.push(row));
+  }
+
+  const totalBefore = toNumberOrNull(previous.totalTransaksi);
+  const totalAfter = toNumberOrNull(current.totalTransaksi);
+  return {
+    keyField: resolvedKey || null,
+    added,
+    removed,
+    modified,
+    totalTransaksi: {
+      before: totalBefore,
+      after: totalAfter,
+      delta: totalBefore !== null && totalAfter !== null ? totalAfter - totalBefore : null,
+    },
+    hasChanges:
+      added.length > 0 || removed.length > 0 || modified.length > 0 || totalBefore !== totalAfter,
+  };
+}
+
+module.exports = {
+  detectKeyField,
+  diffDashboards,
+};
@@ -0,0 +1,138 @@
+const { CoreError } = require('./errors');
+const { getCell } = require('./dashboard-query');
+const { parseLocaleNumber } = require('./dashboard-types');
+const { buildXlsx } = require('./xlsx-writer');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'text/csv': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+};
+
+const CSV_DELIMITERS = { ',': ',', ';': ';', tab: '\t', '\t': '\t' };
+
+// Isi sel berasal dari sheet yang bisa diketik staf; teks CSV berawalan karakter ini dibaca Excel/Sheets sebagai formula.
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+// ?format= menang atas header Accept; `accepts` adalah req.accepts milik Express.
+function resolveExportFormat(formatParam, accepts) {
+  const requested = typeof formatParam === 'string' ? formatParam.trim().toLowerCase() : '';
+  if (requested) {
+    if (!EXPORT_FORMATS[requested]) {
+      throw new CoreError(
+        'INVALID_QUERY',
+        `Format "${requested}" tidak didukung. Pilihan: ${Object.keys(EXPORT_FORMATS).join(', ')}.`
+      );
+    }
+    return requested;
+  }
+  const matched = accepts(Object.keys(ACCEPT_TYPES));
+  return matched ? ACCEPT_TYPES[matched] : 'json';
+}
+
+function parseCsvDelimiter(raw) {
+  if (raw === undefined || raw === null || raw === '') return ',';
+  const delimiter = CSV_DELIMITERS[String(raw).toLowerCase()];
+  if (!delimiter) {
+    throw new CoreError('INVALID_QUERY', 'Parameter delimiter harus ",", ";", atau "tab".');
+  }
+  return delimiter;
+}
+
+function buildExportFilename(periode, extension) {
+  const slug = String(periode || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `dashboard-${slug || 'tanpa-periode'}.${extension}`;
+}
+
+function buildMetadataPairs(meta) {
+  return [
+    ['User', meta.user || ''],
+    ['Periode', meta.periode || ''],
+    ['Total Transaksi', meta.totalTransaksi ?? ''],
+  ];
+}
+
+function rowCells(row, headers) {
+  if (Array.isArray(row)) return row;
+  return headers.map((header) => getCell(row, header, headers));
+}
+
+// Teks CSV diberi awalan ' supaya tidak dieksekusi sebagai formula. Nilai yang terbaca sebagai angka
+// ("-Rp 5.000", "-2,5") dibiarkan agar nominal negatif tidak rusak.
+function neutralizeFormula(value) {
+  if (typeof value !== 'string' || !FORMULA_PREFIX_PATTERN.test(value)) return value;
+  if (parseLocaleNumber(value) !== null) return value;
+  return `'${value}`;
+}
+
+function escapeCsvValue(value, delimiter) {
+  if (value === null || value === undefined) return '';
+  const text = String(neutralizeFormula(value));
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Bagian metadata di atas, satu baris kosong, lalu tabel dengan urutan headers asli. BOM agar Excel membaca UTF-8.
+function buildCsv({ headers, rows, meta, delimiter = ',', includeMeta = true }) {
+  const lines = [];
+  const toLine = (cells) => cells.map((cell) => escapeCsvValue(cell, delimiter)).join(delimiter);
+  if (includeMeta) {
+    for (const pair of buildMetadataPairs(meta)) lines.push(toLine(pair));
+    lines.push('');
+  }
+  lines.push(toLine(headers));
+  for (const row of rows) lines.push(toLine(rowCells(row, headers)));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+// Baris pertama berisi metadata ({"meta": {...}}), baris berikutnya satu objek per baris data.
+function buildNdjson({ headers, rows, meta, includeMeta = true }) {
+  const lines = [];
+  if (includeMeta) {
+    lines.push(
+      JSON.stringify({
+        meta: { user: meta.user, periode: meta.periode, totalTransaksi: meta.totalTransaksi, headers },
+      })
+    );
+  }
+  for (const row of rows) lines.push(JSON.stringify(row));
+  return `${lines.join('\n')}\n`;
+}
+
+// Teks ditulis sebagai inlineStr sehingga tidak pernah dievaluasi sebagai formula; tidak perlu awalan '.
+function buildDashboardXlsx({ headers, rows, meta }) {
+  return buildXlsx([
+    { name: 'Data', rows: [headers, ...rows.map((row) => rowCells(row, headers))] },
+    { name: 'Info', rows: buildMetadataPairs(meta) },
+  ]);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  parseCsvDelimiter,
+  buildExportFilename,
+  neutralizeFormula,
+  buildCsv,
+  buildNdjson,
+  buildDashboardXlsx,
+};
@@ -0,0 +1,205 @@
+const { CoreError } = require('./errors');
+const { parseLocaleNumber, parseLocaleDate, detectColumnTypes } = require('./dashboard-types');
+
+const MAX_LIMIT = 1000;
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  return items
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function firstValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? String(value[0]) : '';
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function parseNonNegativeInt(raw, name) {
+  if (!/^\d+$/.test(raw)) {
+    throw new CoreError('INVALID_QUERY', `Parameter ${name} harus bilangan bulat >= 0.`);
+  }
+  return Number(raw);
+}
+
+function encodeCursor(offset, limit) {
+  return Buffer.from(JSON.stringify({ o: offset, l: limit }), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(parsed.o) && parsed.o >= 0 && Number.isInteger(parsed.l) && parsed.l > 0) {
+      return { offset: parsed.o, limit: parsed.l };
+    }
+  } catch {
+    // Ditangani di bawah.
+  }
+  throw new CoreError('INVALID_QUERY', 'Parameter cursor tidak valid.');
+}
+
+function getCell(row, header, headers) {
+  if (Array.isArray(row)) {
+    const index = headers.indexOf(header);
+    return index >= 0 ? row[index] : undefined;
+  }
+  return row ? row[header] : undefined;
+}
+
+function parseSort(raw) {
+  if (!raw) return null;
+  let field = raw;
+  let direction = 'asc';
+  if (field.startsWith('-')) {
+    field = field.slice(1);
+    direction = 'desc';
+  }
+  const match = field.match(/^(.*):(asc|desc)$/i);
+  if (match) {
+    field = match[1];
+    direction = match[2].toLowerCase();
+  }
+  return { field, direction };
+}
+
+function parseDateBound(raw, name) {
+  if (!raw) return '';
+  const iso = parseLocaleDate(raw);
+  if (!iso) {
+    throw new CoreError('INVALID_QUERY', `Parameter ${name} bukan tanggal yang valid.`);
+  }
+  return iso.slice(0, 10);
+}
+
+// Validasi parameter yang tidak bergantung pada isi dashboard; dipanggil sebelum scrape supaya
+// query rusak tidak menghabiskan satu sesi Playwright.
+function parseDashboardQueryParams(query) {
+  const options = {
+    kasir: toList(query.kasir).map((name) => name.toLowerCase()),
+    q: firstValue(query.q).trim().toLowerCase(),
+    from: parseDateBound(firstValue(query.from).trim(), 'from'),
+    to: parseDateBound(firstValue(query.to).trim(), 'to'),
+    dateField: firstValue(query.dateField).trim(),
+    sort: parseSort(firstValue(query.sort).trim()),
+    limit: null,
+    offset: 0,
+  };
+
+  const cursor = firstValue(query.cursor).trim();
+  const limitRaw = firstValue(query.limit).trim();
+  const offsetRaw = firstValue(query.offset).trim();
+  if (cursor) {
+    const decoded = decodeCursor(cursor);
+    options.offset = decoded.offset;
+    options.limit = decoded.limit;
+  }
+  if (limitRaw) {
+    const limit = parseNonNegativeInt(limitRaw, 'limit');
+    if (limit < 1 || limit > MAX_LIMIT) {
+      throw new CoreError('INVALID_QUERY', `Parameter limit harus 1-${MAX_LIMIT}.`);
+    }
+    options.limit = limit;
+  }
+  if (offsetRaw && !cursor) {
+    options.offset = parseNonNegativeInt(offsetRaw, 'offset');
+  }
+
+  return options;
+}
+
+// Cocokkan parameter hasil parseDashboardQueryParams dengan kolom dashboard (sort, dateField, tipe kolom).
+function bindDashboardQuery(params, headers, rows, { schema = {} } = {}) {
+  const columnTypes = detectColumnTypes(headers, rows, schema);
+  const options = { ...params, columnTypes };
+
+  if (options.sort && !headers.includes(options.sort.field)) {
+    throw new CoreError('INVALID_QUERY', `Kolom sort "${options.sort.field}" tidak ada. Pilihan: ${headers.join(', ')}.`);
+  }
+  if ((options.from || options.to) && !options.dateField) {
+    options.dateField = headers.find((header) => columnTypes[header] === 'date') || '';
+    if (!options.dateField) {
+      throw new CoreError('INVALID_QUERY', 'Kolom tanggal tidak ditemukan; isi parameter dateField.');
+    }
+  }
+  if (options.dateField && !headers.includes(options.dateField)) {
+    throw new CoreError('INVALID_QUERY', `Kolom dateField "${options.dateField}" tidak ada.`);
+  }
+  return options;
+}
+
+function compareValues(a, b, type) {
+  if (type === 'number') {
+    const left = parseLocaleNumber(typeof a === 'string' ? a.trim() : a);
+    const right = parseLocaleNumber(typeof b === 'string' ? b.trim() : b);
+    if (left === null || right === null) return left === null ? (right === null ? 0 : 1) : -1;
+    return left - right;
+  }
+  if (type === 'date') {
+    const left = parseLocaleDate(typeof a === 'string' ? a : '');
+    const right = parseLocaleDate(typeof b === 'string' ? b : '');
+    if (!left || !right) return !left ? (!right ? 0 : 1) : -1;
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+  return String(a ?? '').localeCompare(String(b ?? ''), 'id', { sensitivity: 'base', numeric: true });
+}
+
+function applyDashboardQuery(rows, headers, options) {
+  const source = Array.isArray(rows) ? rows : [];
+  const filtered = source.filter((row) => {
+    if (options.kasir.length > 0) {
+      const kasir = getCell(row, 'Kasir', headers);
+      if (typeof kasir !== 'string' || !options.kasir.includes(kasir.trim().toLowerCase())) return false;
+    }
+    if (options.from || options.to) {
+      const iso = parseLocaleDate(String(getCell(row, options.dateField, headers) ?? ''));
+      if (!iso) return false;
+      const day = iso.slice(0, 10);
+      if (options.from && day < options.from) return false;
+      if (options.to && day > options.to) return false;
+    }
+    if (options.q) {
+      const cells = Array.isArray(row) ? row : Object.values(row || {});
+      if (!cells.some((cell) => String(cell ?? '').toLowerCase().includes(options.q))) return false;
+    }
+    return true;
+  });
+
+  if (options.sort) {
+    const { field, direction } = options.sort;
+    const type = options.columnTypes[field] || 'string';
+    const factor = direction === 'desc' ? -1 : 1;
+    filtered.sort(
+      (a, b) => factor * compareValues(getCell(a, field, headers), getCell(b, field, headers), type)
+    );
+  }
+
+  const filteredCount = filtered.length;
+  const limit = options.limit;
+  const offset = Math.min(options.offset, filteredCount);
+  const data = limit === null ? filtered.slice(offset) : filtered.slice(offset, offset + limit);
+  const nextOffset = offset + data.length;
+  const hasMore = nextOffset < filteredCount;
+
+  return {
+    data,
+    filteredCount,
+    pagination: {
+      limit,
+      offset,
+      returned: data.length,
+      hasMore,
+      nextOffset: hasMore ? nextOffset : null,
+      nextCursor: hasMore && limit !== null ? encodeCursor(nextOffset, limit) : null,
+    },
+  };
+}
+
+module.exports = {
+  MAX_LIMIT,
+  getCell,
+  parseDashboardQueryParams,
+  bindDashboardQuery,
+  applyDashboardQuery,
+};
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { describeError } = require('./errors');
+const { diffDashboards } = require('./dashboard-diff');
+const { buildDashboardEvents } = require('./change-events');
+
+// Error yang membuat loop tidak ada gunanya diteruskan: token harus diganti klien.
+const FATAL_ERROR_CODES = ['TOKEN_INVALID', 'TOKEN_EXPIRED'];
+
+function formatSseEvent(event) {
+  if (event.type === 'heartbeat') return `: heartbeat ${event.at}\n\n`;
+  const lines = [];
+  if (event.id) lines.push(`id: ${event.id}`);
+  lines.push(`event: ${event.type}`);
+  lines.push(`data: ${JSON.stringify(event.data)}`);
+  return `${lines.join('\n')}\n\n`;
+}
+
+// Event id: "<epoch>-<seq>". Epoch berganti setiap loop baru sehingga id lama tidak salah dipakai resume.
+function parseEventId(value) {
+  const match = String(value || '').trim().match(/^([0-9a-f]+)-(\d+)$/);
+  return match ? { epoch: match[1], seq: Number(match[2]) } : null;
+}
+
+function toSnapshotData(dashboard) {
+  return {
+    source: dashboard.source,
+    user: dashboard.user,
+    periode: dashboard.periode,
+    totalTransaksi: dashboard.totalTransaksi,
+    rowCount: dashboard.rowCount,
+    headers: dashboard.headers,
+    data: dashboard.data,
+  };
+}
+
+// Satu loop scrape per key (token) yang dibagi semua subscriber; berhenti saat subscriber terakhir pergi.
+function createDashboardStreamHub({
+  intervalMs = 15000,
+  heartbeatMs = 15000,
+  historySize = 200,
+  now = Date.now,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  onEvent = () => {},
+} = {}) {
+  const channels = new Map();
+
+  function arm(fn, ms) {
+    const timer = setTimer(fn, ms);
+    if (timer && typeof timer.unref === 'function') timer.unref();
+    return timer;
+  }
+
+  function broadcast(channel, event) {
+    for (const subscriber of Array.from(channel.subscribers)) subscriber.send(event);
+  }
+
+  function snapshotEvent(channel) {
+    return { id: `${channel.epoch}-${channel.seq}`, type: 'snapshot', data: toSnapshotData(channel.latest) };
+  }
+
+  function pushEvent(channel, type, data) {
+    channel.seq += 1;
+    const event = { id: `${channel.epoch}-${channel.seq}`, seq: channel.seq, type, data };
+    channel.history.push(event);
+    while (channel.history.length > historySize) {
+      channel.resumableFrom = channel.history.shift().seq;
+    }
+    broadcast(channel, event);
+  }
+
+  function apply(channel, dashboard) {
+    const previous = channel.latest;
+    channel.latest = dashboard;
+    if (!previous) {
+      broadcast(channel, snapshotEvent(channel));
+      return;
+    }
+    if (previous.user !== dashboard.user || previous.periode !== dashboard.periode) {
+      // Ganti periode: diff baris tidak bermakna, kirim snapshot baru dan putus rantai resume.
+      channel.seq += 1;
+      channel.history = [];
+      channel.resumableFrom = channel.seq;
+      broadcast(channel, snapshotEvent(channel));
+      return;
+    }
+    for (const event of buildDashboardEvents(diffDashboards(previous, dashboard), dashboard)) {
+      pushEvent(channel, event.type, event.data);
+    }
+  }
+
+  async function tick(channel) {
+    channel.loopTimer = null;
+    let dashboard;
+    try {
+      dashboard = await channel.load({ initial: !channel.latest });
+    } catch (error) {
+      if (channel.stopped) return;
+      const info = describeError(error, 'STREAM_LOAD_FAILED');
+      onEvent({ type: 'error', key: channel.key, error: info });
+      broadcast(channel, { type: 'error', data: info });
+      if (FATAL_ERROR_CODES.includes(info.code)) {
+        closeChannel(channel);
+        return;
+      }
+      channel.loopTimer = arm(() => tick(channel), intervalMs);
+      return;
+    }
+    if (channel.stopped) return;
+    apply(channel, dashboard);
+    channel.loopTimer = arm(() => tick(channel), intervalMs);
+  }
+
+  function heartbeat(channel) {
+    broadcast(channel, { type: 'heartbeat', at: new Date(now()).toISOString() });
+    channel.heartbeatTimer = arm(() => heartbeat(channel), heartbeatMs);
+  }
+
+  function startChannel(key, load) {
+    const channel = {
+      key,
+      load,
+      epoch: crypto.randomBytes(4).toString('hex'),
+      seq: 0,
+      resumableFrom: 0,
+      history: [],
+      latest: null,
+      subscribers: new Set(),
+      loopTimer: null,
+      heartbeatTimer: null,
+      stopped: false,
+    };
+    channels.set(key, channel);
+    channel.heartbeatTimer = arm(() => heartbeat(channel), heartbeatMs);
+    onEvent({ type: 'start', key });
+    tick(channel).catch(() => {});
+    return channel;
+  }
+
+  function stopChannel(channel) {
+    if (channel.stopped) return;
+    channel.stopped = true;
+    if (channel.loopTimer) clearTimer(channel.loopTimer);
+    if (channel.heartbeatTimer) clearTimer(channel.heartbeatTimer);
+    channel.loopTimer = null;
+    channel.heartbeatTimer = null;
+    if (channels.get(channel.key) === channel) channels.delete(channel.key);
+    onEvent({ type: 'stop', key: channel.key });
+  }
+
+  function closeChannel(channel) {
+    stopChannel(channel);
+    const subscribers = Array.from(channel.subscribers);
+    channel.subscribers.clear();
+    for (const subscriber of subscribers) subscriber.close();
+  }
+
+  // Subscriber baru dapat snapshot; jika Last-Event-ID masih ada di history, cukup event setelahnya.
+  function catchUp(channel, subscriber, lastEventId) {
+    const last = parseEventId(lastEventId);
+    if (last && last.epoch === channel.epoch && last.seq >= channel.resumableFrom && last.seq <= channel.seq) {
+      for (const event of channel.history) {
+        if (event.seq > last.seq) subscriber.send(event);
+      }
+      return;
+    }
+    subscriber.send(snapshotEvent(channel));
+  }
+
+  function subscribe({ key, load, lastEventId, send, close = () => {} }) {
+    const channel = channels.get(key) || startChannel(key, load);
+    const subscriber = { send, close };
+    channel.subscribers.add(subscriber);
+    if (channel.latest) catchUp(channel, subscriber, lastEventId);
+
+    return function unsubscribe() {
+      if (!channel.subscribers.delete(subscriber)) return;
+      if (channel.subscribers.size === 0) stopChannel(channel);
+    };
+  }
+
+  function closeAll() {
+    for (const channel of Array.from(channels.values())) closeChannel(channel);
+  }
+
+  return {
+    subscribe,
+    closeAll,
+    size: () => channels.size,
+    subscriberCount: () =>
+      Array.from(channels.values()).reduce((total, channel) => total + channel.subscribers.size, 0),
+  };
+}
+
+module.exports = {
+  formatSseEvent,
+  parseEventId,
+  createDashboardStreamHub,
+};
@@ -0,0 +1,150 @@
+const { CoreError } = require('./errors');
+const { parseLocaleNumber, parseLocaleDate, detectColumnTypes } = require('./dashboard-types');
+const { getCell } = require('./dashboard-query');
+
+const DEFAULT_TOP_PRODUCTS = 5;
+const MAX_TOP_PRODUCTS = 100;
+
+const ROLE_PATTERNS = {
+  kasir: /\b(kasir|cashier)\b/i,
+  produk: /\b(produk|barang|item|menu|product)\b/i,
+  qty: /\b(qty|jumlah|kuantitas|quantity)\b/i,
+  total: /\b(total|subtotal|nominal|amount)\b/i,
+};
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toNumber(value) {
+  const parsed = parseLocaleNumber(typeof value === 'string' ? value.trim() : value);
+  return parsed === null ? 0 : parsed;
+}
+
+function toKey(value) {
+  const text = typeof value === 'string' ? value.trim() : String(value ?? '').trim();
+  return text || '(kosong)';
+}
+
+// Cari kolom kasir/produk/qty/total/tanggal dari nama header; null jika tabel tidak punya kolom itu.
+function detectSummaryColumns(headers, columnTypes) {
+  const find = (regex) => headers.find((header) => regex.test(header)) || null;
+  return {
+    kasir: find(ROLE_PATTERNS.kasir),
+    produk: find(ROLE_PATTERNS.produk),
+    qty: find(ROLE_PATTERNS.qty),
+    total: find(ROLE_PATTERNS.total),
+    tanggal: headers.find((header) => columnTypes[header] === 'date') || null,
+  };
+}
+
+function createBucket() {
+  return { transactions: 0, qty: 0, revenue: 0 };
+}
+
+function addToBucket(bucket, qty, revenue) {
+  bucket.transactions += 1;
+  bucket.qty += qty;
+  bucket.revenue += revenue;
+}
+
+function finishBucket(fields, bucket) {
+  return {
+    ...fields,
+    transactions: bucket.transactions,
+    qty: round2(bucket.qty),
+    revenue: round2(bucket.revenue),
+    averageRevenue: bucket.transactions > 0 ? round2(bucket.revenue / bucket.transactions) : 0,
+  };
+}
+
+function parseTopLimit(raw) {
+  if (raw === undefined || raw === null || raw === '') return DEFAULT_TOP_PRODUCTS;
+  const text = String(raw).trim();
+  const value = /^\d+$/.test(text) ? Number(text) : NaN;
+  if (!Number.isInteger(value) || value < 1 || value > MAX_TOP_PRODUCTS) {
+    throw new CoreError('INVALID_QUERY', `Parameter top harus 1-${MAX_TOP_PRODUCTS}.`);
+  }
+  return value;
+}
+
+function summarizeDashboard(headers, rows, { schema = {}, groupBy = '', top = DEFAULT_TOP_PRODUCTS } = {}) {
+  if (groupBy && !headers.includes(groupBy)) {
+    throw new CoreError('INVALID_QUERY', `Kolom groupBy "${groupBy}" tidak ada. Pilihan: ${headers.join(', ')}.`);
+  }
+  const source = Array.isArray(rows) ? rows : [];
+  const columnTypes = detectColumnTypes(headers, source, schema);
+  const columns = detectSummaryColumns(headers, columnTypes);
+
+  const grand = createBucket();
+  const byKasir = new Map();
+  const byProduk = new Map();
+  const byDay = new Map();
+  const byGroup = new Map();
+  const bump = (map, key) => {
+    if (!map.has(key)) map.set(key, createBucket());
+    return map.get(key);
+  };
+
+  for (const row of source) {
+    const qty = columns.qty ? toNumber(getCell(row, columns.qty, headers)) : 0;
+    const revenue = columns.total ? toNumber(getCell(row, columns.total, headers)) : 0;
+    addToBucket(grand, qty, revenue);
+    if (columns.kasir) addToBucket(bump(byKasir, toKey(getCell(row, columns.kasir, headers))), qty, revenue);
+    if (columns.produk) addToBucket(bump(byProduk, toKey(getCell(row, columns.produk, headers))), qty, revenue);
+    if (columns.tanggal) {
+      const iso = parseLocaleDate(String(getCell(row, columns.tanggal, headers) ?? ''));
+      addToBucket(bump(byDay, iso ? iso.slice(0, 10) : '(kosong)'), qty, revenue);
+    }
+    if (groupBy) addToBucket(bump(byGroup, toKey(getCell(row, groupBy, headers))), qty, revenue);
+  }
+
+  const rank = (items, field, metric) =>
+    items.sort((a, b) => b[metric] - a[metric] || String(a[field]).localeCompare(String(b[field]), 'id'));
+  const products = Array.from(byProduk, ([produk, bucket]) => finishBucket({ produk }, bucket));
+  const days = Array.from(byDay, ([date, bucket]) => finishBucket({ date }, bucket)).sort((a, b) =>
+    a.date.localeCompare(b.date)
+  );
+
+  const summary = {
+    columns,
+    grandTotal: {
+      transactions: grand.transactions,
+      qty: round2(grand.qty),
+      revenue: round2(grand.revenue),
+    },
+    averages: {
+      revenuePerTransaction: grand.transactions > 0 ? round2(grand.revenue / grand.transactions) : 0,
+      qtyPerTransaction: grand.transactions > 0 ? round2(grand.qty / grand.transactions) : 0,
+      revenuePerDay: days.length > 0 ? round2(grand.revenue / days.length) : 0,
+    },
+    byKasir: rank(
+      Array.from(byKasir, ([kasir, bucket]) => finishBucket({ kasir }, bucket)),
+      'kasir',
+      'revenue'
+    ),
+    topProducts: {
+      byQty: rank([...products], 'produk', 'qty').slice(0, top),
+      byRevenue: rank([...products], 'produk', 'revenue').slice(0, top),
+    },
+    byDay: days,
+  };
+  if (groupBy) {
+    summary.groupBy = {
+      field: groupBy,
+      groups: rank(
+        Array.from(byGroup, ([value, bucket]) => finishBucket({ value }, bucket)),
+        'value',
+        'revenue'
+      ),
+    };
+  }
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_TOP_PRODUCTS,
+  detectSummaryColumns,
+  parseTopLimit,
+  summarizeDashboard,
+};
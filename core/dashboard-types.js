@@ -0,0 +1,251 @@
+const COLUMN_TYPES = ['number', 'date', 'string'];
+
+const MONTHS = {
+  jan: 1,
+  januari: 1,
+  january: 1,
+  feb: 2,
+  februari: 2,
+  february: 2,
+  mar: 3,
+  maret: 3,
+  march: 3,
+  apr: 4,
+  april: 4,
+  mei: 5,
+  may: 5,
+  jun: 6,
+  juni: 6,
+  june: 6,
+  jul: 7,
+  juli: 7,
+  july: 7,
+  agu: 8,
+  agt: 8,
+  agustus: 8,
+  aug: 8,
+  august: 8,
+  sep: 9,
+  sept: 9,
+  september: 9,
+  okt: 10,
+  oktober: 10,
+  oct: 10,
+  october: 10,
+  nov: 11,
+  november: 11,
+  des: 12,
+  desember: 12,
+  dec: 12,
+  december: 12,
+};
+
+const HEADER_TYPE_PATTERNS = [
+  { type: 'date', regex: /\b(tanggal|tgl|date|waktu)\b/i },
+  {
+    type: 'number',
+    regex: /\b(no|qty|jumlah|kuantitas|total|subtotal|harga|bayar|nominal|diskon|stok|amount|price)\b/i,
+  },
+  { type: 'string', regex: /\b(kasir|produk|nama|barang|item|keterangan|catatan|user|status)\b/i },
+];
+
+function countChar(text, char) {
+  return text.split(char).length - 1;
+}
+
+// Format angka Indonesia: titik = ribuan, koma = desimal ("Rp 1.250.000,50").
+function parseLocaleNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  let text = value.replace(/\s+/g, '');
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  text = text.replace(/^rp\.?/i, '');
+  if (text.startsWith('-')) {
+    negative = !negative;
+    text = text.slice(1);
+  }
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) return null;
+
+  const lastDot = text.lastIndexOf('.');
+  const lastComma = text.lastIndexOf(',');
+  let normalized = text;
+
+  if (lastDot >= 0 && lastComma >= 0) {
+    const decimalSep = lastComma > lastDot ? ',' : '.';
+    const thousandSep = decimalSep === ',' ? '.' : ',';
+    if (countChar(text, decimalSep) > 1) return null;
+    normalized = text.split(thousandSep).join('').replace(decimalSep, '.');
+  } else if (lastComma >= 0) {
+    normalized = countChar(text, ',') > 1 ? text.split(',').join('') : text.replace(',', '.');
+  } else if (lastDot >= 0) {
+    if (/^\d{1,3}(\.\d{3})+$/.test(text)) {
+      normalized = text.split('.').join('');
+    } else if (countChar(text, '.') > 1) {
+      return null;
+    }
+  }
+
+  const parsed = Number(normalized);
+  if (!Number.isFinite(parsed)) return null;
+  return negative ? -parsed : parsed;
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function buildIsoDate(year, month, day, time) {
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1) return null;
+
+  const datePart = `${year}-${pad2(month)}-${pad2(day)}`;
+  if (!time) return datePart;
+  const [hh, mm, ss] = time;
+  if (hh > 23 || mm > 59 || ss > 59) return null;
+  return `${datePart}T${pad2(hh)}:${pad2(mm)}:${pad2(ss)}`;
+}
+
+function parseTimeSuffix(rest) {
+  const trimmed = rest.trim();
+  if (!trimmed) return { ok: true, time: null };
+  const match = trimmed.match(/^(?:,|T|pukul)?\s*(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?$/i);
+  if (!match) return { ok: false, time: null };
+  return { ok: true, time: [Number(match[1]), Number(match[2]), Number(match[3] || 0)] };
+}
+
+// Tanggal dd/mm/yyyy (format GAS Indonesia), yyyy-mm-dd, atau "16 Februari 2026"; hasil ISO tanpa zona waktu.
+function parseLocaleDate(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(.*)$/);
+  if (match) {
+    const suffix = parseTimeSuffix(match[4]);
+    if (!suffix.ok) return null;
+    return buildIsoDate(Number(match[1]), Number(match[2]), Number(match[3]), suffix.time);
+  }
+
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?!\d)(.*)$/);
+  if (match) {
+    const suffix = parseTimeSuffix(match[4]);
+    if (!suffix.ok) return null;
+    return buildIsoDate(Number(match[3]), Number(match[2]), Number(match[1]), suffix.time);
+  }
+
+  match = text.match(/^(\d{1,2})\s+([a-z]+)\.?\s+(\d{4})(.*)$/i);
+  if (match) {
+    const month = MONTHS[match[2].toLowerCase()];
+    const suffix = parseTimeSuffix(match[4]);
+    if (!month || !suffix.ok) return null;
+    return buildIsoDate(Number(match[3]), month, Number(match[1]), suffix.time);
+  }
+
+  return null;
+}
+
+function detectTypeFromHeader(header) {
+  for (const { type, regex } of HEADER_TYPE_PATTERNS) {
+    if (regex.test(header)) return type;
+  }
+  return null;
+}
+
+const TYPE_PARSERS = { date: parseLocaleDate, number: parseLocaleNumber };
+
+function filledValues(values) {
+  return values.filter((value) => typeof value === 'string' && value.trim().length > 0);
+}
+
+function allParseAs(type, values) {
+  return values.every((value) => TYPE_PARSERS[type](value) !== null);
+}
+
+function detectTypeFromValues(values) {
+  const filled = filledValues(values);
+  if (filled.length === 0) return 'string';
+  if (allParseAs('date', filled)) return 'date';
+  if (allParseAs('number', filled)) return 'number';
+  return 'string';
+}
+
+// Nama header hanya petunjuk: "No Transaksi" berisi "TRX-001", jadi tipe dipakai hanya jika semua nilai cocok.
+function detectColumnType(header, values) {
+  const hinted = detectTypeFromHeader(header);
+  if (!hinted) return detectTypeFromValues(values);
+  if (hinted === 'string') return 'string';
+  return allParseAs(hinted, filledValues(values)) ? hinted : 'string';
+}
+
+function validateColumnSchema(schema) {
+  if (schema === undefined || schema === null) return {};
+  if (typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('Schema kolom harus berupa object { "Header": "number|date|string" }.');
+  }
+  for (const [header, type] of Object.entries(schema)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(`Tipe kolom "${header}" tidak dikenal: ${type}. Pilihan: ${COLUMN_TYPES.join(', ')}.`);
+    }
+  }
+  return schema;
+}
+
+function detectColumnTypes(headers, rows, schema = {}) {
+  const records = Array.isArray(rows)
+    ? rows.filter((row) => row && typeof row === 'object' && !Array.isArray(row))
+    : [];
+  const types = {};
+  for (const header of headers) {
+    if (Object.prototype.hasOwnProperty.call(schema, header)) {
+      types[header] = schema[header];
+      continue;
+    }
+    types[header] = detectColumnType(header, records.map((row) => row[header]));
+  }
+  return types;
+}
+
+function convertCell(value, type) {
+  const text = typeof value === 'string' ? value.trim() : value;
+  if (type === 'number') return parseLocaleNumber(text);
+  if (type === 'date') return parseLocaleDate(text);
+  return typeof text === 'string' ? text : String(text ?? '');
+}
+
+function typeDashboardRows(headers, rows, { schema = {}, includeRaw = false } = {}) {
+  const columnTypes = detectColumnTypes(headers, rows, schema);
+  const data = (Array.isArray(rows) ? rows : []).map((row) => {
+    if (Array.isArray(row)) {
+      return row.map((cell) => (typeof cell === 'string' ? cell.trim() : cell));
+    }
+    const record = {};
+    for (const [key, value] of Object.entries(row || {})) {
+      record[key] = convertCell(value, columnTypes[key] || 'string');
+    }
+    return record;
+  });
+
+  const result = { columnTypes, data };
+  if (includeRaw) result.raw = rows;
+  return result;
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  parseLocaleNumber,
+  parseLocaleDate,
+  validateColumnSchema,
+  detectColumnTypes,
+  typeDashboardRows,
+};
@@ -0,0 +1,32 @@
+class CoreError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'CoreError';
+    this.code = code;
+  }
+}
+
+// Bentuk error yang aman untuk dicatat/dikirim: { code, message, artifactId? }.
+function describeError(error, fallbackCode) {
+  return {
+    code: error && typeof error === 'object' && 'code' in error ? error.code : fallbackCode,
+    message: error instanceof Error ? error.message : String(error),
+    ...(error && error.artifactId ? { artifactId: error.artifactId } : {}),
+  };
+}
+
+// Tolak dengan CoreError TIMEOUT jika promise belum selesai; timeoutMs <= 0 berarti tanpa batas.
+function withTimeout(promise, timeoutMs, message = `Operasi tidak selesai dalam ${timeoutMs}ms.`) {
+  if (!(timeoutMs > 0)) return promise;
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new CoreError('TIMEOUT', message)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  CoreError,
+  describeError,
+  withTimeout,
+};
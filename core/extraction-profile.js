@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Profil bawaan = selector dan pola yang dipakai halaman GAS saat ini. Profil dari file cukup berisi field
+// yang berbeda; sisanya diambil dari sini.
+const DEFAULT_PROFILE = deepFreeze({
+  name: 'default',
+  framePath: ['sandboxFrame', 'userHtmlFrame'],
+  login: {
+    emailSelector: 'input[type="email"]',
+    passwordSelector: 'input[type="password"]',
+    submitSelector: '#loginBtn',
+    success: {
+      urlParam: 'token',
+    },
+    error: {
+      selector: '#login-error',
+    },
+  },
+  dashboard: {
+    tableBodySelector: '#dashboardTableBody',
+    headerSelector: 'thead th',
+    rowSelector: 'tr',
+    cellSelector: 'td,th',
+    loadingPattern: { pattern: '^memuat data\\.{0,3}$', flags: 'i' },
+    // Spasi di sekitar ":" tidak boleh melewati baris baru: field kosong ("User:") harus tetap kosong,
+    // bukan mengambil isi baris berikutnya.
+    fields: {
+      user: { pattern: 'user *[:\\-] *([^\\n\\r]+)', flags: 'i' },
+      periode: { pattern: 'periode *[:\\-] *([^\\n\\r]+)', flags: 'i' },
+      totalTransaksi: { pattern: 'total\\s*transaksi *[:\\-] *([0-9.,]+)', flags: 'i' },
+    },
+  },
+  // Fungsi server yang dipanggil lewat google.script.run pada mode RPC; null = selalu lewat DOM.
+  // Aplikasi GAS saat ini hanya mengekspos checkLogin, jadi RPC dashboard harus diaktifkan lewat profil.
+  rpc: {
+    loginFunction: 'checkLogin',
+    dashboardFunction: null,
+  },
+});
+
+const SELECTOR_FIELDS = [
+  'login.emailSelector',
+  'login.passwordSelector',
+  'login.submitSelector',
+  'login.error.selector',
+  'dashboard.tableBodySelector',
+  'dashboard.headerSelector',
+  'dashboard.rowSelector',
+  'dashboard.cellSelector',
+];
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function getAt(profile, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => value[key], profile);
+}
+
+// Key yang tidak ada di profil bawaan ditolak supaya salah ketik tidak diam-diam memakai nilai default.
+function mergeWithDefault(base, override, prefix) {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const fieldPath = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(base, key)) {
+      throw new Error(`Field profil ekstraksi tidak dikenal: ${fieldPath}.`);
+    }
+    if (isPlainObject(base[key])) {
+      if (!isPlainObject(value)) throw new Error(`Field profil ekstraksi ${fieldPath} harus berupa object.`);
+      result[key] = mergeWithDefault(base[key], value, fieldPath);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function requireString(value, fieldPath) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Field profil ekstraksi ${fieldPath} harus berupa string tidak kosong.`);
+  }
+}
+
+function validatePattern({ pattern, flags }, fieldPath, { captureGroup }) {
+  requireString(pattern, `${fieldPath}.pattern`);
+  if (typeof flags !== 'string' || !/^[imsu]*$/.test(flags)) {
+    throw new Error(`Field profil ekstraksi ${fieldPath}.flags hanya boleh berisi i, m, s, u.`);
+  }
+  let regex;
+  try {
+    regex = new RegExp(`${pattern}|`, flags);
+  } catch (error) {
+    throw new Error(`Regex ${fieldPath}.pattern tidak valid: ${error.message}`);
+  }
+  // Pola "x|" selalu cocok dengan string kosong, jadi panjang hasil exec = jumlah capture group + 1.
+  if (captureGroup && regex.exec('').length < 2) {
+    throw new Error(`Regex ${fieldPath}.pattern harus punya satu capture group untuk nilai field.`);
+  }
+}
+
+function validateExtractionProfile(input = {}) {
+  if (!isPlainObject(input)) {
+    throw new Error('Profil ekstraksi harus berupa object.');
+  }
+  const profile = mergeWithDefault(DEFAULT_PROFILE, input, '');
+
+  requireString(profile.name, 'name');
+  if (!Array.isArray(profile.framePath) || profile.framePath.length === 0) {
+    throw new Error('Field profil ekstraksi framePath harus berupa list nama frame, mis. ["sandboxFrame", "userHtmlFrame"].');
+  }
+  profile.framePath.forEach((name, index) => requireString(name, `framePath[${index}]`));
+  SELECTOR_FIELDS.forEach((fieldPath) => requireString(getAt(profile, fieldPath), fieldPath));
+  if (typeof profile.login.success.urlParam !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(profile.login.success.urlParam)) {
+    throw new Error('Field profil ekstraksi login.success.urlParam harus nama query parameter, mis. "token".');
+  }
+  for (const key of ['loginFunction', 'dashboardFunction']) {
+    const value = profile.rpc[key];
+    if (value !== null && (typeof value !== 'string' || !/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(value))) {
+      throw new Error(`Field profil ekstraksi rpc.${key} harus nama fungsi Apps Script atau null.`);
+    }
+  }
+  validatePattern(profile.dashboard.loadingPattern, 'dashboard.loadingPattern', { captureGroup: false });
+  for (const [name, field] of Object.entries(profile.dashboard.fields)) {
+    validatePattern(field, `dashboard.fields.${name}`, { captureGroup: true });
+  }
+
+  return deepFreeze(profile);
+}
+
+function parseProfileText(text, format) {
+  if (format === 'json') return JSON.parse(text);
+  return YAML.parse(text);
+}
+
+// Format ditentukan dari ekstensi: .json, .yaml, atau .yml.
+function loadExtractionProfile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = extension === '.json' ? 'json' : extension === '.yaml' || extension === '.yml' ? 'yaml' : '';
+  if (!format) {
+    throw new Error(`Profil ekstraksi ${filePath} harus berekstensi .json, .yaml, atau .yml.`);
+  }
+  let parsed;
+  try {
+    parsed = parseProfileText(fs.readFileSync(filePath, 'utf8'), format);
+  } catch (error) {
+    throw new Error(`Gagal membaca profil ekstraksi ${filePath}: ${error.message}`);
+  }
+  try {
+    return validateExtractionProfile(parsed);
+  } catch (error) {
+    throw new Error(`Profil ekstraksi ${filePath} tidak valid: ${error.message}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  validateExtractionProfile,
+  loadExtractionProfile,
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withTimeout } = require('./errors');
+const { buildFrameTree, listFrames } = require('./frame-tree');
+const { REDACTED, redactString } = require('./logger');
+
+const ARTIFACT_ID_PATTERN = /^art_[0-9a-z]+_[0-9a-f]{8}$/;
+const FILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const MANIFEST_FILE = 'manifest.json';
+
+// Rekam console, error JS, dan navigasi frame sejak page dibuat; hanya N baris terakhir yang disimpan.
+function createConsoleRecorder(page, { maxLines = 200, now = Date.now } = {}) {
+  const lines = [];
+  const push = (line) => {
+    lines.push(`${new Date(now()).toISOString()} ${line}`);
+    if (lines.length > maxLines) lines.shift();
+  };
+  page.on('console', (message) => push(`[${message.type()}] ${message.text()}`));
+  page.on('pageerror', (error) => push(`[pageerror] ${error.message}`));
+  page.on('framenavigated', (frame) => push(`[navigated] ${frame.name() || '(no-name)'} ${frame.url()}`));
+  return { lines: () => lines.slice() };
+}
+
+// Selain pola umum (token di URL, Bearer), nilai rahasia yang diketahui (password, token GAS) diganti apa adanya.
+function createSecretRedactor(secrets = []) {
+  const values = new Set();
+  for (const secret of secrets) {
+    if (typeof secret !== 'string' || secret.length < 4) continue;
+    values.add(secret);
+    values.add(encodeURIComponent(secret));
+  }
+  const ordered = Array.from(values).sort((a, b) => b.length - a.length);
+  return (text) => ordered.reduce((output, secret) => output.split(secret).join(REDACTED), redactString(String(text)));
+}
+
+function frameFileName(index, framePath) {
+  const label = framePath.length === 1 ? 'main' : framePath[framePath.length - 1];
+  const name = label.replace(/[^A-Za-z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40) || 'frame';
+  return `frame-${String(index).padStart(2, '0')}-${name}.html`;
+}
+
+// Setiap langkah berdiri sendiri: page yang rusak tetap menghasilkan bundle sebagian + daftar masalah.
+async function collectPageArtifacts(page, { redactText, consoleLines = [], timeoutMs = 5000 }) {
+  const files = [];
+  const problems = [];
+  const attempt = async (label, run) => {
+    try {
+      await withTimeout(run(), timeoutMs, `timeout ${timeoutMs}ms`);
+    } catch (error) {
+      problems.push(redactText(`${label}: ${error instanceof Error ? error.message : String(error)}`));
+    }
+  };
+
+  await attempt('screenshot', async () => {
+    files.push({ name: 'screenshot.png', data: await page.screenshot({ fullPage: true, timeout: timeoutMs }) });
+  });
+  await attempt('frame-tree', async () => {
+    files.push({ name: 'frame-tree.json', data: redactText(JSON.stringify(buildFrameTree(page.mainFrame()), null, 2)) });
+  });
+
+  const frames = page.isClosed() ? [] : listFrames(page.mainFrame());
+  for (const [index, { frame, path: framePath }] of frames.entries()) {
+    const name = frameFileName(index, framePath);
+    await attempt(name, async () => {
+      const header = `<!-- frame: ${framePath.join(' > ')} | url: ${frame.url()} -->\n`;
+      files.push({ name, data: redactText(header + (await frame.content())) });
+    });
+  }
+
+  files.push({ name: 'console.log', data: redactText(consoleLines.join('\n')) });
+  return { files, problems };
+}
+
+// Satu direktori per bundle (manifest.json + file artefak); index disimpan di memori dan dibangun ulang saat start.
+function createForensicsStore({ dir, maxBundles = 50, maxAgeMs = 7 * 24 * 60 * 60 * 1000, now = Date.now }) {
+  if (!dir) {
+    throw new Error('Direktori forensik wajib diisi.');
+  }
+  const index = new Map();
+
+  function bundleDir(id) {
+    return path.join(dir, id);
+  }
+
+  function remove(id) {
+    index.delete(id);
+    fs.rmSync(bundleDir(id), { recursive: true, force: true });
+  }
+
+  function load() {
+    if (!fs.existsSync(dir)) return;
+    for (const name of fs.readdirSync(dir)) {
+      if (name.endsWith('.tmp')) {
+        // Sisa penulisan yang terputus.
+        fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+        continue;
+      }
+      if (!ARTIFACT_ID_PATTERN.test(name)) continue;
+      try {
+        const manifest = JSON.parse(fs.readFileSync(path.join(dir, name, MANIFEST_FILE), 'utf8'));
+        if (manifest.id === name) index.set(name, manifest);
+      } catch {
+        // Bundle rusak diabaikan.
+      }
+    }
+  }
+
+  function list({ limit } = {}) {
+    const manifests = Array.from(index.values()).sort(
+      (a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id)
+    );
+    return limit ? manifests.slice(0, limit) : manifests;
+  }
+
+  function prune() {
+    const cutoff = now() - maxAgeMs;
+    list().forEach((manifest, position) => {
+      const expired = maxAgeMs > 0 && Date.parse(manifest.createdAt) < cutoff;
+      if (expired || position >= maxBundles) remove(manifest.id);
+    });
+  }
+
+  function save({ operation, code, message, pageUrl, files, problems = [] }) {
+    const createdAtMs = now();
+    const id = `art_${createdAtMs.toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
+    const manifest = {
+      id,
+      operation,
+      code,
+      message,
+      pageUrl,
+      createdAt: new Date(createdAtMs).toISOString(),
+      files: files.map((file) => ({ name: file.name, size: Buffer.byteLength(file.data) })),
+      problems,
+    };
+
+    const tmpDir = `${bundleDir(id)}.tmp`;
+    fs.mkdirSync(tmpDir, { recursive: true, mode: 0o700 });
+    for (const file of files) {
+      fs.writeFileSync(path.join(tmpDir, file.name), file.data, { mode: 0o600 });
+    }
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpDir, bundleDir(id));
+    index.set(id, manifest);
+    prune();
+    return manifest;
+  }
+
+  function get(id) {
+    if (typeof id !== 'string' || !ARTIFACT_ID_PATTERN.test(id)) return null;
+    return index.get(id) || null;
+  }
+
+  // Isi bundle untuk di-zip, termasuk manifest. null jika bundle tidak ada.
+  function readBundle(id) {
+    const manifest = get(id);
+    if (!manifest) return null;
+    const names = [MANIFEST_FILE, ...manifest.files.map((file) => file.name)];
+    try {
+      return names
+        .filter((name) => FILE_NAME_PATTERN.test(name))
+        .map((name) => ({ name, data: fs.readFileSync(path.join(bundleDir(id), name)) }));
+    } catch {
+      index.delete(id);
+      return null;
+    }
+  }
+
+  load();
+  prune();
+
+  return {
+    save,
+    list,
+    get,
+    readBundle,
+    prune,
+    size: () => index.size,
+  };
+}
+
+async function captureFailureBundle(page, { store, operation, error, consoleLines, secrets, timeoutMs }) {
+  const redactText = createSecretRedactor(secrets);
+  const { files, problems } = await collectPageArtifacts(page, { redactText, consoleLines, timeoutMs });
+  return store.save({
+    operation,
+    code: error.code || '',
+    message: redactText(error.message),
+    pageUrl: redactText(page.url()),
+    files,
+    problems,
+  });
+}
+
+module.exports = {
+  createConsoleRecorder,
+  createSecretRedactor,
+  collectPageArtifacts,
+  createForensicsStore,
+  captureFailureBundle,
+};
@@ -0,0 +1,31 @@
+function frameName(frame) {
+  return frame.name() || '(no-name)';
+}
+
+function buildFrameTree(frame) {
+  return {
+    name: frameName(frame),
+    url: frame.url(),
+    children: frame.childFrames().map((child) => buildFrameTree(child)),
+  };
+}
+
+function logFrameTree(frame, print = console.log, indent = 0) {
+  const pad = ' '.repeat(indent);
+  print(`${pad}- name="${frameName(frame)}" url="${frame.url()}"`);
+  for (const child of frame.childFrames()) {
+    logFrameTree(child, print, indent + 2);
+  }
+}
+
+// Urutan depth-first dengan path nama frame dari main frame, mis. ['(no-name)', 'sandboxFrame', 'userHtmlFrame'].
+function listFrames(frame, parentPath = []) {
+  const framePath = [...parentPath, frameName(frame)];
+  return [{ frame, path: framePath }, ...frame.childFrames().flatMap((child) => listFrames(child, framePath))];
+}
+
+module.exports = {
+  buildFrameTree,
+  logFrameTree,
+  listFrames,
+};
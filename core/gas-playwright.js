@@ -1,46 +1,80 @@
 const { chromium } = require('playwright');
+const { CoreError } = require('./errors');
+const { createContextPool } = require('./context-pool');
+const { parseLocaleNumber } = require('./dashboard-types');
+const { readChildProcessRssMb } = require('./process-memory');
+const { createRequestPolicy, createNetworkStats, attachRequestPolicy } = require('./request-policy');
+const { NOOP_LOGGER } = require('./logger');
+const { createConsoleRecorder, captureFailureBundle } = require('./forensics');
+const { retryWithBackoff } = require('./retry');
+const { createCircuitBreaker } = require('./circuit-breaker');
+const { DEFAULT_PROFILE, validateExtractionProfile } = require('./extraction-profile');
+
+const contextPool = createContextPool();
+let requestPolicy = createRequestPolicy();
+let forensics = null;
+let extractionProfile = DEFAULT_PROFILE;
+// "dom": isi form & baca tabel. "rpc": panggil fungsi profil rpc.* lewat google.script.run, DOM sebagai cadangan.
+const GAS_MODES = ['dom', 'rpc'];
+let gasMode = 'dom';
+
+// Kegagalan sementara yang layak diulang. Password salah / token tidak valid tidak pernah diulang.
+// BROWSER_DISCONNECTED tidak termasuk: withBrowserContext sudah mengulang sekali dengan browser baru.
+const TRANSIENT_ERROR_CODES = ['TIMEOUT'];
+// Default tanpa retry: setiap retry TIMEOUT menambah satu NAVIGATION_TIMEOUT_MS penuh sebelum 504.
+const retryPolicy = { retries: 0, baseDelayMs: 1000, maxDelayMs: 10000 };
+const circuitConfig = { failureThreshold: 5, resetTimeoutMs: 30000, onStateChange: () => {} };
+// Satu breaker per URL Apps Script, dipakai bersama flow login dan dashboard.
+const circuitBreakers = new Map();
+
+const browserRecycle = {
+  maxContexts: 100,
+  maxAgeMs: 60 * 60 * 1000,
+  maxRssMb: 0,
+  rssCheckIntervalMs: 10000,
+};
+const browserStats = {
+  launches: 0,
+  recycles: 0,
+  crashes: 0,
+  crashRetries: 0,
+  lastRecycleReason: '',
+};
 
-class CoreError extends Error {
-  constructor(code, message) {
-    super(message);
-    this.name = 'CoreError';
-    this.code = code;
-  }
-}
-
-let sharedBrowser = null;
+let sharedGeneration = null;
 let sharedBrowserPromise = null;
-let sharedBrowserHeadless = null;
-
-async function getSharedBrowser(headless) {
-  if (sharedBrowser && sharedBrowser.isConnected() && sharedBrowserHeadless === headless) {
-    return sharedBrowser;
-  }
-
-  if (sharedBrowser && sharedBrowser.isConnected() && sharedBrowserHeadless !== headless) {
-    await sharedBrowser.close().catch(() => {});
-    sharedBrowser = null;
-    sharedBrowserPromise = null;
-    sharedBrowserHeadless = null;
-  }
+const retiringGenerations = new Set();
+let lastRssCheck = { at: 0, rssMb: null };
 
+function launchGeneration(headless) {
   if (!sharedBrowserPromise) {
     sharedBrowserPromise = chromium
       .launch({ headless })
       .then((browser) => {
-        sharedBrowser = browser;
-        sharedBrowserHeadless = headless;
+        const generation = {
+          browser,
+          headless,
+          launchedAt: Date.now(),
+          contextsOpened: 0,
+          activeContexts: 0,
+          retiring: false,
+          closing: false,
+        };
+        browserStats.launches += 1;
         browser.on('disconnected', () => {
-          sharedBrowser = null;
-          sharedBrowserPromise = null;
-          sharedBrowserHeadless = null;
+          if (!generation.retiring && !generation.closing) browserStats.crashes += 1;
+          retiringGenerations.delete(generation);
+          if (sharedGeneration === generation) {
+            sharedGeneration = null;
+            sharedBrowserPromise = null;
+          }
         });
-        return browser;
+        sharedGeneration = generation;
+        return generation;
       })
       .catch((error) => {
-        sharedBrowser = null;
+        sharedGeneration = null;
         sharedBrowserPromise = null;
-        sharedBrowserHeadless = null;
         throw error;
       });
   }
@@ -48,17 +82,273 @@ async function getSharedBrowser(headless) {
   return sharedBrowserPromise;
 }
 
+function readBrowserRssMb() {
+  const now = Date.now();
+  if (now - lastRssCheck.at >= browserRecycle.rssCheckIntervalMs) {
+    lastRssCheck = { at: now, rssMb: readChildProcessRssMb() };
+  }
+  return lastRssCheck.rssMb;
+}
+
+function getRecycleReason(generation) {
+  if (browserRecycle.maxContexts > 0 && generation.contextsOpened >= browserRecycle.maxContexts) {
+    return 'max-contexts';
+  }
+  if (browserRecycle.maxAgeMs > 0 && Date.now() - generation.launchedAt >= browserRecycle.maxAgeMs) {
+    return 'max-age';
+  }
+  if (browserRecycle.maxRssMb > 0) {
+    const rssMb = readBrowserRssMb();
+    if (rssMb !== null && rssMb >= browserRecycle.maxRssMb) return 'max-rss';
+  }
+  return '';
+}
+
+function closeGenerationWhenDrained(generation) {
+  if (!generation.retiring || generation.activeContexts > 0) return;
+  retiringGenerations.delete(generation);
+  generation.browser.close().catch(() => {});
+}
+
+// Browser lama tidak menerima context baru, lalu ditutup setelah semua context aktif selesai.
+function retireGeneration(generation, reason) {
+  if (generation.retiring) return;
+  generation.retiring = true;
+  browserStats.recycles += 1;
+  browserStats.lastRecycleReason = reason;
+  lastRssCheck = { at: 0, rssMb: null };
+  if (sharedGeneration === generation) {
+    sharedGeneration = null;
+    sharedBrowserPromise = null;
+  }
+  retiringGenerations.add(generation);
+  closeGenerationWhenDrained(generation);
+}
+
+async function getSharedGeneration(headless) {
+  const current = sharedGeneration;
+  if (current && current.browser.isConnected()) {
+    const reason = current.headless !== headless ? 'headless-changed' : getRecycleReason(current);
+    if (!reason) return current;
+    retireGeneration(current, reason);
+  }
+  return launchGeneration(headless);
+}
+
 async function closeSharedBrowser() {
-  if (!sharedBrowser) return;
+  const generations = [...retiringGenerations];
+  if (sharedGeneration) generations.push(sharedGeneration);
+  sharedGeneration = null;
+  sharedBrowserPromise = null;
+  retiringGenerations.clear();
+
+  for (const generation of generations) {
+    generation.closing = true;
+  }
+  await Promise.all(generations.map((generation) => generation.browser.close()));
+}
+
+function configureBrowserRecycling(options) {
+  for (const key of Object.keys(browserRecycle)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value) && value >= 0) browserRecycle[key] = value;
+  }
+}
+
+function getBrowserStats() {
+  const current = sharedGeneration;
+  return {
+    ...browserStats,
+    connected: Boolean(current && current.browser.isConnected()),
+    ageMs: current ? Date.now() - current.launchedAt : 0,
+    contextsOpened: current ? current.contextsOpened : 0,
+    retiring: retiringGenerations.size,
+    rssMb: lastRssCheck.rssMb,
+  };
+}
+
+function configureRequestPolicy(options) {
+  requestPolicy = createRequestPolicy(options);
+  return {
+    enabled: requestPolicy.enabled,
+    resourceTypes: requestPolicy.resourceTypes,
+    blockPatterns: requestPolicy.blockPatterns,
+    allowPatterns: requestPolicy.allowPatterns,
+  };
+}
+
+// store = hasil createForensicsStore; tanpa store, bundle forensik tidak dibuat.
+function configureForensics(options = {}) {
+  forensics = options.store
+    ? {
+        store: options.store,
+        skipCodes: new Set(options.skipCodes || []),
+        timeoutMs: options.timeoutMs || 5000,
+      }
+    : null;
+}
+
+function configureRetryPolicy(options) {
+  for (const key of Object.keys(retryPolicy)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value) && value >= 0) retryPolicy[key] = value;
+  }
+}
+
+// Breaker yang sudah ada dibuang supaya konfigurasi baru langsung berlaku.
+function configureCircuitBreaker(options) {
+  for (const key of ['failureThreshold', 'resetTimeoutMs']) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value) && value >= 0) circuitConfig[key] = value;
+  }
+  if (typeof options.onStateChange === 'function') circuitConfig.onStateChange = options.onStateChange;
+  circuitBreakers.clear();
+}
+
+function classifyBreakerOutcome(error) {
+  const code = error && typeof error === 'object' && 'code' in error ? error.code : '';
+  // GAS menjawab dengan jelas: upstream sehat.
+  if (code === 'LOGIN_INVALID_CREDENTIALS' || code === 'TOKEN_INVALID') return 'success';
+  // Masalah di sisi server ini, bukan Apps Script.
+  if (code === 'BUSY' || code === 'BROWSER_DISCONNECTED' || code === 'UPSTREAM_UNAVAILABLE') return 'ignore';
+  return 'failure';
+}
+
+function getCircuitBreaker(baseUrl) {
+  let breaker = circuitBreakers.get(baseUrl);
+  if (!breaker) {
+    breaker = createCircuitBreaker({
+      name: baseUrl,
+      failureThreshold: circuitConfig.failureThreshold,
+      resetTimeoutMs: circuitConfig.resetTimeoutMs,
+      classify: classifyBreakerOutcome,
+      onStateChange: (change) => circuitConfig.onStateChange(change),
+    });
+    circuitBreakers.set(baseUrl, breaker);
+  }
+  return breaker;
+}
+
+function getCircuitBreakerStats(baseUrl) {
+  return getCircuitBreaker(baseUrl).stats();
+}
+
+function isTransientError(error) {
+  return Boolean(error && TRANSIENT_ERROR_CODES.includes(error.code));
+}
+
+// Setiap percobaan lewat breaker: begitu breaker terbuka, sisa retry langsung gagal dengan UPSTREAM_UNAVAILABLE.
+function runGasOperation(operation, { baseUrl, onRetry, logger }, attemptOnce) {
+  const breaker = getCircuitBreaker(baseUrl);
+  return retryWithBackoff(({ willRetry }) => breaker.run(() => attemptOnce(willRetry)), {
+    ...retryPolicy,
+    isRetryable: isTransientError,
+    onRetry: ({ attempt, delayMs, error }) => {
+      logger.warn('GAS_RETRY', { operation, attempt, delayMs, code: error.code, error });
+      if (onRetry) onRetry({ operation, attempt, delayMs, code: error.code });
+    },
+  });
+}
+
+function configureExtractionProfile(profile) {
+  extractionProfile = profile ? validateExtractionProfile(profile) : DEFAULT_PROFILE;
+  return extractionProfile;
+}
+
+function getExtractionProfile() {
+  return extractionProfile;
+}
+
+function configureGasMode(mode) {
+  const normalized = String(mode || 'dom').trim().toLowerCase();
+  if (!GAS_MODES.includes(normalized)) {
+    throw new Error(`Mode GAS "${mode}" tidak dikenal. Pilihan: ${GAS_MODES.join(', ')}.`);
+  }
+  gasMode = normalized;
+  return gasMode;
+}
+
+function getGasMode() {
+  return gasMode;
+}
+
+function configureContextPool(options) {
+  contextPool.configure(options);
+}
+
+function getContextPoolStats() {
+  return contextPool.stats();
+}
+
+// Jika browser mati di tengah operasi, ulangi sekali dengan browser baru.
+async function withBrowserContext(headless, run, logger = NOOP_LOGGER) {
+  const release = await contextPool.acquire();
   try {
-    await sharedBrowser.close();
+    for (let attempt = 0; ; attempt += 1) {
+      const generation = await getSharedGeneration(headless);
+      generation.contextsOpened += 1;
+      generation.activeContexts += 1;
+      try {
+        const context = await generation.browser.newContext();
+        try {
+          const networkStats = createNetworkStats();
+          await attachRequestPolicy(context, requestPolicy, networkStats);
+          return await run(context, networkStats);
+        } finally {
+          await context.close().catch(() => {});
+        }
+      } catch (error) {
+        const crashed = !generation.browser.isConnected() && !generation.closing;
+        if (crashed && attempt === 0) {
+          browserStats.crashRetries += 1;
+          logger.warn('BROWSER_CRASH_RETRY', { error });
+          continue;
+        }
+        if (crashed) {
+          const message = error instanceof Error ? error.message : String(error);
+          throw new CoreError('BROWSER_DISCONNECTED', `Browser terputus saat memproses request. ${message}`);
+        }
+        throw error;
+      } finally {
+        generation.activeContexts -= 1;
+        closeGenerationWhenDrained(generation);
+      }
+    }
   } finally {
-    sharedBrowser = null;
-    sharedBrowserPromise = null;
-    sharedBrowserHeadless = null;
+    release();
   }
 }
 
+// Readiness: cukup buka lalu tutup context di browser bersama. Tidak lewat pool dan tidak dihitung untuk
+// recycle, supaya probe berkala tidak ikut antre di belakang scrape atau memicu relaunch.
+async function checkBrowserContext(headless) {
+  const generation = await getSharedGeneration(headless);
+  generation.activeContexts += 1;
+  try {
+    const context = await generation.browser.newContext();
+    await context.close();
+  } finally {
+    generation.activeContexts -= 1;
+    closeGenerationWhenDrained(generation);
+  }
+}
+
+// Probe sintetis: buka halaman GAS dan pastikan form login profil ekstraksi terlihat (default sandboxFrame > userHtmlFrame).
+// Sengaja tanpa retry dan circuit breaker; hasilnya hanya untuk readiness.
+async function probeLoginForm({ baseUrl, timeoutMs, headless, logger = NOOP_LOGGER }) {
+  const profile = extractionProfile;
+  return withBrowserContext(headless, async (context) => {
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeoutMs);
+    try {
+      await page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+      await waitForLoginForm(page, profile, timeoutMs, timeoutMs);
+    } catch (error) {
+      throw toCoreError(error, 'PROBE_FAILED');
+    }
+  }, logger);
+}
+
 function parseBoolean(value, fallback) {
   if (value === undefined) return fallback;
   const lower = String(value).toLowerCase();
@@ -68,13 +358,8 @@ function parseBoolean(value, fallback) {
 }
 
 function asNumber(value) {
-  if (typeof value === 'number') return Number.isFinite(value) ? value : 0;
-  if (typeof value === 'string') {
-    const cleaned = value.split(',').join('').trim();
-    const parsed = Number(cleaned);
-    return Number.isFinite(parsed) ? parsed : 0;
-  }
-  return 0;
+  const parsed = parseLocaleNumber(value);
+  return parsed === null ? 0 : parsed;
 }
 
 function firstChildByName(frame, name) {
@@ -108,22 +393,29 @@ async function waitForFramePath(page, names, timeoutMs, requireNonBlankUrl = fal
   throw new CoreError('TIMEOUT', `Timeout menunggu frame path. ${lastState}`);
 }
 
-async function waitForTokenOrLoginError(page, timeoutMs) {
+async function waitForLoginForm(page, profile, timeoutMs, selectorTimeoutMs) {
+  const frame = await waitForFramePath(page, profile.framePath, timeoutMs, true);
+  await frame.waitForSelector(profile.login.emailSelector, { timeout: selectorTimeoutMs });
+  await frame.waitForSelector(profile.login.passwordSelector, { timeout: selectorTimeoutMs });
+  return frame;
+}
+
+async function waitForTokenOrLoginError(page, profile, timeoutMs) {
   const start = Date.now();
   let lastUrl = '';
 
   while (Date.now() - start < timeoutMs) {
-    const frame = getFrameByPath(page, ['sandboxFrame', 'userHtmlFrame']);
+    const frame = getFrameByPath(page, profile.framePath);
     if (frame) {
       const url = frame.url();
       lastUrl = url;
 
-      if (url && url.includes('token=')) {
+      if (url && url.includes(`${profile.login.success.urlParam}=`)) {
         return frame;
       }
 
-      const loginError = await frame.evaluate(() => {
-        const errorEl = document.querySelector('#login-error');
+      const loginError = await frame.evaluate((errorSelector) => {
+        const errorEl = document.querySelector(errorSelector);
         if (!errorEl) return { visible: false, text: '' };
 
         const style = window.getComputedStyle(errorEl);
@@ -138,7 +430,7 @@ async function waitForTokenOrLoginError(page, timeoutMs) {
           visible: Boolean(visible),
           text: (errorEl.textContent || '').trim(),
         };
-      });
+      }, profile.login.error.selector);
 
       if (loginError.visible) {
         throw new CoreError('LOGIN_INVALID_CREDENTIALS', loginError.text || 'Email atau password salah.');
@@ -168,25 +460,25 @@ async function findFrameContainingSelector(rootFrame, selector) {
   return null;
 }
 
-async function waitForDashboardDataReady(frame, timeoutMs) {
+async function waitForDashboardDataReady(frame, dashboardProfile, timeoutMs) {
   const start = Date.now();
   let lastState = 'unknown';
 
   while (Date.now() - start < timeoutMs) {
-    const state = await frame.evaluate(() => {
-      const tableBody = document.querySelector('#dashboardTableBody');
+    const state = await frame.evaluate((selectors) => {
+      const tableBody = document.querySelector(selectors.tableBodySelector);
       if (!tableBody) {
         return { ready: false, state: 'TABLE_BODY_NOT_FOUND' };
       }
 
       const text = (tableBody.textContent || '').replace(/\s+/g, ' ').trim();
-      if (/^memuat data\.{0,3}$/i.test(text)) {
+      if (new RegExp(selectors.loadingPattern.pattern, selectors.loadingPattern.flags).test(text)) {
         return { ready: false, state: 'LOADING_PLACEHOLDER' };
       }
 
-      const rows = Array.from(tableBody.querySelectorAll('tr'));
+      const rows = Array.from(tableBody.querySelectorAll(selectors.rowSelector));
       const dataRows = rows.filter((tr) =>
-        Array.from(tr.querySelectorAll('td,th')).some((cell) => (cell.textContent || '').trim().length > 0)
+        Array.from(tr.querySelectorAll(selectors.cellSelector)).some((cell) => (cell.textContent || '').trim().length > 0)
       );
 
       if (dataRows.length === 0) {
@@ -194,7 +486,7 @@ async function waitForDashboardDataReady(frame, timeoutMs) {
       }
 
       return { ready: true, state: 'READY' };
-    });
+    }, dashboardProfile);
 
     lastState = state.state;
     if (state.ready) return;
@@ -205,20 +497,20 @@ async function waitForDashboardDataReady(frame, timeoutMs) {
   throw new CoreError('TIMEOUT', `Timeout menunggu data dashboard siap. State terakhir: ${lastState}`);
 }
 
-async function extractDashboardFromTable(frame) {
-  return frame.evaluate(() => {
-    const tableBody = document.querySelector('#dashboardTableBody');
+async function extractDashboardFromTable(frame, dashboardProfile) {
+  return frame.evaluate((selectors) => {
+    const tableBody = document.querySelector(selectors.tableBodySelector);
     if (!tableBody) return null;
 
     const table = tableBody.closest('table');
     const headers = table
-      ? Array.from(table.querySelectorAll('thead th'))
+      ? Array.from(table.querySelectorAll(selectors.headerSelector))
           .map((th) => (th.textContent || '').trim())
           .filter((h) => h.length > 0)
       : [];
 
-    const rows = Array.from(tableBody.querySelectorAll('tr')).map((tr) =>
-      Array.from(tr.querySelectorAll('td,th')).map((cell) => (cell.textContent || '').trim())
+    const rows = Array.from(tableBody.querySelectorAll(selectors.rowSelector)).map((tr) =>
+      Array.from(tr.querySelectorAll(selectors.cellSelector)).map((cell) => (cell.textContent || '').trim())
     );
 
     const data = rows
@@ -234,125 +526,361 @@ async function extractDashboardFromTable(frame) {
         return cells;
       });
 
-    const pageText = (document.body?.innerText || '').replace(/\s+/g, ' ');
-    const findField = (regex) => {
-      const match = pageText.match(regex);
-      return match ? match[1].trim() : '';
+    // Pertahankan baris baru: field User/Periode dibaca sampai akhir baris.
+    const pageText = (document.body?.innerText || '').replace(/[^\S\r\n]+/g, ' ');
+    const findField = ({ pattern, flags }) => {
+      const match = pageText.match(new RegExp(pattern, flags));
+      return match && match[1] ? match[1].trim() : '';
     };
 
     return {
       source: 'table',
-      user: findField(/user\s*[:\-]\s*([^\n\r]+)/i),
-      periode: findField(/periode\s*[:\-]\s*([^\n\r]+)/i),
-      totalTransaksi: findField(/total\s*transaksi\s*[:\-]\s*([0-9.,]+)/i),
+      user: findField(selectors.fields.user),
+      periode: findField(selectors.fields.periode),
+      totalTransaksi: findField(selectors.fields.totalTransaksi),
       headers,
       data,
     };
-  });
+  }, dashboardProfile);
+}
+
+function readTableHeaders(frame, dashboardProfile) {
+  return frame.evaluate((selectors) => {
+    const tableBody = document.querySelector(selectors.tableBodySelector);
+    const table = tableBody ? tableBody.closest('table') : null;
+    if (!table) return [];
+    return Array.from(table.querySelectorAll(selectors.headerSelector))
+      .map((th) => (th.textContent || '').trim())
+      .filter((h) => h.length > 0);
+  }, dashboardProfile);
+}
+
+// Frame terakhir framePath sudah selesai dimuat, sehingga google.script.run (jika ada) sudah terpasang.
+async function waitForScriptFrame(page, profile, timeoutMs) {
+  const frame = await waitForFramePath(page, profile.framePath, timeoutMs, true);
+  await frame.waitForLoadState('domcontentloaded', { timeout: timeoutMs });
+  return frame;
+}
+
+// Panggil fungsi server Apps Script lewat google.script.run di dalam frame. Runner/fungsi yang tidak ada
+// menjadi RPC_UNAVAILABLE (pemanggil kembali ke DOM); failure handler menjadi fallbackCode.
+async function callScriptFunction(frame, name, args, { timeoutMs, fallbackCode }) {
+  const outcome = await frame.evaluate(
+    ({ functionName, functionArgs, waitMs }) =>
+      new Promise((resolve) => {
+        const run = window.google && window.google.script && window.google.script.run;
+        if (!run || typeof run[functionName] !== 'function') {
+          resolve({ status: 'unavailable', message: `google.script.run.${functionName} tidak tersedia di frame.` });
+          return;
+        }
+        const timer = setTimeout(() => resolve({ status: 'timeout' }), waitMs);
+        const runner = run
+          .withSuccessHandler((value) => {
+            clearTimeout(timer);
+            resolve({ status: 'ok', value });
+          })
+          .withFailureHandler((error) => {
+            clearTimeout(timer);
+            resolve({ status: 'error', message: String((error && error.message) || error) });
+          });
+        runner[functionName](...functionArgs);
+      }),
+    { functionName: name, functionArgs: args, waitMs: timeoutMs }
+  );
+
+  if (outcome.status === 'ok') return outcome.value;
+  if (outcome.status === 'timeout') {
+    throw new CoreError('TIMEOUT', `Fungsi ${name} tidak menjawab dalam ${timeoutMs}ms.`);
+  }
+  // Pesan Apps Script untuk fungsi yang tidak diekspos: "Script function not found: <nama>".
+  if (outcome.status === 'unavailable' || /script function not found/i.test(outcome.message)) {
+    throw new CoreError('RPC_UNAVAILABLE', outcome.message);
+  }
+  throw new CoreError(fallbackCode, `Fungsi ${name} gagal: ${outcome.message}`);
+}
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
 }
 
-function extractTokenParam(tokenizedUrl) {
+// Samakan bentuk rows RPC dengan hasil DOM: semua sel string, baris kosong dibuang, array -> object per header.
+function normalizeRpcRows(rows, headers) {
+  return rows
+    .map((row) =>
+      Array.isArray(row)
+        ? row.map(cellText)
+        : Object.fromEntries(Object.entries(row || {}).map(([key, value]) => [key, cellText(value)]))
+    )
+    .filter((cells) => Object.values(cells).some((c) => c.length > 0))
+    .map((cells) => {
+      if (!Array.isArray(cells) || headers.length === 0 || headers.length !== cells.length) return cells;
+      const record = {};
+      headers.forEach((header, idx) => {
+        record[header] = cells[idx];
+      });
+      return record;
+    });
+}
+
+// Ukur durasi tiap fase Playwright (ke onPhase dan log debug); tetap dilaporkan jika fase gagal.
+function createPhaseTimer(operation, { onPhase, logger = NOOP_LOGGER }) {
+  return async function timePhase(phase, run) {
+    const startedAt = Date.now();
+    let outcome = 'error';
+    try {
+      const result = await run();
+      outcome = 'ok';
+      return result;
+    } finally {
+      const report = { operation, phase, outcome, durationMs: Date.now() - startedAt };
+      logger.debug('PLAYWRIGHT_PHASE', report);
+      if (onPhase) onPhase(report);
+    }
+  };
+}
+
+function toCoreError(error, fallbackCode) {
+  if (error instanceof CoreError) return error;
+  const message = error instanceof Error ? error.message : String(error);
+  if (message.toLowerCase().includes('timeout')) {
+    return new CoreError('TIMEOUT', message);
+  }
+  return new CoreError(fallbackCode, message);
+}
+
+function startForensics(page) {
+  return forensics ? createConsoleRecorder(page) : null;
+}
+
+// Dipanggil sebelum context ditutup. Gagal menyimpan bundle tidak boleh mengganti error aslinya.
+async function captureForensics(page, operation, error, { consoleRecorder, secrets, logger }) {
+  const config = forensics;
+  if (!config || !consoleRecorder || config.skipCodes.has(error.code) || page.isClosed()) return;
+  try {
+    const manifest = await captureFailureBundle(page, {
+      store: config.store,
+      operation,
+      error,
+      consoleLines: consoleRecorder.lines(),
+      secrets,
+      timeoutMs: config.timeoutMs,
+    });
+    error.artifactId = manifest.id;
+    logger.warn('FORENSICS_CAPTURED', { artifactId: manifest.id, operation, code: error.code });
+  } catch (captureError) {
+    logger.error('FORENSICS_CAPTURE_FAILED', { operation, code: error.code, error: captureError });
+  }
+}
+
+function extractTokenParam(tokenizedUrl, param) {
   try {
     const parsed = new URL(tokenizedUrl);
-    return parsed.searchParams.get('token') || '';
+    return parsed.searchParams.get(param) || '';
   } catch {
     return '';
   }
 }
 
-function buildTokenizedUrl(baseUrl, tokenOrUrl) {
+function buildTokenizedUrl(baseUrl, tokenOrUrl, param) {
   if (!tokenOrUrl) return '';
   if (tokenOrUrl.startsWith('http://') || tokenOrUrl.startsWith('https://')) {
     return tokenOrUrl;
   }
 
   const joiner = baseUrl.includes('?') ? '&' : '?';
-  return `${baseUrl}${joiner}token=${encodeURIComponent(tokenOrUrl)}`;
-}
-
-async function loginAndGetToken({
-  baseUrl,
-  email,
-  password,
-  timeoutMs,
-  headless,
-}) {
-  const browser = await getSharedBrowser(headless);
-  const context = await browser.newContext();
-  try {
-    const page = await context.newPage();
-    page.setDefaultTimeout(timeoutMs);
+  return `${baseUrl}${joiner}${param}=${encodeURIComponent(tokenOrUrl)}`;
+}
+
+async function loginAndGetToken(options) {
+  const { baseUrl, onRetry, logger = NOOP_LOGGER } = options;
+  return runGasOperation('login', { baseUrl, onRetry, logger }, (willRetry) => loginOnce(options, willRetry));
+}
 
+// Mode RPC: panggil fungsi login profil langsung, tanpa mengisi form. null = RPC tidak tersedia, pakai form.
+async function loginViaRpc(page, profile, { email, password, timeoutMs, timePhase, logger }) {
+  const { loginFunction } = profile.rpc;
+  if (!loginFunction) return null;
+  try {
+    const frame = await timePhase('frame_wait', () => waitForScriptFrame(page, profile, timeoutMs));
+    const response = await timePhase('login_submit', () =>
+      callScriptFunction(frame, loginFunction, [{ email: email.trim(), password }], {
+        timeoutMs,
+        fallbackCode: 'LOGIN_FAILED',
+      })
+    );
+    if (!response || typeof response !== 'object') {
+      throw new CoreError('LOGIN_FAILED', `Respons ${loginFunction} tidak dikenali.`);
+    }
+    if (!response.success) {
+      throw new CoreError('LOGIN_INVALID_CREDENTIALS', cellText(response.message) || 'Email atau password salah.');
+    }
+    let urlToken = '';
     try {
-      await page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+      urlToken = new URL(String(response.redirectUrl || ''), frame.url()).toString();
+    } catch {
+      // redirectUrl rusak: ditangani sebagai token tidak ditemukan di bawah.
+    }
+    return { urlToken, mode: 'rpc' };
+  } catch (error) {
+    if (!(error instanceof CoreError) || error.code !== 'RPC_UNAVAILABLE') throw error;
+    logger.warn('GAS_RPC_UNAVAILABLE', { operation: 'login', error });
+    return null;
+  }
+}
+
+async function loginViaForm(page, profile, { email, password, timeoutMs, timePhase }) {
+  const loginFrame = await timePhase('frame_wait', () => waitForLoginForm(page, profile, timeoutMs, 10000));
 
-      const loginFrame = await waitForFramePath(page, ['sandboxFrame', 'userHtmlFrame'], timeoutMs, true);
+  const tokenFrame = await timePhase('login_submit', async () => {
+    await loginFrame.fill(profile.login.emailSelector, email.trim());
+    await loginFrame.fill(profile.login.passwordSelector, password);
 
-      await loginFrame.waitForSelector('input[type="email"]', { timeout: 10000 });
-      await loginFrame.waitForSelector('input[type="password"]', { timeout: 10000 });
-      await loginFrame.fill('input[type="email"]', email.trim());
-      await loginFrame.fill('input[type="password"]', password);
+    await Promise.all([
+      page.waitForLoadState('networkidle', { timeout: timeoutMs }),
+      loginFrame.click(profile.login.submitSelector),
+    ]);
 
-      await Promise.all([
-        page.waitForLoadState('networkidle', { timeout: timeoutMs }),
-        loginFrame.click('#loginBtn'),
-      ]);
+    return waitForTokenOrLoginError(page, profile, timeoutMs);
+  });
+  return { urlToken: tokenFrame.url(), mode: 'dom' };
+}
 
-      const tokenFrame = await waitForTokenOrLoginError(page, timeoutMs);
-      const urlToken = tokenFrame.url();
-      const token = extractTokenParam(urlToken);
+async function loginOnce({ baseUrl, email, password, timeoutMs, headless, onPhase, logger = NOOP_LOGGER }, willRetry) {
+  const timePhase = createPhaseTimer('login', { onPhase, logger });
+  const profile = extractionProfile;
+  const mode = gasMode;
+  return withBrowserContext(headless, async (context, networkStats) => {
+    const page = await context.newPage();
+    page.setDefaultTimeout(timeoutMs);
+    const consoleRecorder = startForensics(page);
+
+    try {
+      await timePhase('navigation', () =>
+        page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: timeoutMs })
+      );
+
+      const flow = { email, password, timeoutMs, timePhase, logger };
+      const loggedIn =
+        (mode === 'rpc' && (await loginViaRpc(page, profile, flow))) || (await loginViaForm(page, profile, flow));
+      const { urlToken } = loggedIn;
+      const token = extractTokenParam(urlToken, profile.login.success.urlParam);
       if (!token) {
         throw new CoreError('LOGIN_FAILED', 'Login berhasil, tetapi token tidak ditemukan pada URL hasil login.');
       }
 
       const expiresAt = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
-      return { urlToken, token, expiresAt };
+      return { urlToken, token, expiresAt, mode: loggedIn.mode, network: networkStats.summary() };
     } catch (error) {
-      if (error instanceof CoreError) throw error;
-      const message = error instanceof Error ? error.message : String(error);
-      if (message.toLowerCase().includes('timeout')) {
-        throw new CoreError('TIMEOUT', message);
+      const failure = toCoreError(error, 'LOGIN_FAILED');
+      // Forensik hanya untuk percobaan terakhir.
+      if (!willRetry(failure)) {
+        await captureForensics(page, 'login', failure, { consoleRecorder, secrets: [password], logger });
       }
-      throw new CoreError('LOGIN_FAILED', message);
+      throw failure;
     }
-  } finally {
-    await context.close();
-  }
+  }, logger);
 }
 
-async function fetchDashboardByToken({
-  baseUrl,
-  tokenOrUrl,
-  timeoutMs,
-  headless,
-}) {
-  const targetUrl = buildTokenizedUrl(baseUrl, tokenOrUrl);
-  if (!targetUrl) {
+async function fetchDashboardByToken(options) {
+  const { baseUrl, tokenOrUrl, onRetry, logger = NOOP_LOGGER } = options;
+  if (!tokenOrUrl) {
     throw new CoreError('TOKEN_INVALID', 'Token kosong.');
   }
+  return runGasOperation('dashboard', { baseUrl, onRetry, logger }, (willRetry) => fetchDashboardOnce(options, willRetry));
+}
 
-  const browser = await getSharedBrowser(headless);
-  const context = await browser.newContext();
+// Mode RPC (opt-in lewat rpc.dashboardFunction): fungsi harus mengembalikan { success, user, periode,
+// totalTransaksi, rows, headers? }. Header diambil dari respons, atau dari <thead> halaman.
+// success:false (mis. sesi habis) kembali ke DOM, yang membedakan TOKEN_INVALID dari kegagalan lain; jika langsung
+// dianggap error upstream, beberapa sesi habis saja sudah membuka circuit breaker untuk semua user toko.
+async function fetchDashboardViaRpc(page, profile, { token, timeoutMs, timePhase, logger }) {
+  const { dashboardFunction } = profile.rpc;
+  if (!dashboardFunction) return null;
   try {
+    const frame = await timePhase('frame_wait', () => waitForScriptFrame(page, profile, timeoutMs));
+    return await timePhase('extraction', async () => {
+      const response = await callScriptFunction(frame, dashboardFunction, [token], {
+        timeoutMs,
+        fallbackCode: 'DASHBOARD_FETCH_FAILED',
+      });
+      if (!response || typeof response !== 'object') {
+        throw new CoreError('DASHBOARD_PARSE_FAILED', `Respons ${dashboardFunction} tidak dikenali.`);
+      }
+      if (response.success !== true) {
+        logger.warn('GAS_RPC_REJECTED', { operation: 'dashboard', message: cellText(response.message) });
+        return null;
+      }
+      if (!Array.isArray(response.rows)) {
+        throw new CoreError('DASHBOARD_PARSE_FAILED', `Respons ${dashboardFunction} tidak memuat rows.`);
+      }
+      let headers = Array.isArray(response.headers)
+        ? response.headers.map(cellText)
+        : await readTableHeaders(frame, profile.dashboard);
+      const firstRow = response.rows[0];
+      if (headers.length === 0 && firstRow && typeof firstRow === 'object' && !Array.isArray(firstRow)) {
+        headers = Object.keys(firstRow);
+      }
+      return {
+        source: 'rpc',
+        user: cellText(response.user),
+        periode: cellText(response.periode),
+        totalTransaksi: response.totalTransaksi,
+        headers,
+        data: normalizeRpcRows(response.rows, headers),
+      };
+    });
+  } catch (error) {
+    if (!(error instanceof CoreError) || error.code !== 'RPC_UNAVAILABLE') throw error;
+    logger.warn('GAS_RPC_UNAVAILABLE', { operation: 'dashboard', error });
+    return null;
+  }
+}
+
+async function scrapeDashboardTable(page, profile, { timeoutMs, timePhase }) {
+  const { tableBodySelector } = profile.dashboard;
+  const dataFrame = await timePhase('frame_wait', async () => {
+    const initialFrame = await waitForFramePath(page, profile.framePath, timeoutMs, true);
+    const frame =
+      (await findFrameContainingSelector(initialFrame, tableBodySelector)) ||
+      (await findFrameContainingSelector(page.mainFrame(), tableBodySelector));
+    if (!frame) {
+      throw new CoreError('TOKEN_INVALID', `Data table (${tableBodySelector}) tidak ditemukan. Token mungkin tidak valid.`);
+    }
+    return frame;
+  });
+
+  await timePhase('table_ready', () => waitForDashboardDataReady(dataFrame, profile.dashboard, timeoutMs));
+  const extracted = await timePhase('extraction', () => extractDashboardFromTable(dataFrame, profile.dashboard));
+  if (!extracted) {
+    throw new CoreError('DASHBOARD_PARSE_FAILED', 'Gagal parsing data table dashboard.');
+  }
+  return extracted;
+}
+
+async function fetchDashboardOnce(
+  { baseUrl, tokenOrUrl, timeoutMs, headless, onPhase, logger = NOOP_LOGGER },
+  willRetry
+) {
+  const timePhase = createPhaseTimer('dashboard', { onPhase, logger });
+  const profile = extractionProfile;
+  const mode = gasMode;
+  const targetUrl = buildTokenizedUrl(baseUrl, tokenOrUrl, profile.login.success.urlParam);
+
+  return withBrowserContext(headless, async (context, networkStats) => {
     const page = await context.newPage();
     page.setDefaultTimeout(timeoutMs);
+    const consoleRecorder = startForensics(page);
     try {
-      await page.goto(targetUrl, { waitUntil: 'networkidle', timeout: timeoutMs });
-
-      const initialFrame = await waitForFramePath(page, ['sandboxFrame', 'userHtmlFrame'], timeoutMs, true);
-      let dataFrame = await findFrameContainingSelector(initialFrame, '#dashboardTableBody');
-      if (!dataFrame) {
-        dataFrame = await findFrameContainingSelector(page.mainFrame(), '#dashboardTableBody');
-      }
-      if (!dataFrame) {
-        throw new CoreError('TOKEN_INVALID', 'Data table (#dashboardTableBody) tidak ditemukan. Token mungkin tidak valid.');
-      }
+      // Halaman bertoken tetap dibuka pada mode RPC: google.script.run butuh frame, dan DOM siap sebagai cadangan.
+      await timePhase('navigation', () =>
+        page.goto(targetUrl, { waitUntil: 'networkidle', timeout: timeoutMs })
+      );
 
-      await waitForDashboardDataReady(dataFrame, timeoutMs);
-      const extracted = await extractDashboardFromTable(dataFrame);
-      if (!extracted) {
-        throw new CoreError('DASHBOARD_PARSE_FAILED', 'Gagal parsing data table dashboard.');
-      }
+      const token = extractTokenParam(targetUrl, profile.login.success.urlParam);
+      const flow = { token, timeoutMs, timePhase, logger };
+      const extracted =
+        (mode === 'rpc' && token && (await fetchDashboardViaRpc(page, profile, flow))) ||
+        (await scrapeDashboardTable(page, profile, flow));
 
       return {
         source: extracted.source,
@@ -363,23 +891,38 @@ async function fetchDashboardByToken({
         headers: Array.isArray(extracted.headers) ? extracted.headers : [],
         data: Array.isArray(extracted.data) ? extracted.data : [],
         tokenizedUrl: targetUrl,
+        network: networkStats.summary(),
       };
     } catch (error) {
-      if (error instanceof CoreError) throw error;
-      const message = error instanceof Error ? error.message : String(error);
-      if (message.toLowerCase().includes('timeout')) {
-        throw new CoreError('TIMEOUT', message);
+      const failure = toCoreError(error, 'DASHBOARD_FETCH_FAILED');
+      if (!willRetry(failure)) {
+        const secrets = [extractTokenParam(targetUrl, profile.login.success.urlParam) || tokenOrUrl];
+        await captureForensics(page, 'dashboard', failure, { consoleRecorder, secrets, logger });
       }
-      throw new CoreError('DASHBOARD_FETCH_FAILED', message);
+      throw failure;
     }
-  } finally {
-    await context.close();
-  }
+  }, logger);
 }
 
 module.exports = {
+  CoreError,
   parseBoolean,
   loginAndGetToken,
   fetchDashboardByToken,
   closeSharedBrowser,
+  configureContextPool,
+  getContextPoolStats,
+  configureBrowserRecycling,
+  getBrowserStats,
+  configureRequestPolicy,
+  configureForensics,
+  configureRetryPolicy,
+  configureCircuitBreaker,
+  getCircuitBreakerStats,
+  configureExtractionProfile,
+  getExtractionProfile,
+  configureGasMode,
+  getGasMode,
+  checkBrowserContext,
+  probeLoginForm,
 };
@@ -0,0 +1,33 @@
+// Menggabungkan pemanggilan paralel dengan key yang sama menjadi satu eksekusi.
+// owner milik pemanggil pertama diteruskan ke onJoin pemanggil berikutnya (mis. untuk korelasi log).
+function createInflightGroup() {
+  const pending = new Map();
+
+  function run(key, task, { onSettled, onJoin, owner } = {}) {
+    const existing = pending.get(key);
+    if (existing) {
+      existing.waiters += 1;
+      if (onJoin) onJoin(existing.owner);
+      return existing.promise;
+    }
+
+    const record = { waiters: 0, owner, promise: null };
+    record.promise = Promise.resolve()
+      .then(task)
+      .finally(() => {
+        pending.delete(key);
+        if (onSettled) onSettled(record.waiters);
+      });
+    pending.set(key, record);
+    return record.promise;
+  }
+
+  return {
+    run,
+    size: () => pending.size,
+  };
+}
+
+module.exports = {
+  createInflightGroup,
+};
@@ -0,0 +1,85 @@
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED = '[REDACTED]';
+
+// Nama field yang nilainya selalu disamarkan, di level mana pun dalam object.
+const SENSITIVE_KEY_PATTERN = /^pass$|password$|secret$|token$|^authorization$|^cookie$|^credentials?$/i;
+
+const SENSITIVE_VALUE_PATTERNS = [
+  // Parameter token di URL GAS (termasuk di dalam pesan error Playwright).
+  [/([?&](?:token|password)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/(Bearer\s+)[^\s"']+/gi, `$1${REDACTED}`],
+  // Session token (gps1.) dan refresh token (gpr1.) server ini.
+  [/\bgp[sr]1\.[A-Za-z0-9._~-]+/g, REDACTED],
+];
+
+function parseLogLevel(value, fallback = 'info') {
+  const level = String(value || '').trim().toLowerCase() || fallback;
+  if (!(level in LOG_LEVELS)) {
+    throw new Error(`LOG_LEVEL tidak dikenal: "${value}". Pilihan: ${Object.keys(LOG_LEVELS).join(', ')}.`);
+  }
+  return level;
+}
+
+function redactString(value) {
+  return SENSITIVE_VALUE_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) {
+    const serialized = { message: redactString(value.message) };
+    if ('code' in value) serialized.code = value.code;
+    return serialized;
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= 6) return '[Object]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const output = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    output[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== '' ? REDACTED : redact(item, depth + 1);
+  }
+  return output;
+}
+
+// Logger JSON per baris: { level, time, event, ...field }. child() menambah field tetap (mis. requestId).
+function createLogger({
+  level = 'info',
+  base = {},
+  now = Date.now,
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LOG_LEVELS[parseLogLevel(level)];
+  const fixed = redact(base);
+
+  function log(entryLevel, event, fields) {
+    if (LOG_LEVELS[entryLevel] < threshold) return;
+    const entry = { level: entryLevel, time: new Date(now()).toISOString(), event, ...fixed, ...redact(fields || {}) };
+    write(JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    isLevelEnabled: (entryLevel) => LOG_LEVELS[entryLevel] >= threshold,
+    debug: (event, fields) => log('debug', event, fields),
+    info: (event, fields) => log('info', event, fields),
+    warn: (event, fields) => log('warn', event, fields),
+    error: (event, fields) => log('error', event, fields),
+    bindings: () => ({ ...base }),
+    child: (fields) => createLogger({ level, base: { ...base, ...fields }, now, write }),
+  };
+}
+
+// Dipakai modul core jika pemanggil tidak memberi logger.
+const NOOP_LOGGER = createLogger({ level: 'silent' });
+
+module.exports = {
+  LOG_LEVELS,
+  REDACTED,
+  NOOP_LOGGER,
+  parseLogLevel,
+  redactString,
+  redact,
+  createLogger,
+};
@@ -0,0 +1,131 @@
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+// Nilai label diurutkan sesuai labelNames; label yang tidak diisi menjadi string kosong.
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map((name) => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+}
+
+// Registry metrik minimal dengan format teks Prometheus (versi 0.0.4), tanpa dependency tambahan.
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = new Map();
+
+  function register(type, { name, help, labelNames = [], collect }) {
+    const fullName = `${prefix}${name}`;
+    if (!METRIC_NAME_PATTERN.test(fullName)) {
+      throw new Error(`Nama metrik tidak valid: ${fullName}.`);
+    }
+    if (metrics.has(fullName)) {
+      throw new Error(`Metrik ${fullName} sudah terdaftar.`);
+    }
+    const metric = { type, name: fullName, help: help || fullName, labelNames, collect, series: new Map() };
+    metrics.set(fullName, metric);
+    return metric;
+  }
+
+  function seriesFor(metric, labels, init) {
+    const values = labelValues(metric.labelNames, labels);
+    const key = JSON.stringify(values);
+    let series = metric.series.get(key);
+    if (!series) {
+      series = { values, ...init() };
+      metric.series.set(key, series);
+    }
+    return series;
+  }
+
+  function counter(options) {
+    const metric = register('counter', options);
+    return {
+      inc(labels, value = 1) {
+        if (!(value >= 0)) throw new Error(`Counter ${metric.name} hanya boleh bertambah.`);
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  // collect() opsional: dipanggil saat render untuk mengisi nilai dari sumber luar (mis. stats browser).
+  function gauge(options) {
+    const metric = register('gauge', options);
+    return {
+      set(labels, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = Number(value);
+      },
+    };
+  }
+
+  function histogram(options) {
+    const buckets = Array.from(new Set(options.buckets || DEFAULT_BUCKETS)).sort((a, b) => a - b);
+    const metric = register('histogram', options);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const series = seriesFor(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+        buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+      },
+    };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`];
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    if (metric.collect) {
+      for (const sample of metric.collect()) {
+        const values = labelValues(metric.labelNames, sample.labels);
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, values)} ${formatValue(Number(sample.value))}`);
+      }
+    }
+    for (const series of metric.series.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(metric.labelNames, series.values)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        const le = `le="${formatValue(bound)}"`;
+        lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, le)} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(metric.labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(metric.labelNames, series.values)} ${formatValue(series.sum)}`);
+      lines.push(`${metric.name}_count${formatLabels(metric.labelNames, series.values)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+
+  function render() {
+    return `${Array.from(metrics.values(), renderMetric).join('\n')}\n`;
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createMetricsRegistry,
+};
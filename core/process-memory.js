@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+
+function readParentPid(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // Field ke-4 setelah "(comm)"; comm bisa berisi spasi, jadi potong dari ')' terakhir.
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    return Number(fields[1]);
+  } catch {
+    return null;
+  }
+}
+
+function readRssBytes(pid) {
+  try {
+    const statm = fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ');
+    return Number(statm[1]) * 4096;
+  } catch {
+    return 0;
+  }
+}
+
+// Daftar PID turunan (anak, cucu, ...) dari rootPid. Hanya tersedia di Linux (/proc).
+function listDescendantPids(rootPid = process.pid) {
+  if (os.platform() !== 'linux') return [];
+  let entries;
+  try {
+    entries = fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name));
+  } catch {
+    return [];
+  }
+
+  const childrenByParent = new Map();
+  for (const name of entries) {
+    const pid = Number(name);
+    const parent = readParentPid(pid);
+    if (parent === null) continue;
+    if (!childrenByParent.has(parent)) childrenByParent.set(parent, []);
+    childrenByParent.get(parent).push(pid);
+  }
+
+  const result = [];
+  const stack = [...(childrenByParent.get(rootPid) || [])];
+  while (stack.length > 0) {
+    const pid = stack.pop();
+    result.push(pid);
+    stack.push(...(childrenByParent.get(pid) || []));
+  }
+  return result;
+}
+
+// Total RSS proses anak (Chromium dan renderer-nya) dalam MB; null jika tidak bisa dibaca.
+function readChildProcessRssMb(rootPid = process.pid) {
+  if (os.platform() !== 'linux') return null;
+  const pids = listDescendantPids(rootPid);
+  const totalBytes = pids.reduce((sum, pid) => sum + readRssBytes(pid), 0);
+  return Math.round(totalBytes / (1024 * 1024));
+}
+
+module.exports = {
+  listDescendantPids,
+  readChildProcessRssMb,
+};
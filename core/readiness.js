@@ -0,0 +1,70 @@
+const { CoreError, withTimeout } = require('./errors');
+
+// checks: [{ name, run, timeoutMs, ttlMs, failureTtlMs }]. Hasil tiap check di-cache sesuai TTL supaya
+// probe mahal tidak dijalankan di setiap request readiness; request bersamaan menunggu run yang sama.
+function createReadinessChecker({ checks = [], now = Date.now, onResult = () => {} } = {}) {
+  const states = checks.map((check) => ({
+    check: { ttlMs: 0, timeoutMs: 10000, ...check },
+    result: null,
+    checkedAtMs: 0,
+    pending: null,
+    lastFailure: null,
+  }));
+
+  async function runCheck(state) {
+    const { check } = state;
+    const startedAt = now();
+    try {
+      await withTimeout(
+        Promise.resolve().then(check.run),
+        check.timeoutMs,
+        `Check ${check.name} tidak selesai dalam ${check.timeoutMs}ms.`
+      );
+      state.result = { status: 'ok', latencyMs: now() - startedAt };
+    } catch (error) {
+      const failure = error instanceof CoreError ? error : new CoreError('CHECK_FAILED', String(error && error.message));
+      state.lastFailure = { code: failure.code, message: failure.message, at: new Date(now()).toISOString() };
+      state.result = { status: 'fail', latencyMs: now() - startedAt };
+    }
+    state.checkedAtMs = startedAt;
+    onResult({ name: check.name, ...state.result, lastFailure: state.lastFailure });
+  }
+
+  function isFresh(state) {
+    if (!state.result) return false;
+    const { ttlMs, failureTtlMs = ttlMs } = state.check;
+    const maxAge = state.result.status === 'ok' ? ttlMs : Math.min(ttlMs, failureTtlMs);
+    return maxAge > 0 && now() - state.checkedAtMs < maxAge;
+  }
+
+  async function evaluate(state) {
+    if (isFresh(state)) return true;
+    if (!state.pending) {
+      state.pending = runCheck(state).finally(() => {
+        state.pending = null;
+      });
+    }
+    await state.pending;
+    return false;
+  }
+
+  async function check() {
+    const cached = await Promise.all(states.map(evaluate));
+    const report = {};
+    states.forEach((state, index) => {
+      report[state.check.name] = {
+        ...state.result,
+        checkedAt: new Date(state.checkedAtMs).toISOString(),
+        cached: cached[index],
+        lastFailure: state.lastFailure,
+      };
+    });
+    return { ready: states.every((state) => state.result.status === 'ok'), checks: report };
+  }
+
+  return { check };
+}
+
+module.exports = {
+  createReadinessChecker,
+};
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REFRESH_TOKEN_PREFIX = 'gpr1';
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+function deriveMasterKey(rawKey) {
+  return crypto.createHash('sha256').update(String(rawKey)).digest();
+}
+
+// Kunci enkripsi diturunkan dari master key + refresh token, jadi kredensial hanya bisa dibuka oleh pemegang token.
+function deriveRecordKey(masterKey, refreshToken) {
+  return Buffer.from(crypto.hkdfSync('sha256', masterKey, refreshToken, 'gas-credentials', 32));
+}
+
+function encryptCredentials(masterKey, refreshToken, credentials) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveRecordKey(masterKey, refreshToken), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decryptCredentials(masterKey, refreshToken, encrypted) {
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    deriveRecordKey(masterKey, refreshToken),
+    Buffer.from(encrypted.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+function createRefreshStore({ filePath, encryptionKey, maxLifetimeMs, now = Date.now }) {
+  if (!encryptionKey) {
+    throw new Error('Encryption key refresh store wajib diisi.');
+  }
+  const masterKey = deriveMasterKey(encryptionKey);
+  const records = new Map();
+  // Hash token yang sudah dirotasi -> { familyId, expiresAt }. Dipakai lagi = token bocor: seluruh keluarga dicabut.
+  const consumed = new Map();
+
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [hash, record] of Object.entries(parsed.records || {})) {
+      records.set(hash, record);
+    }
+    for (const [hash, entry] of Object.entries(parsed.consumed || {})) {
+      consumed.set(hash, entry);
+    }
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const content = JSON.stringify(
+      { version: 1, records: Object.fromEntries(records), consumed: Object.fromEntries(consumed) },
+      null,
+      2
+    );
+    fs.writeFileSync(tmpPath, content, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function newRefreshToken() {
+    return `${REFRESH_TOKEN_PREFIX}.${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  function create({ email, password, user, storeId }) {
+    const refreshToken = newRefreshToken();
+    const createdAt = now();
+    const record = {
+      familyId: crypto.randomBytes(8).toString('hex'),
+      user: user || '',
+      storeId: storeId || '',
+      createdAt,
+      rotatedAt: createdAt,
+      expiresAt: createdAt + maxLifetimeMs,
+      credentials: encryptCredentials(masterKey, refreshToken, { email, password }),
+    };
+    records.set(hashRefreshToken(refreshToken), record);
+    persist();
+    return { refreshToken, expiresAt: new Date(record.expiresAt).toISOString() };
+  }
+
+  function revokeFamily(familyId) {
+    let removed = 0;
+    for (const [hash, record] of records) {
+      if (record.familyId === familyId) {
+        records.delete(hash);
+        removed += 1;
+      }
+    }
+    for (const [hash, entry] of consumed) {
+      if (entry.familyId === familyId) consumed.delete(hash);
+    }
+    persist();
+    return removed;
+  }
+
+  // Buka kredensial tanpa mengubah apa pun; rotasi dilakukan terpisah setelah login ulang sukses.
+  function open(refreshToken) {
+    if (typeof refreshToken !== 'string' || !refreshToken.startsWith(`${REFRESH_TOKEN_PREFIX}.`)) {
+      return { ok: false, code: 'REFRESH_TOKEN_INVALID', message: 'Refresh token tidak valid.' };
+    }
+    const hash = hashRefreshToken(refreshToken);
+    const reused = consumed.get(hash);
+    if (reused) {
+      const revoked = revokeFamily(reused.familyId);
+      return {
+        ok: false,
+        code: 'REFRESH_TOKEN_REUSED',
+        message: 'Refresh token sudah pernah dipakai; semua sesi remember me terkait dicabut.',
+        revoked,
+      };
+    }
+    const record = records.get(hash);
+    if (!record) {
+      return { ok: false, code: 'REFRESH_TOKEN_INVALID', message: 'Refresh token tidak dikenal atau sudah dicabut.' };
+    }
+    if (now() >= record.expiresAt) {
+      records.delete(hash);
+      persist();
+      return { ok: false, code: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token melewati masa berlaku maksimum.' };
+    }
+
+    let credentials;
+    try {
+      credentials = decryptCredentials(masterKey, refreshToken, record.credentials);
+    } catch {
+      return { ok: false, code: 'REFRESH_TOKEN_INVALID', message: 'Kredensial tersimpan tidak bisa didekripsi.' };
+    }
+    return {
+      ok: true,
+      credentials,
+      user: record.user,
+      storeId: record.storeId || '',
+      expiresAt: new Date(record.expiresAt).toISOString(),
+    };
+  }
+
+  // Ganti refresh token lama dengan yang baru; umur maksimum tetap dihitung dari login pertama.
+  function rotate(refreshToken) {
+    const oldHash = hashRefreshToken(refreshToken);
+    const record = records.get(oldHash);
+    if (!record) return null;
+
+    const credentials = decryptCredentials(masterKey, refreshToken, record.credentials);
+    const nextToken = newRefreshToken();
+    records.delete(oldHash);
+    consumed.set(oldHash, { familyId: record.familyId, expiresAt: record.expiresAt });
+    records.set(hashRefreshToken(nextToken), {
+      ...record,
+      rotatedAt: now(),
+      credentials: encryptCredentials(masterKey, nextToken, credentials),
+    });
+    persist();
+    return { refreshToken: nextToken, expiresAt: new Date(record.expiresAt).toISOString() };
+  }
+
+  function revoke(refreshToken) {
+    if (typeof refreshToken !== 'string') return false;
+    const removed = records.delete(hashRefreshToken(refreshToken));
+    if (removed) persist();
+    return removed;
+  }
+
+  function purgeExpired() {
+    const current = now();
+    let removed = 0;
+    let purgedConsumed = 0;
+    for (const [hash, record] of records) {
+      if (current >= record.expiresAt) {
+        records.delete(hash);
+        removed += 1;
+      }
+    }
+    for (const [hash, entry] of consumed) {
+      if (current >= entry.expiresAt) {
+        consumed.delete(hash);
+        purgedConsumed += 1;
+      }
+    }
+    if (removed > 0 || purgedConsumed > 0) persist();
+    return removed;
+  }
+
+  load();
+
+  return {
+    create,
+    open,
+    rotate,
+    revoke,
+    purgeExpired,
+    size: () => records.size,
+  };
+}
+
+module.exports = {
+  REFRESH_TOKEN_PREFIX,
+  hashRefreshToken,
+  createRefreshStore,
+};
@@ -0,0 +1,109 @@
+const DEFAULT_REQUEST_POLICY = {
+  enabled: true,
+  resourceTypes: ['image', 'media', 'font', 'stylesheet'],
+  blockPatterns: [
+    '*://www.google.com/jsapi*',
+    '*google-analytics.com/*',
+    '*googletagmanager.com/*',
+    '*doubleclick.net/*',
+    '*fonts.googleapis.com/*',
+    '*fonts.gstatic.com/*',
+  ],
+  // google.script.run memanggil endpoint di script.google.com dan sandbox googleusercontent; jangan pernah diblok.
+  allowPatterns: ['*://script.google.com/macros/*', '*://*.googleusercontent.com/*'],
+};
+
+// Allowlist hanya melindungi tipe yang dibutuhkan halaman GAS untuk jalan. Aset (gambar, font, CSS)
+// dari googleusercontent tetap diblok menurut tipenya.
+const ALLOWLIST_RESOURCE_TYPES = new Set(['document', 'script', 'xhr', 'fetch']);
+
+function globToRegex(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map((item) => String(item).trim()).filter(Boolean);
+  if (typeof value !== 'string') return null;
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function createRequestPolicy(options = {}) {
+  const resourceTypes = parseList(options.resourceTypes) || DEFAULT_REQUEST_POLICY.resourceTypes;
+  const blockPatterns = parseList(options.blockPatterns) || DEFAULT_REQUEST_POLICY.blockPatterns;
+  const allowPatterns = parseList(options.allowPatterns) || DEFAULT_REQUEST_POLICY.allowPatterns;
+  const policy = {
+    enabled: options.enabled === undefined ? DEFAULT_REQUEST_POLICY.enabled : Boolean(options.enabled),
+    resourceTypes,
+    blockPatterns,
+    allowPatterns,
+  };
+  const blockRegexes = blockPatterns.map(globToRegex);
+  const allowRegexes = allowPatterns.map(globToRegex);
+  const blockedTypes = new Set(resourceTypes.map((type) => type.toLowerCase()));
+
+  // Hasil: '' jika request boleh lanjut, atau alasan blok ('type:image' / 'pattern').
+  function classify(url, resourceType) {
+    if (!policy.enabled) return '';
+    if (resourceType === 'document') return '';
+    if (ALLOWLIST_RESOURCE_TYPES.has(resourceType) && allowRegexes.some((regex) => regex.test(url))) return '';
+    if (blockedTypes.has(resourceType)) return `type:${resourceType}`;
+    if (blockRegexes.some((regex) => regex.test(url))) return 'pattern';
+    return '';
+  }
+
+  return {
+    ...policy,
+    classify,
+  };
+}
+
+function createNetworkStats() {
+  const startedAt = Date.now();
+  const stats = { requests: 0, blocked: 0, blockedByType: {} };
+
+  return {
+    record(resourceType, blocked) {
+      stats.requests += 1;
+      if (!blocked) return;
+      stats.blocked += 1;
+      stats.blockedByType[resourceType] = (stats.blockedByType[resourceType] || 0) + 1;
+    },
+    summary() {
+      return {
+        requests: stats.requests,
+        blocked: stats.blocked,
+        blockedByType: { ...stats.blockedByType },
+        durationMs: Date.now() - startedAt,
+      };
+    },
+  };
+}
+
+async function attachRequestPolicy(context, policy, networkStats) {
+  if (!policy.enabled) {
+    context.on('request', (request) => networkStats.record(request.resourceType(), false));
+    return;
+  }
+
+  await context.route('**/*', (route) => {
+    const request = route.request();
+    const resourceType = request.resourceType();
+    const reason = policy.classify(request.url(), resourceType);
+    networkStats.record(resourceType, Boolean(reason));
+    if (reason) {
+      return route.abort('blockedbyclient').catch(() => {});
+    }
+    return route.continue().catch(() => {});
+  });
+}
+
+module.exports = {
+  DEFAULT_REQUEST_POLICY,
+  createRequestPolicy,
+  createNetworkStats,
+  attachRequestPolicy,
+};
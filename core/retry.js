@@ -0,0 +1,31 @@
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function computeBackoffDelay(attempt, { baseDelayMs = 1000, maxDelayMs = 10000 } = {}) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+// run({ attempt, willRetry }) diulang selama error-nya isRetryable dan jatah retry masih ada.
+// willRetry(error) memberi tahu percobaan ini apakah kegagalannya akan diulang (mis. untuk menunda forensik).
+async function retryWithBackoff(
+  run,
+  { retries = 0, baseDelayMs = 1000, maxDelayMs = 10000, isRetryable = () => false, onRetry = () => {}, wait = sleep } = {}
+) {
+  for (let attempt = 1; ; attempt += 1) {
+    const willRetry = (error) => attempt <= retries && Boolean(isRetryable(error));
+    try {
+      return await run({ attempt, willRetry });
+    } catch (error) {
+      if (!willRetry(error)) throw error;
+      const delayMs = computeBackoffDelay(attempt, { baseDelayMs, maxDelayMs });
+      onRetry({ attempt, delayMs, error });
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  computeBackoffDelay,
+  retryWithBackoff,
+};
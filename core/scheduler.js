@@ -0,0 +1,195 @@
+const { CoreError, describeError } = require('./errors');
+const { parseCron } = require('./cron');
+const { createContextPool } = require('./context-pool');
+
+// setTimeout maksimum ~24,8 hari; jadwal yang lebih jauh dicek ulang bertahap.
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+function validateJobs(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new Error('Konfigurasi job harus berupa array.');
+  }
+  const seen = new Set();
+  return definitions.map((definition, index) => {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error(`Job #${index + 1} harus berupa object.`);
+    }
+    const id = String(definition.id || '').trim();
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(id)) {
+      throw new Error(`Job #${index + 1}: id wajib diisi (huruf, angka, _ atau -).`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`Job id "${id}" dipakai lebih dari sekali.`);
+    }
+    seen.add(id);
+    const jitterMs = definition.jitterMs === undefined ? undefined : Number(definition.jitterMs);
+    if (jitterMs !== undefined && (!Number.isFinite(jitterMs) || jitterMs < 0)) {
+      throw new Error(`Job "${id}": jitterMs harus angka >= 0.`);
+    }
+    return {
+      ...definition,
+      id,
+      cron: parseCron(definition.cron),
+      jitterMs,
+      enabled: definition.enabled !== false,
+    };
+  });
+}
+
+function createScheduler({
+  jobs,
+  runJob,
+  maxConcurrent = 1,
+  queueTimeoutMs = 10 * 60 * 1000,
+  defaultJitterMs = 0,
+  now = Date.now,
+  random = Math.random,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+  onEvent = () => {},
+}) {
+  const definitions = validateJobs(jobs);
+  // Antrian sendiri untuk job background, supaya polling tidak menghabiskan slot browser milik request user.
+  const pool = createContextPool({
+    maxContexts: maxConcurrent,
+    maxQueue: Math.max(1, definitions.length),
+    queueTimeoutMs,
+  });
+  const states = new Map();
+  let started = false;
+
+  for (const definition of definitions) {
+    states.set(definition.id, {
+      definition,
+      timer: null,
+      running: null,
+      info: {
+        id: definition.id,
+        cron: definition.cron.expression,
+        enabled: definition.enabled,
+        nextRunAt: null,
+        running: false,
+        runs: 0,
+        failures: 0,
+        skippedOverlaps: 0,
+        lastTrigger: null,
+        lastStartedAt: null,
+        lastFinishedAt: null,
+        lastDurationMs: null,
+        lastStatus: null,
+        lastResult: null,
+        lastError: null,
+      },
+    });
+  }
+
+  function scheduleNext(state) {
+    if (!started || !state.definition.enabled) return;
+    const baseMs = state.definition.cron.next(now());
+    if (baseMs === null) {
+      state.info.nextRunAt = null;
+      return;
+    }
+    const jitterMs = state.definition.jitterMs ?? defaultJitterMs;
+    const targetMs = baseMs + Math.floor(random() * jitterMs);
+    state.info.nextRunAt = new Date(targetMs).toISOString();
+    armTimer(state, targetMs);
+  }
+
+  function armTimer(state, targetMs) {
+    const delay = Math.max(0, targetMs - now());
+    state.timer = setTimer(() => {
+      state.timer = null;
+      if (now() < targetMs) {
+        armTimer(state, targetMs);
+        return;
+      }
+      trigger(state, 'schedule').catch(() => {});
+      scheduleNext(state);
+    }, Math.min(delay, MAX_TIMER_MS));
+    if (state.timer && typeof state.timer.unref === 'function') state.timer.unref();
+  }
+
+  async function execute(state, source) {
+    const { info } = state;
+    let release = null;
+    let startedAtMs = now();
+    info.lastTrigger = source;
+    try {
+      release = await pool.acquire();
+      startedAtMs = now();
+      info.lastStartedAt = new Date(startedAtMs).toISOString();
+      info.runs += 1;
+      onEvent({ type: 'start', id: info.id, trigger: source });
+      info.lastResult = await runJob(state.definition);
+      info.lastStatus = 'ok';
+      onEvent({ type: 'success', id: info.id, durationMs: now() - startedAtMs });
+    } catch (error) {
+      info.failures += 1;
+      info.lastStatus = 'error';
+      info.lastError = { ...describeError(error, 'JOB_FAILED'), at: new Date(now()).toISOString() };
+      onEvent({ type: 'error', id: info.id, error: info.lastError });
+    } finally {
+      if (release) release();
+      info.lastFinishedAt = new Date(now()).toISOString();
+      info.lastDurationMs = now() - startedAtMs;
+    }
+  }
+
+  // Satu eksekusi per job; pemicu baru saat job masih jalan dilewati (jadwal) atau ditolak (manual).
+  function trigger(state, source) {
+    if (state.running) {
+      if (source === 'schedule') state.info.skippedOverlaps += 1;
+      onEvent({ type: 'overlap', id: state.info.id, trigger: source });
+      return Promise.reject(new CoreError('JOB_RUNNING', `Job ${state.info.id} masih berjalan.`));
+    }
+    state.info.running = true;
+    state.running = execute(state, source).finally(() => {
+      state.running = null;
+      state.info.running = false;
+    });
+    return state.running;
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    for (const state of states.values()) scheduleNext(state);
+  }
+
+  function stop() {
+    started = false;
+    for (const state of states.values()) {
+      if (state.timer) clearTimer(state.timer);
+      state.timer = null;
+      state.info.nextRunAt = null;
+    }
+  }
+
+  function snapshot(state) {
+    return { ...state.info };
+  }
+
+  async function runNow(id) {
+    const state = states.get(id);
+    if (!state) {
+      throw new CoreError('JOB_NOT_FOUND', `Job ${id} tidak ditemukan.`);
+    }
+    await trigger(state, 'manual');
+    return snapshot(state);
+  }
+
+  return {
+    start,
+    stop,
+    runNow,
+    list: () => Array.from(states.values(), snapshot),
+    get: (id) => (states.has(id) ? snapshot(states.get(id)) : null),
+    size: () => states.size,
+  };
+}
+
+module.exports = {
+  validateJobs,
+  createScheduler,
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+const SESSION_TOKEN_PREFIX = 'gps1';
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+function isSessionToken(token) {
+  return typeof token === 'string' && token.startsWith(`${SESSION_TOKEN_PREFIX}.`);
+}
+
+// Envelope: gps1.<payload base64url>.<hmac>; payload berisi token GAS, toko penerbit, waktu terbit/expired,
+// dan user tersamar.
+function createSessionTokenCodec({ secret, ttlMs, now = Date.now }) {
+  if (!secret) {
+    throw new Error('Secret session token wajib diisi.');
+  }
+
+  function issue({ gasToken, user, storeId }) {
+    const issuedAt = now();
+    const payload = {
+      t: gasToken,
+      u: user || '',
+      s: storeId || '',
+      iat: issuedAt,
+      exp: issuedAt + ttlMs,
+    };
+    const encoded = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    const body = `${SESSION_TOKEN_PREFIX}.${encoded}`;
+    return {
+      token: `${body}.${sign(secret, body)}`,
+      issuedAt: new Date(payload.iat).toISOString(),
+      expiresAt: new Date(payload.exp).toISOString(),
+    };
+  }
+
+  function verify(token) {
+    if (!isSessionToken(token)) {
+      return { ok: false, code: 'TOKEN_INVALID', message: 'Token bukan session token server.' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      return { ok: false, code: 'TOKEN_INVALID', message: 'Format session token tidak valid.' };
+    }
+
+    const body = `${parts[0]}.${parts[1]}`;
+    const expected = Buffer.from(sign(secret, body));
+    const actual = Buffer.from(parts[2]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { ok: false, code: 'TOKEN_INVALID', message: 'Signature session token tidak valid.' };
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch {
+      return { ok: false, code: 'TOKEN_INVALID', message: 'Payload session token tidak valid.' };
+    }
+    if (!payload || typeof payload.t !== 'string' || !payload.t || !Number.isFinite(payload.exp)) {
+      return { ok: false, code: 'TOKEN_INVALID', message: 'Payload session token tidak lengkap.' };
+    }
+
+    const session = {
+      gasToken: payload.t,
+      user: typeof payload.u === 'string' ? payload.u : '',
+      // Token lama tanpa field toko: string kosong, diperlakukan sebagai toko default oleh server.
+      storeId: typeof payload.s === 'string' ? payload.s : '',
+      issuedAt: new Date(payload.iat).toISOString(),
+      expiresAt: new Date(payload.exp).toISOString(),
+      remainingSeconds: Math.max(0, Math.floor((payload.exp - now()) / 1000)),
+    };
+    if (now() >= payload.exp) {
+      return { ok: false, code: 'TOKEN_EXPIRED', message: 'Session token sudah expired. Silakan login ulang.', session };
+    }
+    return { ok: true, session };
+  }
+
+  return {
+    issue,
+    verify,
+  };
+}
+
+module.exports = {
+  SESSION_TOKEN_PREFIX,
+  isSessionToken,
+  createSessionTokenCodec,
+};
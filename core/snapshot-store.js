@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_ID_PATTERN = /^snap_[0-9a-z]+_[0-9a-f]{8}$/;
+
+function toMeta(snapshot, defaultStore) {
+  return {
+    id: snapshot.id,
+    // Snapshot lama (sebelum multi toko) dianggap milik toko default.
+    store: snapshot.store || defaultStore,
+    user: snapshot.user,
+    periode: snapshot.periode,
+    totalTransaksi: snapshot.totalTransaksi,
+    rowCount: snapshot.rowCount,
+    capturedAt: snapshot.capturedAt,
+  };
+}
+
+// Isi yang dibandingkan untuk melewati snapshot yang sama dengan snapshot terbaru.
+function contentFingerprint(snapshot) {
+  const content = JSON.stringify([snapshot.totalTransaksi ?? null, snapshot.headers || [], snapshot.data || []]);
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+function byCapturedDesc(a, b) {
+  return b.capturedAt.localeCompare(a.capturedAt) || b.id.localeCompare(a.id);
+}
+
+// Satu file JSON per snapshot; index metadata disimpan di memori dan dibangun ulang saat start.
+function createSnapshotStore({ dir, maxPerKey = 100, defaultStore = '', now = Date.now }) {
+  if (!dir) {
+    throw new Error('Direktori snapshot wajib diisi.');
+  }
+  const index = new Map();
+  const fingerprints = new Map();
+
+  function filePathFor(id) {
+    return path.join(dir, `${id}.json`);
+  }
+
+  function load() {
+    if (!fs.existsSync(dir)) return;
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith('.json')) continue;
+      try {
+        const snapshot = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        if (!SNAPSHOT_ID_PATTERN.test(snapshot.id)) continue;
+        index.set(snapshot.id, toMeta(snapshot, defaultStore));
+        fingerprints.set(snapshot.id, contentFingerprint(snapshot));
+      } catch {
+        // File rusak/setengah tertulis diabaikan.
+      }
+    }
+  }
+
+  function listByKey(store, user, periode) {
+    return Array.from(index.values())
+      .filter((meta) => meta.store === store && meta.user === user && meta.periode === periode)
+      .sort(byCapturedDesc);
+  }
+
+  function enforceRetention(store, user, periode) {
+    const metas = listByKey(store, user, periode);
+    for (const meta of metas.slice(maxPerKey)) {
+      index.delete(meta.id);
+      fingerprints.delete(meta.id);
+      fs.rmSync(filePathFor(meta.id), { force: true });
+    }
+  }
+
+  // null jika isi sama dengan snapshot terbaru untuk toko + user + periode yang sama (mis. tick stream tanpa perubahan).
+  function record(dashboard) {
+    const capturedAtMs = now();
+    const snapshot = {
+      id: `snap_${capturedAtMs.toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+      store: dashboard.store || defaultStore,
+      user: dashboard.user || '',
+      periode: dashboard.periode || '',
+      totalTransaksi: dashboard.totalTransaksi,
+      rowCount: dashboard.rowCount,
+      capturedAt: new Date(capturedAtMs).toISOString(),
+      headers: dashboard.headers || [],
+      data: dashboard.data || [],
+    };
+    const fingerprint = contentFingerprint(snapshot);
+    const [latest] = listByKey(snapshot.store, snapshot.user, snapshot.periode);
+    if (latest && fingerprints.get(latest.id) === fingerprint) return null;
+
+    fs.mkdirSync(dir, { recursive: true });
+    const target = filePathFor(snapshot.id);
+    fs.writeFileSync(`${target}.tmp`, JSON.stringify(snapshot), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(`${target}.tmp`, target);
+    index.set(snapshot.id, toMeta(snapshot, defaultStore));
+    fingerprints.set(snapshot.id, fingerprint);
+    enforceRetention(snapshot.store, snapshot.user, snapshot.periode);
+    return toMeta(snapshot, defaultStore);
+  }
+
+  function list({ store, user, periode, limit } = {}) {
+    const metas = Array.from(index.values())
+      .filter(
+        (meta) =>
+          (store === undefined || meta.store === store) &&
+          (user === undefined || meta.user === user) &&
+          (!periode || meta.periode === periode)
+      )
+      .sort(byCapturedDesc);
+    return limit ? metas.slice(0, limit) : metas;
+  }
+
+  function get(id) {
+    if (typeof id !== 'string' || !SNAPSHOT_ID_PATTERN.test(id) || !index.has(id)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(filePathFor(id), 'utf8'));
+    } catch {
+      index.delete(id);
+      fingerprints.delete(id);
+      return null;
+    }
+  }
+
+  load();
+
+  return {
+    record,
+    list,
+    get,
+    size: () => index.size,
+  };
+}
+
+module.exports = {
+  createSnapshotStore,
+};
@@ -0,0 +1,78 @@
+const DEFAULT_STORE_ID = 'default';
+const STORE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const STORE_FIELDS = ['name', 'baseUrl', 'timeoutMs'];
+
+function validateBaseUrl(baseUrl, storeId) {
+  let parsed;
+  try {
+    parsed = new URL(String(baseUrl || ''));
+  } catch {
+    throw new Error(`Toko "${storeId}": baseUrl tidak valid.`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Toko "${storeId}": baseUrl harus http atau https.`);
+  }
+  return String(baseUrl).trim();
+}
+
+function buildStore(id, config, { defaultTimeoutMs }) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Toko "${id}" harus berupa object { baseUrl, name, timeoutMs }.`);
+  }
+  const unknown = Object.keys(config).filter((key) => !STORE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Toko "${id}": field tidak dikenal ${unknown.join(', ')}.`);
+  }
+  if (config.name !== undefined && (typeof config.name !== 'string' || !config.name.trim())) {
+    throw new Error(`Toko "${id}": name harus berupa string tidak kosong.`);
+  }
+  const timeoutMs = config.timeoutMs === undefined ? defaultTimeoutMs : config.timeoutMs;
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new Error(`Toko "${id}": timeoutMs harus bilangan bulat positif.`);
+  }
+  return Object.freeze({
+    id,
+    name: config.name ? config.name.trim() : id,
+    baseUrl: validateBaseUrl(config.baseUrl, id),
+    timeoutMs,
+    isDefault: id === DEFAULT_STORE_ID,
+  });
+}
+
+// Toko "default" dibangun dari APPS_SCRIPT_URL dan dilayani route lama (tanpa prefix /stores/:storeId).
+// stores: object { "<id>": { baseUrl, name?, timeoutMs? } } untuk toko tambahan.
+function createStoreRegistry({ defaultStore, stores = {}, defaultTimeoutMs }) {
+  if (!stores || typeof stores !== 'object' || Array.isArray(stores)) {
+    throw new Error('Daftar toko harus berupa object dengan id toko sebagai key.');
+  }
+  const registry = new Map();
+  registry.set(DEFAULT_STORE_ID, buildStore(DEFAULT_STORE_ID, defaultStore, { defaultTimeoutMs }));
+
+  for (const [id, config] of Object.entries(stores)) {
+    if (id === DEFAULT_STORE_ID) {
+      throw new Error(`Id toko "${DEFAULT_STORE_ID}" dipakai untuk APPS_SCRIPT_URL; pilih id lain.`);
+    }
+    if (!STORE_ID_PATTERN.test(id)) {
+      throw new Error(`Id toko "${id}" tidak valid: huruf kecil, angka, "-" atau "_", maksimal 40 karakter.`);
+    }
+    const store = buildStore(id, config, { defaultTimeoutMs });
+    // Token GAS dari deployment yang sama berlaku di kedua toko, jadi binding token per toko tidak berarti.
+    const duplicate = Array.from(registry.values()).find((existing) => existing.baseUrl === store.baseUrl);
+    if (duplicate) {
+      throw new Error(`Toko "${id}" memakai baseUrl yang sama dengan toko "${duplicate.id}".`);
+    }
+    registry.set(id, store);
+  }
+
+  return {
+    defaultStore: registry.get(DEFAULT_STORE_ID),
+    get: (id) => registry.get(id) || null,
+    list: () => Array.from(registry.values()),
+    size: () => registry.size,
+  };
+}
+
+module.exports = {
+  DEFAULT_STORE_ID,
+  createStoreRegistry,
+};
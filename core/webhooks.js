@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CoreError } = require('./errors');
+const { EVENT_TYPES } = require('./change-events');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Signature: HMAC-SHA256 dari "<timestamp>.<body>", dikirim sebagai "sha256=<hex>".
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function validateSubscription({ url, secret, events, user, store }) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    throw new CoreError('INVALID_WEBHOOK', 'url webhook tidak valid.');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new CoreError('INVALID_WEBHOOK', 'url webhook harus http atau https.');
+  }
+  if (typeof secret !== 'string' || secret.length < 16) {
+    throw new CoreError('INVALID_WEBHOOK', 'secret webhook minimal 16 karakter.');
+  }
+  const list = Array.isArray(events) ? events.map((event) => String(event).trim()) : [];
+  if (list.length === 0) {
+    throw new CoreError('INVALID_WEBHOOK', `events wajib diisi. Pilihan: ${EVENT_TYPES.join(', ')}, atau "*".`);
+  }
+  const unknown = list.filter((event) => event !== '*' && !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    throw new CoreError('INVALID_WEBHOOK', `Event tidak dikenal: ${unknown.join(', ')}.`);
+  }
+  if (user !== undefined && user !== null && typeof user !== 'string') {
+    throw new CoreError('INVALID_WEBHOOK', 'user harus berupa string.');
+  }
+  if (store !== undefined && store !== null && typeof store !== 'string') {
+    throw new CoreError('INVALID_WEBHOOK', 'store harus berupa string.');
+  }
+  return {
+    url: parsed.toString(),
+    secret,
+    events: Array.from(new Set(list)),
+    user: user ? user.trim() : '',
+    store: store ? store.trim() : '',
+  };
+}
+
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function toPublicDelivery(delivery) {
+  const { body, ...rest } = delivery;
+  return rest;
+}
+
+function createWebhookManager({
+  filePath,
+  maxAttempts = 5,
+  retryBaseMs = 1000,
+  retryMaxMs = 5 * 60 * 1000,
+  timeoutMs = 10000,
+  logMax = 500,
+  fetchImpl = fetch,
+  now = Date.now,
+  setTimer = setTimeout,
+  onEvent = () => {},
+}) {
+  const webhooks = new Map();
+  const deliveries = new Map();
+
+  // Log delivery (termasuk body untuk replay) disimpan di file yang sama; delivery pending dilanjutkan setelah restart.
+  function load() {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const webhook of parsed.webhooks || []) webhooks.set(webhook.id, webhook);
+    for (const delivery of parsed.deliveries || []) deliveries.set(delivery.id, delivery);
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    const content = JSON.stringify(
+      { version: 1, webhooks: Array.from(webhooks.values()), deliveries: Array.from(deliveries.values()) },
+      null,
+      2
+    );
+    fs.writeFileSync(tmpPath, content, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function subscribe(input) {
+    const valid = validateSubscription(input || {});
+    const webhook = { id: newId('wh'), ...valid, createdAt: new Date(now()).toISOString() };
+    webhooks.set(webhook.id, webhook);
+    persist();
+    return toPublicWebhook(webhook);
+  }
+
+  function unsubscribe(id) {
+    const removed = webhooks.delete(id);
+    if (removed) persist();
+    return removed;
+  }
+
+  function trimLog() {
+    while (deliveries.size > logMax) {
+      const oldest = Array.from(deliveries.values()).find((delivery) => delivery.status !== 'pending');
+      if (!oldest) break;
+      deliveries.delete(oldest.id);
+    }
+  }
+
+  function backoffMs(attempt) {
+    return Math.min(retryMaxMs, retryBaseMs * 2 ** (attempt - 1));
+  }
+
+  function scheduleAttempt(delivery, delay) {
+    const timer = setTimer(() => {
+      attempt(delivery).catch(() => {});
+    }, delay);
+    if (timer && typeof timer.unref === 'function') timer.unref();
+  }
+
+  async function attempt(delivery) {
+    const webhook = webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Webhook sudah dihapus.';
+      delivery.nextAttemptAt = null;
+      persist();
+      return;
+    }
+
+    const timestamp = String(Math.floor(now() / 1000));
+    delivery.attempts += 1;
+    delivery.updatedAt = new Date(now()).toISOString();
+    try {
+      const res = await fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'gas-dashboard-webhook/1',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      delivery.lastStatusCode = res.status;
+      if (res.ok) {
+        delivery.status = 'success';
+        delivery.lastError = null;
+        delivery.nextAttemptAt = null;
+        persist();
+        onEvent({ type: 'delivered', delivery: toPublicDelivery(delivery) });
+        return;
+      }
+      delivery.lastError = `HTTP ${res.status}`;
+    } catch (error) {
+      delivery.lastStatusCode = null;
+      delivery.lastError = error instanceof Error ? error.message : String(error);
+    }
+
+    if (delivery.attempts >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      persist();
+      onEvent({ type: 'failed', delivery: toPublicDelivery(delivery) });
+      return;
+    }
+    const delay = backoffMs(delivery.attempts);
+    delivery.nextAttemptAt = new Date(now() + delay).toISOString();
+    scheduleAttempt(delivery, delay);
+    persist();
+    onEvent({ type: 'retry', delivery: toPublicDelivery(delivery), delayMs: delay });
+  }
+
+  function enqueue(webhook, { eventId, eventType, body, replayOf = null }) {
+    const createdAt = new Date(now()).toISOString();
+    const delivery = {
+      id: newId('dlv'),
+      webhookId: webhook.id,
+      eventId,
+      eventType,
+      replayOf,
+      status: 'pending',
+      attempts: 0,
+      lastStatusCode: null,
+      lastError: null,
+      createdAt,
+      updatedAt: createdAt,
+      nextAttemptAt: createdAt,
+      body,
+    };
+    deliveries.set(delivery.id, delivery);
+    trimLog();
+    persist();
+    attempt(delivery).catch(() => {});
+    return toPublicDelivery(delivery);
+  }
+
+  // Kirim event ke semua webhook yang berlangganan; tidak menunggu pengiriman selesai.
+  function publish(type, data) {
+    const event = { id: newId('evt'), type, createdAt: new Date(now()).toISOString(), data };
+    const body = JSON.stringify(event);
+    const targets = Array.from(webhooks.values()).filter(
+      (webhook) =>
+        (webhook.events.includes('*') || webhook.events.includes(type)) &&
+        (!webhook.user || !data || data.user === undefined || webhook.user === data.user) &&
+        (!webhook.store || !data || data.store === undefined || webhook.store === data.store)
+    );
+    return targets.map((webhook) => enqueue(webhook, { eventId: event.id, eventType: type, body }));
+  }
+
+  function replay(deliveryId) {
+    const original = deliveries.get(deliveryId);
+    if (!original) {
+      throw new CoreError('DELIVERY_NOT_FOUND', `Delivery ${deliveryId} tidak ditemukan.`);
+    }
+    const webhook = webhooks.get(original.webhookId);
+    if (!webhook) {
+      throw new CoreError('WEBHOOK_NOT_FOUND', `Webhook ${original.webhookId} sudah dihapus.`);
+    }
+    return enqueue(webhook, {
+      eventId: original.eventId,
+      eventType: original.eventType,
+      body: original.body,
+      replayOf: original.id,
+    });
+  }
+
+  function listDeliveries({ webhookId, limit = 50 } = {}) {
+    return Array.from(deliveries.values())
+      .filter((delivery) => !webhookId || delivery.webhookId === webhookId)
+      .reverse()
+      .slice(0, limit)
+      .map(toPublicDelivery);
+  }
+
+  load();
+  for (const delivery of deliveries.values()) {
+    if (delivery.status !== 'pending') continue;
+    scheduleAttempt(delivery, Math.max(0, Date.parse(delivery.nextAttemptAt) - now() || 0));
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    publish,
+    replay,
+    list: () => Array.from(webhooks.values(), toPublicWebhook),
+    get: (id) => (webhooks.has(id) ? toPublicWebhook(webhooks.get(id)) : null),
+    listDeliveries,
+    getDelivery: (id) => (deliveries.has(id) ? toPublicDelivery(deliveries.get(id)) : null),
+    size: () => webhooks.size,
+  };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  createWebhookManager,
+};
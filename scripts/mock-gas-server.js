@@ -0,0 +1,363 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_HEADERS = ['No', 'Tanggal', 'Kasir', 'Produk', 'Qty', 'Total'];
+const DEFAULT_ROWS = [
+  ['1', '16/02/2026', 'Ani', 'Kopi Susu', '2', 'Rp 30.000'],
+  ['2', '16/02/2026', 'Budi', 'Roti Bakar', '1', 'Rp 18.500'],
+  ['3', '17/02/2026', 'Ani', 'Teh Manis', '5', 'Rp 25.000'],
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function queryString(req) {
+  const index = req.originalUrl.indexOf('?');
+  return index >= 0 ? req.originalUrl.slice(index) : '';
+}
+
+function sleep(ms) {
+  return ms > 0 ? new Promise((resolve) => setTimeout(resolve, ms)) : Promise.resolve();
+}
+
+// PNG 1x1 transparan untuk aset statis halaman (dipakai untuk mengukur request blocking).
+const PIXEL_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+const STATIC_ASSETS_HTML = `<link rel="stylesheet" href="/static/mock.css">
+<img src="/static/logo.png" alt="" width="1" height="1">`;
+
+// Meniru google.script.run: withSuccessHandler/withFailureHandler lalu panggil nama fungsi server.
+const GOOGLE_SCRIPT_RUN_SHIM = `
+<script>
+  (function () {
+    function createRunner(onSuccess, onFailure) {
+      return new Proxy({}, {
+        get: function (_, name) {
+          if (name === 'withSuccessHandler') return function (fn) { return createRunner(fn, onFailure); };
+          if (name === 'withFailureHandler') return function (fn) { return createRunner(onSuccess, fn); };
+          return function () {
+            var args = Array.prototype.slice.call(arguments);
+            fetch('/rpc/' + encodeURIComponent(String(name)), {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ args: args }),
+            })
+              .then(function (res) { return res.json(); })
+              .then(function (payload) {
+                if (payload.error) {
+                  if (onFailure) onFailure(new Error(payload.error));
+                  return;
+                }
+                if (onSuccess) onSuccess(payload.result);
+              })
+              .catch(function (error) { if (onFailure) onFailure(error); });
+          };
+        },
+      });
+    }
+    window.google = { script: { run: createRunner(null, null) } };
+  })();
+</script>`;
+
+function renderTopPage(query) {
+  return `<!DOCTYPE html><html><head><title>Mock GAS</title></head><body style="margin:0">
+<iframe name="sandboxFrame" src="/sandbox${escapeHtml(query)}" style="border:0;width:100%;height:100vh"></iframe>
+</body></html>`;
+}
+
+function renderSandboxPage(query) {
+  // userHtmlFrame sengaja dibuat about:blank dulu, sama seperti GAS asli.
+  return `<!DOCTYPE html><html><head></head><body style="margin:0">
+<iframe name="userHtmlFrame" style="border:0;width:100%;height:100vh"></iframe>
+<script>
+  setTimeout(function () {
+    document.querySelector('iframe[name="userHtmlFrame"]').src = ${JSON.stringify(`/userhtml${query}`)};
+  }, 50);
+</script>
+</body></html>`;
+}
+
+function renderLoginPage() {
+  return `<!DOCTYPE html><html lang="id"><head>
+<meta charset="UTF-8">
+<title>Lay - Mock</title>
+<style>.error { display: none; }</style>
+${GOOGLE_SCRIPT_RUN_SHIM}
+</head><body>
+  ${STATIC_ASSETS_HTML}
+  <div class="login-container">
+    <input type="email" id="email" autocomplete="username">
+    <input type="password" id="password" autocomplete="current-password">
+    <button onclick="login()" id="loginBtn">LOGIN</button>
+    <div id="login-error" class="error"></div>
+  </div>
+  <script>
+    function login() {
+      var email = document.getElementById('email').value.trim();
+      var password = document.getElementById('password').value;
+      if (!email || !password) {
+        showError('Email dan password harus diisi!');
+        return;
+      }
+      var btn = document.getElementById('loginBtn');
+      btn.disabled = true;
+      google.script.run
+        .withSuccessHandler(function (response) {
+          if (response.success) {
+            setTimeout(function () { window.location.href = response.redirectUrl; }, 100);
+          } else {
+            showError(response.message);
+            btn.disabled = false;
+          }
+        })
+        .withFailureHandler(function (error) {
+          showError('Terjadi kesalahan: ' + error.message);
+          btn.disabled = false;
+        })
+        .checkLogin({ email: email, password: password });
+    }
+    function showError(message) {
+      var errorDiv = document.getElementById('login-error');
+      errorDiv.textContent = message;
+      errorDiv.style.display = 'block';
+      setTimeout(function () { errorDiv.style.display = 'none'; }, 4000);
+    }
+  </script>
+</body></html>`;
+}
+
+function renderDashboardPage(token, headers) {
+  const headerCells = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  return `<!DOCTYPE html><html lang="id"><head>
+<meta charset="UTF-8">
+<title>Dashboard - Mock</title>
+${GOOGLE_SCRIPT_RUN_SHIM}
+</head><body>
+  ${STATIC_ASSETS_HTML}
+  <div id="info"></div>
+  <table>
+    <thead><tr>${headerCells}</tr></thead>
+    <tbody id="dashboardTableBody"><tr><td colspan="${headers.length}">Memuat data...</td></tr></tbody>
+  </table>
+  <script>
+    google.script.run
+      .withSuccessHandler(function (response) {
+        if (!response.success) {
+          document.getElementById('dashboardTableBody').innerHTML = '';
+          document.getElementById('info').textContent = response.message;
+          return;
+        }
+        var info = document.getElementById('info');
+        info.innerHTML = '';
+        [['User', response.user], ['Periode', response.periode], ['Total Transaksi', response.totalTransaksi]]
+          .forEach(function (pair) {
+            var line = document.createElement('div');
+            line.textContent = pair[0] + ': ' + pair[1];
+            info.appendChild(line);
+          });
+        var body = document.getElementById('dashboardTableBody');
+        body.innerHTML = '';
+        response.rows.forEach(function (cells) {
+          var tr = document.createElement('tr');
+          cells.forEach(function (value) {
+            var td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+          });
+          body.appendChild(tr);
+        });
+      })
+      .getDashboardData(${JSON.stringify(token)});
+  </script>
+</body></html>`;
+}
+
+function createMockGasServer(options = {}) {
+  const config = {
+    users: options.users || [{ email: 'kasir@example.com', password: 'rahasia', name: 'Kasir Mock' }],
+    headers: options.headers || DEFAULT_HEADERS,
+    rows: options.rows || DEFAULT_ROWS,
+    periode: options.periode || 'Februari 2026',
+    totalTransaksi: options.totalTransaksi || '73.500',
+    tokenTtlMs: Number(options.tokenTtlMs || 3 * 60 * 60 * 1000),
+    pageDelayMs: Number(options.pageDelayMs || 0),
+    loginDelayMs: Number(options.loginDelayMs || 0),
+    dashboardDelayMs: Number(options.dashboardDelayMs || 0),
+  };
+  const tokens = new Map();
+  const stats = { pageViews: 0, staticHits: 0, rpcCalls: {} };
+
+  function issueToken(user) {
+    const token = crypto.randomBytes(24).toString('base64url');
+    tokens.set(token, { user, expiresAt: Date.now() + config.tokenTtlMs });
+    return token;
+  }
+
+  function lookupToken(token) {
+    const record = token ? tokens.get(token) : null;
+    if (!record) return null;
+    if (Date.now() >= record.expiresAt) return null;
+    return record;
+  }
+
+  function expireToken(token) {
+    const record = tokens.get(token);
+    if (record) record.expiresAt = 0;
+  }
+
+  function expireAllTokens() {
+    for (const record of tokens.values()) record.expiresAt = 0;
+  }
+
+  function configure(patch) {
+    Object.assign(config, patch);
+  }
+
+  const rpcHandlers = {
+    async checkLogin(credentials) {
+      await sleep(config.loginDelayMs);
+      const email = String(credentials?.email || '').trim().toLowerCase();
+      const password = String(credentials?.password || '');
+      const user = config.users.find((u) => u.email.toLowerCase() === email && u.password === password);
+      if (!user) {
+        return { success: false, message: 'Email atau password salah!' };
+      }
+      const token = issueToken(user);
+      return { success: true, redirectUrl: `/userhtml?token=${encodeURIComponent(token)}` };
+    },
+    async getDashboardData(token) {
+      await sleep(config.dashboardDelayMs);
+      const record = lookupToken(token);
+      if (!record) {
+        return { success: false, message: 'Sesi berakhir. Silakan login ulang.' };
+      }
+      return {
+        success: true,
+        user: record.user.name,
+        periode: config.periode,
+        totalTransaksi: config.totalTransaksi,
+        rows: config.rows,
+      };
+    },
+  };
+
+  const app = express();
+  app.use(express.json({ limit: '100kb' }));
+
+  app.get('/static/logo.png', (req, res) => {
+    stats.staticHits += 1;
+    res.type('png').send(PIXEL_PNG);
+  });
+
+  app.get('/static/mock.css', (req, res) => {
+    stats.staticHits += 1;
+    res.type('css').send('body { font-family: sans-serif; }');
+  });
+
+  app.use(async (req, res, next) => {
+    if (req.method === 'GET') {
+      stats.pageViews += 1;
+      await sleep(config.pageDelayMs);
+    }
+    next();
+  });
+
+  app.get('/macros/s/:deploymentId/exec', (req, res) => {
+    res.type('html').send(renderTopPage(queryString(req)));
+  });
+
+  app.get('/sandbox', (req, res) => {
+    res.type('html').send(renderSandboxPage(queryString(req)));
+  });
+
+  app.get('/userhtml', (req, res) => {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    if (lookupToken(token)) {
+      return res.type('html').send(renderDashboardPage(token, config.headers));
+    }
+    return res.type('html').send(renderLoginPage());
+  });
+
+  app.post('/rpc/:name', async (req, res) => {
+    const handler = Object.prototype.hasOwnProperty.call(rpcHandlers, req.params.name)
+      ? rpcHandlers[req.params.name]
+      : null;
+    stats.rpcCalls[req.params.name] = (stats.rpcCalls[req.params.name] || 0) + 1;
+    if (!handler) {
+      return res.json({ error: `Script function not found: ${req.params.name}` });
+    }
+    const args = Array.isArray(req.body?.args) ? req.body.args : [];
+    try {
+      return res.json({ result: await handler(...args) });
+    } catch (error) {
+      return res.json({ error: error instanceof Error ? error.message : String(error) });
+    }
+  });
+
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      const server = app.listen(port, host, () => {
+        const address = server.address();
+        const origin = `http://${host}:${address.port}`;
+        resolve({
+          server,
+          origin,
+          appsScriptUrl: `${origin}/macros/s/mock-deployment/exec`,
+          close: () => new Promise((done) => server.close(() => done())),
+        });
+      });
+      server.on('error', reject);
+    });
+  }
+
+  return {
+    app,
+    config,
+    stats,
+    listen,
+    configure,
+    issueToken,
+    expireToken,
+    expireAllTokens,
+  };
+}
+
+if (require.main === module) {
+  const mock = createMockGasServer({
+    users: [
+      {
+        email: process.env.MOCK_GAS_EMAIL || 'kasir@example.com',
+        password: process.env.MOCK_GAS_PASSWORD || 'rahasia',
+        name: process.env.MOCK_GAS_USER_NAME || 'Kasir Mock',
+      },
+    ],
+    tokenTtlMs: process.env.MOCK_GAS_TOKEN_TTL_MS,
+    pageDelayMs: process.env.MOCK_GAS_PAGE_DELAY_MS,
+    loginDelayMs: process.env.MOCK_GAS_LOGIN_DELAY_MS,
+    dashboardDelayMs: process.env.MOCK_GAS_DASHBOARD_DELAY_MS,
+  });
+
+  mock
+    .listen(Number(process.env.MOCK_GAS_PORT || 3100))
+    .then(({ appsScriptUrl }) => {
+      console.log(`Mock GAS jalan. Set APPS_SCRIPT_URL=${appsScriptUrl}`);
+    })
+    .catch((error) => {
+      console.error('Mock GAS gagal start:', error instanceof Error ? error.message : String(error));
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  createMockGasServer,
+};
@@ -3,6 +3,7 @@ require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const { chromium } = require('playwright');
+const { buildFrameTree, logFrameTree } = require('../core/frame-tree');
 
 const APPS_SCRIPT_URL =
   process.env.APPS_SCRIPT_URL ||
@@ -30,22 +31,6 @@ function ensureDir(dirPath) {
   }
 }
 
-function logFrameTree(frame, indent = 0) {
-  const pad = ' '.repeat(indent);
-  console.log(`${pad}- name="${frame.name() || '(no-name)'}" url="${frame.url()}"`);
-  for (const child of frame.childFrames()) {
-    logFrameTree(child, indent + 2);
-  }
-}
-
-function buildFrameTree(frame) {
-  return {
-    name: frame.name() || '(no-name)',
-    url: frame.url(),
-    children: frame.childFrames().map((child) => buildFrameTree(child)),
-  };
-}
-
 function firstChildByName(frame, name) {
   return frame.childFrames().find((f) => f.name() === name) || null;
 }
@@ -1,36 +1,468 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const {
   parseBoolean,
   loginAndGetToken,
   fetchDashboardByToken,
   closeSharedBrowser,
+  configureContextPool,
+  getContextPoolStats,
+  configureBrowserRecycling,
+  getBrowserStats,
+  configureRequestPolicy,
+  configureForensics,
+  configureRetryPolicy,
+  configureCircuitBreaker,
+  getCircuitBreakerStats,
+  configureExtractionProfile,
+  configureGasMode,
+  checkBrowserContext,
+  probeLoginForm,
+  CoreError,
 } = require('./core/gas-playwright');
+const { validateColumnSchema, typeDashboardRows } = require('./core/dashboard-types');
+const { createDashboardCache } = require('./core/dashboard-cache');
+const { parseDashboardQueryParams, bindDashboardQuery, applyDashboardQuery } = require('./core/dashboard-query');
+const { parseTopLimit, summarizeDashboard } = require('./core/dashboard-summary');
+const {
+  EXPORT_FORMATS,
+  resolveExportFormat,
+  parseCsvDelimiter,
+  buildExportFilename,
+  buildCsv,
+  buildNdjson,
+  buildDashboardXlsx,
+} = require('./core/dashboard-export');
+const { createInflightGroup } = require('./core/inflight');
+const { isSessionToken, createSessionTokenCodec } = require('./core/session-token');
+const { createRefreshStore } = require('./core/refresh-store');
+const { createSnapshotStore } = require('./core/snapshot-store');
+const { diffDashboards } = require('./core/dashboard-diff');
+const { createScheduler } = require('./core/scheduler');
+const { createChangeTracker, createLoginFailureTracker } = require('./core/change-events');
+const { createWebhookManager } = require('./core/webhooks');
+const { formatSseEvent, createDashboardStreamHub } = require('./core/dashboard-stream');
+const { createMetricsRegistry } = require('./core/metrics');
+const { parseLogLevel, redactString, createLogger } = require('./core/logger');
+const { createForensicsStore } = require('./core/forensics');
+const { buildZip } = require('./core/zip');
+const { createReadinessChecker } = require('./core/readiness');
+const { DEFAULT_PROFILE, loadExtractionProfile } = require('./core/extraction-profile');
+const { DEFAULT_STORE_ID, createStoreRegistry } = require('./core/store-registry');
 
 const app = express();
 app.use(express.json({ limit: '100kb' }));
 
 const PORT = Number(process.env.PORT || 3000);
+const LOG_LEVEL = parseLogLevel(process.env.LOG_LEVEL);
 const HEADLESS = parseBoolean(process.env.HEADLESS, true);
 const NAVIGATION_TIMEOUT_MS = Number(process.env.NAVIGATION_TIMEOUT_MS || 60000);
+const GAS_RETRY_MAX = Number(process.env.GAS_RETRY_MAX || 0);
+const GAS_RETRY_BASE_MS = Number(process.env.GAS_RETRY_BASE_MS || 1000);
+const GAS_RETRY_MAX_DELAY_MS = Number(process.env.GAS_RETRY_MAX_DELAY_MS || 10000);
+const CIRCUIT_BREAKER_FAILURE_THRESHOLD = Number(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD || 5);
+const CIRCUIT_BREAKER_RESET_MS = Number(process.env.CIRCUIT_BREAKER_RESET_MS || 30000);
 const LOGIN_RATE_LIMIT_WINDOW_MS = Number(process.env.LOGIN_RATE_LIMIT_WINDOW_MS || 60000);
 const LOGIN_RATE_LIMIT_MAX = Number(process.env.LOGIN_RATE_LIMIT_MAX || 10);
 const APPS_SCRIPT_URL = String(process.env.APPS_SCRIPT_URL || '').trim();
+const DEFAULT_STORE_NAME = String(process.env.DEFAULT_STORE_NAME || '').trim();
+const STORES = parseStoresEnv(process.env.STORES);
+const EXTRACTION_PROFILE_PATH = String(process.env.EXTRACTION_PROFILE_PATH || '').trim();
+const EXTRACTION_PROFILE = EXTRACTION_PROFILE_PATH ? loadExtractionProfile(EXTRACTION_PROFILE_PATH) : DEFAULT_PROFILE;
+const GAS_MODE = String(process.env.GAS_MODE || 'dom').trim().toLowerCase();
+const DASHBOARD_COLUMN_TYPES = parseColumnTypesEnv(process.env.DASHBOARD_COLUMN_TYPES);
+const DASHBOARD_CACHE_TTL_MS = Number(process.env.DASHBOARD_CACHE_TTL_MS || 30000);
+const DASHBOARD_CACHE_STALE_MS = Number(process.env.DASHBOARD_CACHE_STALE_MS || 60000);
+const DASHBOARD_CACHE_MAX_ENTRIES = Number(process.env.DASHBOARD_CACHE_MAX_ENTRIES || 500);
+const MAX_BROWSER_CONTEXTS = Number(process.env.MAX_BROWSER_CONTEXTS || 2);
+const CONTEXT_QUEUE_MAX = Number(process.env.CONTEXT_QUEUE_MAX || 20);
+const CONTEXT_QUEUE_TIMEOUT_MS = Number(process.env.CONTEXT_QUEUE_TIMEOUT_MS || 30000);
+const BROWSER_RECYCLE_MAX_CONTEXTS = Number(process.env.BROWSER_RECYCLE_MAX_CONTEXTS || 100);
+const BROWSER_RECYCLE_MAX_AGE_MS = Number(process.env.BROWSER_RECYCLE_MAX_AGE_MS || 60 * 60 * 1000);
+const BROWSER_RECYCLE_MAX_RSS_MB = Number(process.env.BROWSER_RECYCLE_MAX_RSS_MB || 0);
+const REQUEST_BLOCKING = parseBoolean(process.env.REQUEST_BLOCKING, true);
+const SESSION_TOKEN_SECRET = String(process.env.SESSION_TOKEN_SECRET || '').trim();
+const SESSION_TOKEN_TTL_MS = Number(process.env.SESSION_TOKEN_TTL_MS || 3 * 60 * 60 * 1000);
+const ALLOW_RAW_GAS_TOKEN = parseBoolean(process.env.ALLOW_RAW_GAS_TOKEN, false);
+const CREDENTIALS_ENCRYPTION_KEY = String(process.env.CREDENTIALS_ENCRYPTION_KEY || '').trim();
+const REFRESH_STORE_PATH = process.env.REFRESH_STORE_PATH || path.join(__dirname, 'data', 'refresh-tokens.json');
+const REFRESH_TOKEN_MAX_LIFETIME_MS = Number(process.env.REFRESH_TOKEN_MAX_LIFETIME_MS || 7 * 24 * 60 * 60 * 1000);
+const SNAPSHOTS_ENABLED = parseBoolean(process.env.SNAPSHOTS_ENABLED, false);
+const SNAPSHOT_DIR = process.env.SNAPSHOT_DIR || path.join(__dirname, 'data', 'snapshots');
+const SNAPSHOT_MAX_PER_KEY = Number(process.env.SNAPSHOT_MAX_PER_KEY || 100);
+const ADMIN_TOKEN = String(process.env.ADMIN_TOKEN || '').trim();
+const SCHEDULER_JOBS = parseSchedulerJobsEnv(process.env.SCHEDULER_JOBS);
+const SCHEDULER_MAX_CONCURRENT = Number(process.env.SCHEDULER_MAX_CONCURRENT || 1);
+const SCHEDULER_JITTER_MS = Number(process.env.SCHEDULER_JITTER_MS || 30000);
+const WEBHOOK_STORE_PATH = process.env.WEBHOOK_STORE_PATH || path.join(__dirname, 'data', 'webhooks.json');
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_DELIVERY_LOG_MAX = Number(process.env.WEBHOOK_DELIVERY_LOG_MAX || 500);
+const LOGIN_FAILURE_ALERT_THRESHOLD = Number(process.env.LOGIN_FAILURE_ALERT_THRESHOLD || 3);
+const LOGIN_FAILURE_ALERT_WINDOW_MS = Number(process.env.LOGIN_FAILURE_ALERT_WINDOW_MS || 15 * 60 * 1000);
+const DASHBOARD_STREAM_INTERVAL_MS = Number(process.env.DASHBOARD_STREAM_INTERVAL_MS || 15000);
+const DASHBOARD_STREAM_HEARTBEAT_MS = Number(process.env.DASHBOARD_STREAM_HEARTBEAT_MS || 15000);
+const DASHBOARD_STREAM_HISTORY = Number(process.env.DASHBOARD_STREAM_HISTORY || 200);
+const METRICS_ENABLED = parseBoolean(process.env.METRICS_ENABLED, true);
+const FORENSICS_ENABLED = parseBoolean(process.env.FORENSICS_ENABLED, false);
+const FORENSICS_DIR = process.env.FORENSICS_DIR || path.join(__dirname, 'data', 'forensics');
+const FORENSICS_MAX_BUNDLES = Number(process.env.FORENSICS_MAX_BUNDLES || 50);
+const FORENSICS_MAX_AGE_MS = Number(process.env.FORENSICS_MAX_AGE_MS || 7 * 24 * 60 * 60 * 1000);
+const FORENSICS_SKIP_CODES = String(process.env.FORENSICS_SKIP_CODES ?? 'LOGIN_INVALID_CREDENTIALS,TOKEN_INVALID')
+  .split(',')
+  .map((code) => code.trim())
+  .filter(Boolean);
+const READINESS_BROWSER_TIMEOUT_MS = Number(process.env.READINESS_BROWSER_TIMEOUT_MS || 15000);
+const READINESS_PROBE_ENABLED = parseBoolean(process.env.READINESS_PROBE_ENABLED, false);
+const READINESS_PROBE_TTL_MS = Number(process.env.READINESS_PROBE_TTL_MS || 5 * 60 * 1000);
+const READINESS_PROBE_TIMEOUT_MS = Number(process.env.READINESS_PROBE_TIMEOUT_MS || 30000);
+const logger = createLogger({ level: LOG_LEVEL });
+// Key rate limit: "<id toko>\n<ip>", sehingga kuota login tiap toko terpisah.
 const loginRateLimitStore = new Map();
+const dashboardCache = createDashboardCache({
+  ttlMs: DASHBOARD_CACHE_TTL_MS,
+  staleMs: DASHBOARD_CACHE_STALE_MS,
+  maxEntries: DASHBOARD_CACHE_MAX_ENTRIES,
+});
+const dashboardInflight = createInflightGroup();
+const sessionTokens = createSessionTokenCodec({
+  secret: SESSION_TOKEN_SECRET || crypto.randomBytes(32).toString('hex'),
+  ttlMs: SESSION_TOKEN_TTL_MS,
+});
+const refreshStore = CREDENTIALS_ENCRYPTION_KEY
+  ? createRefreshStore({
+      filePath: REFRESH_STORE_PATH,
+      encryptionKey: CREDENTIALS_ENCRYPTION_KEY,
+      maxLifetimeMs: REFRESH_TOKEN_MAX_LIFETIME_MS,
+    })
+  : null;
+const refreshInflight = createInflightGroup();
+const snapshotStore = SNAPSHOTS_ENABLED
+  ? createSnapshotStore({ dir: SNAPSHOT_DIR, maxPerKey: SNAPSHOT_MAX_PER_KEY, defaultStore: DEFAULT_STORE_ID })
+  : null;
+const forensicsStore = FORENSICS_ENABLED
+  ? createForensicsStore({ dir: FORENSICS_DIR, maxBundles: FORENSICS_MAX_BUNDLES, maxAgeMs: FORENSICS_MAX_AGE_MS })
+  : null;
+const changeTracker = createChangeTracker();
+const loginFailures = createLoginFailureTracker({
+  threshold: LOGIN_FAILURE_ALERT_THRESHOLD,
+  windowMs: LOGIN_FAILURE_ALERT_WINDOW_MS,
+});
+const webhooks = createWebhookManager({
+  filePath: WEBHOOK_STORE_PATH,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  logMax: WEBHOOK_DELIVERY_LOG_MAX,
+  onEvent: logWebhookEvent,
+});
+const dashboardStreams = createDashboardStreamHub({
+  intervalMs: DASHBOARD_STREAM_INTERVAL_MS,
+  heartbeatMs: DASHBOARD_STREAM_HEARTBEAT_MS,
+  historySize: DASHBOARD_STREAM_HISTORY,
+  onEvent: logDashboardStreamEvent,
+});
+const metricsRegistry = createMetricsRegistry();
+const metrics = {
+  httpRequests: metricsRegistry.counter({
+    name: 'http_requests_total',
+    help: 'Jumlah request HTTP per toko, route, dan status.',
+    labelNames: ['store', 'method', 'route', 'status'],
+  }),
+  httpDuration: metricsRegistry.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Latensi request HTTP per toko, route, dan status.',
+    labelNames: ['store', 'method', 'route', 'status'],
+  }),
+  loginOutcomes: metricsRegistry.counter({
+    name: 'gas_login_total',
+    help: 'Hasil login ke GAS per toko, sumber (login, refresh, job), dan kode (SUCCESS atau kode error).',
+    labelNames: ['store', 'source', 'code'],
+  }),
+  playwrightPhaseDuration: metricsRegistry.histogram({
+    name: 'playwright_phase_duration_seconds',
+    help: 'Durasi fase Playwright: navigation, frame_wait, login_submit, table_ready, extraction.',
+    labelNames: ['store', 'operation', 'phase', 'outcome'],
+  }),
+  gasRetries: metricsRegistry.counter({
+    name: 'gas_retries_total',
+    help: 'Percobaan ulang login/dashboard ke GAS per toko, operasi, dan kode error.',
+    labelNames: ['store', 'operation', 'code'],
+  }),
+};
+const CIRCUIT_STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+metricsRegistry.gauge({
+  name: 'gas_circuit_breaker_state',
+  help: 'State circuit breaker Apps Script per toko: 0 closed, 1 half-open, 2 open.',
+  labelNames: ['store'],
+  collect: () =>
+    storeRegistry.list().map((store) => ({
+      labels: { store: store.id },
+      value: CIRCUIT_STATE_VALUES[getCircuitBreakerStats(store.baseUrl).state],
+    })),
+});
+metricsRegistry.counter({
+  name: 'gas_circuit_breaker_opens_total',
+  help: 'Berapa kali circuit breaker Apps Script per toko terbuka.',
+  labelNames: ['store'],
+  collect: () =>
+    storeRegistry.list().map((store) => ({
+      labels: { store: store.id },
+      value: getCircuitBreakerStats(store.baseUrl).opens,
+    })),
+});
+metricsRegistry.gauge({
+  name: 'playwright_contexts_open',
+  help: 'Browser context yang sedang dipakai.',
+  collect: () => [{ value: getContextPoolStats().active }],
+});
+metricsRegistry.gauge({
+  name: 'playwright_contexts_queued',
+  help: 'Request yang menunggu slot browser context.',
+  collect: () => [{ value: getContextPoolStats().queued }],
+});
+metricsRegistry.counter({
+  name: 'playwright_browser_launches_total',
+  help: 'Jumlah browser Chromium yang dijalankan.',
+  collect: () => [{ value: getBrowserStats().launches }],
+});
+metricsRegistry.counter({
+  name: 'playwright_browser_restarts_total',
+  help: 'Jumlah browser diganti, per alasan (recycle atau crash).',
+  labelNames: ['reason'],
+  collect: () => {
+    const stats = getBrowserStats();
+    return [
+      { labels: { reason: 'recycle' }, value: stats.recycles },
+      { labels: { reason: 'crash' }, value: stats.crashes },
+    ];
+  },
+});
+metricsRegistry.gauge({
+  name: 'login_rate_limit_store_size',
+  help: 'Jumlah IP yang tercatat di rate limit login per toko.',
+  labelNames: ['store'],
+  collect: () => {
+    const counts = new Map(storeRegistry.list().map((store) => [store.id, 0]));
+    for (const key of loginRateLimitStore.keys()) {
+      const storeId = key.slice(0, key.indexOf('\n'));
+      counts.set(storeId, (counts.get(storeId) || 0) + 1);
+    }
+    return Array.from(counts, ([store, value]) => ({ labels: { store }, value }));
+  },
+});
+metricsRegistry.gauge({
+  name: 'dashboard_stream_subscribers',
+  help: 'Koneksi SSE /dashboard/stream yang terbuka.',
+  collect: () => [{ value: dashboardStreams.subscriberCount() }],
+});
+const jobGasTokens = new Map();
+const scheduler = SCHEDULER_JOBS.length > 0
+  ? createScheduler({
+      jobs: SCHEDULER_JOBS,
+      runJob: runScheduledJob,
+      maxConcurrent: SCHEDULER_MAX_CONCURRENT,
+      defaultJitterMs: SCHEDULER_JITTER_MS,
+      onEvent: logSchedulerEvent,
+    })
+  : null;
+
+// Job dengan session token berhenti jalan setelah sesi habis; diingatkan saat start dan di status job.
+for (const job of SCHEDULER_JOBS) {
+  const credential = describeJobCredential(job);
+  if (credential.type === 'session') {
+    logger.warn('JOB_SESSION_TOKEN', { jobId: job.id, expiresAt: credential.expiresAt, expired: credential.expired });
+  }
+}
+
+if (!SESSION_TOKEN_SECRET) {
+  logger.warn('SESSION_TOKEN_SECRET_MISSING', {
+    message: 'SESSION_TOKEN_SECRET kosong; memakai secret acak, token lama tidak berlaku setelah restart.',
+  });
+}
+
+configureContextPool({
+  maxContexts: MAX_BROWSER_CONTEXTS,
+  maxQueue: CONTEXT_QUEUE_MAX,
+  queueTimeoutMs: CONTEXT_QUEUE_TIMEOUT_MS,
+});
+configureBrowserRecycling({
+  maxContexts: BROWSER_RECYCLE_MAX_CONTEXTS,
+  maxAgeMs: BROWSER_RECYCLE_MAX_AGE_MS,
+  maxRssMb: BROWSER_RECYCLE_MAX_RSS_MB,
+});
+configureRequestPolicy({
+  enabled: REQUEST_BLOCKING,
+  resourceTypes: process.env.BLOCK_RESOURCE_TYPES,
+  blockPatterns: process.env.BLOCK_URL_PATTERNS,
+  allowPatterns: process.env.ALLOW_URL_PATTERNS,
+});
+configureExtractionProfile(EXTRACTION_PROFILE);
+configureGasMode(GAS_MODE);
+logger.info('EXTRACTION_PROFILE_LOADED', {
+  name: EXTRACTION_PROFILE.name,
+  path: EXTRACTION_PROFILE_PATH || null,
+  mode: GAS_MODE,
+});
+configureForensics({ store: forensicsStore, skipCodes: FORENSICS_SKIP_CODES });
+configureRetryPolicy({
+  retries: GAS_RETRY_MAX,
+  baseDelayMs: GAS_RETRY_BASE_MS,
+  maxDelayMs: GAS_RETRY_MAX_DELAY_MS,
+});
+configureCircuitBreaker({
+  failureThreshold: CIRCUIT_BREAKER_FAILURE_THRESHOLD,
+  resetTimeoutMs: CIRCUIT_BREAKER_RESET_MS,
+  onStateChange: ({ name, from, to }) => {
+    const log = to === 'open' ? logger.warn : logger.info;
+    log('CIRCUIT_BREAKER_STATE', { store: storeIdForBaseUrl(name), from, to });
+  },
+});
+
+// Browser dicek di setiap request readiness; probe GAS mahal sehingga hasilnya di-cache. Probe yang gagal
+// diulang paling lambat 30 detik kemudian agar instance cepat kembali siap.
+const readiness = createReadinessChecker({
+  checks: [
+    {
+      name: 'browser',
+      timeoutMs: READINESS_BROWSER_TIMEOUT_MS,
+      run: () => checkBrowserContext(HEADLESS),
+    },
+    ...(READINESS_PROBE_ENABLED
+      ? [
+          {
+            name: 'gasLoginForm',
+            timeoutMs: READINESS_PROBE_TIMEOUT_MS + 5000,
+            ttlMs: READINESS_PROBE_TTL_MS,
+            failureTtlMs: 30000,
+            run: () =>
+              probeLoginForm({
+                baseUrl: APPS_SCRIPT_URL,
+                timeoutMs: READINESS_PROBE_TIMEOUT_MS,
+                headless: HEADLESS,
+                logger,
+              }),
+          },
+        ]
+      : []),
+  ],
+  onResult: ({ name, status, latencyMs, lastFailure }) => {
+    if (status === 'fail') logger.warn('READINESS_CHECK_FAILED', { check: name, latencyMs, code: lastFailure.code });
+  },
+});
+
+if (scheduler && !refreshStore && SCHEDULER_JOBS.some((job) => job.refreshToken)) {
+  throw new Error('Job dengan refreshToken butuh CREDENTIALS_ENCRYPTION_KEY.');
+}
 
 if (!APPS_SCRIPT_URL) {
   throw new Error('APPS_SCRIPT_URL wajib diisi pada environment variable.');
 }
 
-function errorJson(res, status, code, message) {
+// APPS_SCRIPT_URL menjadi toko "default" yang dilayani route lama; STORES menambah toko di /stores/:storeId.
+const storeRegistry = createStoreRegistry({
+  defaultStore: { baseUrl: APPS_SCRIPT_URL, ...(DEFAULT_STORE_NAME ? { name: DEFAULT_STORE_NAME } : {}) },
+  stores: STORES,
+  defaultTimeoutMs: NAVIGATION_TIMEOUT_MS,
+});
+
+for (const job of SCHEDULER_JOBS) {
+  if (job.store !== undefined && !storeRegistry.get(job.store)) {
+    throw new Error(`Job "${job.id}": toko "${job.store}" tidak terdaftar di STORES.`);
+  }
+}
+
+function parseColumnTypesEnv(raw) {
+  if (!raw || !String(raw).trim()) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error('DASHBOARD_COLUMN_TYPES harus berupa JSON, contoh: {"Total":"number","Tanggal":"date"}.');
+  }
+  return validateColumnSchema(parsed);
+}
+
+function parseStoresEnv(raw) {
+  if (!raw || !String(raw).trim()) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error('STORES harus berupa JSON, contoh: {"cabang":{"name":"Cabang","baseUrl":"https://script.google.com/macros/s/.../exec"}}.');
+  }
+}
+
+function parseSchedulerJobsEnv(raw) {
+  if (!raw || !String(raw).trim()) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error('SCHEDULER_JOBS harus berupa JSON array, contoh: [{"id":"toko","cron":"*/15 * * * *","token":"gps1..."}].');
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('SCHEDULER_JOBS harus berupa JSON array.');
+  }
+  for (const job of parsed) {
+    const sources = ['token', 'refreshToken'].filter((key) => typeof job?.[key] === 'string' && job[key].trim());
+    if (sources.length !== 1) {
+      throw new Error(`Job "${job?.id || '?'}" harus punya tepat satu dari token atau refreshToken.`);
+    }
+  }
+  return parsed;
+}
+
+function errorJson(res, status, code, message, extra = {}) {
   return res.status(status).json({
     success: false,
     code,
-    message,
+    // Pesan error Playwright bisa memuat URL bertoken.
+    message: redactString(String(message)),
+    ...extra,
   });
 }
 
+// Error dari flow Playwright bisa membawa id bundle forensik (lihat core/forensics.js).
+function artifactFields(error) {
+  return error && error.artifactId ? { artifactId: error.artifactId } : {};
+}
+
+function busyJson(res, message) {
+  const retryAfterSec = Math.max(1, Math.ceil(CONTEXT_QUEUE_TIMEOUT_MS / 1000));
+  res.set('Retry-After', String(retryAfterSec));
+  return errorJson(res, 503, 'BUSY', message);
+}
+
+// Circuit breaker terbuka: tolak cepat tanpa membuka browser.
+function upstreamUnavailableJson(res, error) {
+  const retryAfterSec = Math.max(1, Math.ceil((error.retryAfterMs || CIRCUIT_BREAKER_RESET_MS) / 1000));
+  res.set('Retry-After', String(retryAfterSec));
+  return errorJson(res, 503, 'UPSTREAM_UNAVAILABLE', error.message);
+}
+
+function observeGasRetry(store, { operation, code }) {
+  metrics.gasRetries.inc({ store: store.id, operation, code });
+}
+
+function getCircuitBreakerStatus(store = storeRegistry.defaultStore) {
+  const { name, ...status } = getCircuitBreakerStats(store.baseUrl);
+  return status;
+}
+
+function storeIdForBaseUrl(baseUrl) {
+  const store = storeRegistry.list().find((candidate) => candidate.baseUrl === baseUrl);
+  return store ? store.id : '';
+}
+
+// Key cache dan channel stream dashboard: token GAS hanya berlaku di deployment yang menerbitkannya.
+function dashboardKey(store, gasToken) {
+  return `${store.id}\n${gasToken}`;
+}
+
 function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
@@ -66,6 +498,32 @@ function getTokenFromRequest(req) {
   return getBearerToken(req);
 }
 
+// Ambil token GAS dari session token server (atau token mentah jika ALLOW_RAW_GAS_TOKEN aktif).
+// Session token hanya berlaku di toko yang menerbitkannya; token lama tanpa toko milik toko default.
+function resolveGasToken(token, store) {
+  if (isSessionToken(token)) {
+    const verified = sessionTokens.verify(token);
+    if (!verified.ok) return verified;
+    const tokenStoreId = verified.session.storeId || DEFAULT_STORE_ID;
+    if (tokenStoreId !== store.id) {
+      return {
+        ok: false,
+        code: 'TOKEN_STORE_MISMATCH',
+        message: `Token diterbitkan untuk toko "${tokenStoreId}", bukan "${store.id}".`,
+      };
+    }
+    return { ok: true, gasToken: verified.session.gasToken, session: verified.session };
+  }
+  if (ALLOW_RAW_GAS_TOKEN) {
+    return { ok: true, gasToken: token, session: null };
+  }
+  return {
+    ok: false,
+    code: 'TOKEN_INVALID',
+    message: 'Token tidak dikenali. Gunakan token dari POST /auth/login.',
+  };
+}
+
 function getClientIp(req) {
   const forwardedFor = req.headers['x-forwarded-for'];
   if (typeof forwardedFor === 'string' && forwardedFor.trim()) {
@@ -74,13 +532,234 @@ function getClientIp(req) {
   return req.ip || req.socket?.remoteAddress || 'unknown';
 }
 
+function observePlaywrightPhase(store, { operation, phase, outcome, durationMs }) {
+  metrics.playwrightPhaseDuration.observe({ store: store.id, operation, phase, outcome }, durationMs / 1000);
+}
+
+// Semua login ke GAS lewat sini supaya hasilnya tercatat di metrik per toko dan kode.
+async function loginToGas(store, email, password, source, log = logger) {
+  try {
+    const result = await loginAndGetToken({
+      baseUrl: store.baseUrl,
+      email,
+      password,
+      timeoutMs: store.timeoutMs,
+      headless: HEADLESS,
+      onPhase: (phase) => observePlaywrightPhase(store, phase),
+      onRetry: (retry) => observeGasRetry(store, retry),
+      logger: log,
+    });
+    metrics.loginOutcomes.inc({ store: store.id, source, code: 'SUCCESS' });
+    return result;
+  } catch (error) {
+    const code = error && typeof error === 'object' && 'code' in error ? error.code : 'LOGIN_FAILED';
+    metrics.loginOutcomes.inc({ store: store.id, source, code });
+    throw error;
+  }
+}
+
+// Asal scrape untuk korelasi log: request HTTP, job terjadwal, atau channel stream.
+function scrapeOrigin(log) {
+  const { requestId, jobId, channel } = log.bindings();
+  if (requestId) return requestId;
+  if (jobId) return `job:${jobId}`;
+  return channel ? `stream:${channel}` : null;
+}
+
+// Scrape yang digabung (inflight) memakai logger milik request pertama; request yang ikut menunggu
+// mencatat DASHBOARD_SCRAPE_JOINED dengan coalescedWith = asal scrape tersebut.
+function scrapeDashboard(store, token, log = logger) {
+  const key = `${store.baseUrl}\n${token}`;
+  return dashboardInflight.run(
+    key,
+    async () => {
+      const scraped = await fetchDashboardByToken({
+        baseUrl: store.baseUrl,
+        tokenOrUrl: token,
+        timeoutMs: store.timeoutMs,
+        headless: HEADLESS,
+        onPhase: (phase) => observePlaywrightPhase(store, phase),
+        onRetry: (retry) => observeGasRetry(store, retry),
+        logger: log,
+      });
+      const dashboard = { ...scraped, store: store.id };
+      log.info('DASHBOARD_SCRAPE', { rows: dashboard.rowCount, source: dashboard.source, network: dashboard.network });
+      recordSnapshot(dashboard, log);
+      publishDashboardChanges(dashboard, log);
+      return dashboard;
+    },
+    {
+      owner: scrapeOrigin(log),
+      onJoin: (coalescedWith) => log.info('DASHBOARD_SCRAPE_JOINED', { coalescedWith }),
+      onSettled: (waiters) => {
+        if (waiters > 0) log.info('DASHBOARD_SCRAPE_COALESCED', { waiters });
+      },
+    }
+  );
+}
+
+// Gagal menyimpan snapshot tidak boleh menggagalkan request dashboard.
+function recordSnapshot(dashboard, log) {
+  if (!snapshotStore) return;
+  if (!dashboard.user) {
+    // Tanpa user, snapshot tidak punya pemilik dan akan terbaca oleh semua token di toko ini.
+    log.warn('SNAPSHOT_SKIPPED', { reason: 'USER_UNKNOWN' });
+    return;
+  }
+  try {
+    const meta = snapshotStore.record(dashboard);
+    if (!meta) {
+      log.debug('SNAPSHOT_UNCHANGED', { rows: dashboard.rowCount });
+      return;
+    }
+    log.info('SNAPSHOT_RECORDED', { snapshotId: meta.id, rows: meta.rowCount });
+  } catch (error) {
+    log.error('SNAPSHOT_WRITE_FAILED', { error });
+  }
+}
+
+function publishDashboardChanges(dashboard, log) {
+  for (const event of changeTracker.track(dashboard)) {
+    const queued = webhooks.publish(event.type, event.data);
+    if (queued.length > 0) {
+      log.info('WEBHOOK_EVENT', { eventType: event.type, deliveries: queued.length });
+    }
+  }
+}
+
+function logWebhookEvent(event) {
+  const { delivery } = event;
+  const fields = {
+    deliveryId: delivery.id,
+    webhookId: delivery.webhookId,
+    eventType: delivery.eventType,
+    attempts: delivery.attempts,
+    status: delivery.lastStatusCode,
+  };
+  if (event.type === 'delivered') {
+    logger.info('WEBHOOK_DELIVERED', fields);
+  } else if (event.type === 'retry') {
+    logger.warn('WEBHOOK_RETRY', { ...fields, delayMs: event.delayMs, error: delivery.lastError });
+  } else if (event.type === 'failed') {
+    logger.error('WEBHOOK_FAILED', { ...fields, error: delivery.lastError });
+  }
+}
+
+// Key channel stream memuat token GAS (lihat dashboardKey); log hanya memakai hash pendeknya.
+function streamChannelId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+function logDashboardStreamEvent(event) {
+  const channel = streamChannelId(event.key);
+  if (event.type === 'start') {
+    logger.info('STREAM_CHANNEL_STARTED', { channel, channels: dashboardStreams.size() });
+  } else if (event.type === 'stop') {
+    logger.info('STREAM_CHANNEL_STOPPED', { channel, channels: dashboardStreams.size() });
+  } else if (event.type === 'error') {
+    if (event.error.code === 'TOKEN_INVALID') dashboardCache.remove(event.key);
+    logger.warn('STREAM_LOAD_FAILED', { channel, code: event.error.code, error: event.error.message });
+  }
+}
+
+async function loadDashboard(store, token, { bypassCache, log = logger }) {
+  const key = dashboardKey(store, token);
+  if (!dashboardCache.enabled) {
+    return { dashboard: await scrapeDashboard(store, token, log), cacheStatus: 'BYPASS', entry: null };
+  }
+  if (bypassCache) {
+    const dashboard = await scrapeDashboard(store, token, log);
+    return { dashboard, cacheStatus: 'BYPASS', entry: dashboardCache.store(key, dashboard) };
+  }
+
+  const { state, entry } = dashboardCache.lookup(key);
+  if (state === 'fresh') {
+    return { dashboard: entry.value, cacheStatus: 'HIT', entry };
+  }
+  if (state === 'stale') {
+    dashboardCache.revalidate(key, entry, () => scrapeDashboard(store, token, log)).catch((error) => {
+      if (error && error.code === 'TOKEN_INVALID') dashboardCache.remove(key);
+      log.warn('DASHBOARD_REVALIDATE_FAILED', { code: error && error.code, error });
+    });
+    return { dashboard: entry.value, cacheStatus: 'STALE', entry };
+  }
+
+  const dashboard = await scrapeDashboard(store, token, log);
+  return { dashboard, cacheStatus: 'MISS', entry: dashboardCache.store(key, dashboard) };
+}
+
+function setDashboardCacheHeaders(res, cacheStatus, entry) {
+  res.set('X-Cache', cacheStatus);
+  if (!entry) {
+    res.set('Cache-Control', 'private, no-cache');
+    return;
+  }
+  const staleSec = Math.floor(DASHBOARD_CACHE_STALE_MS / 1000);
+  res.set(
+    'Cache-Control',
+    `private, max-age=${dashboardCache.freshSecondsLeft(entry)}, stale-while-revalidate=${staleSec}`
+  );
+  res.set('Age', String(dashboardCache.ageSeconds(entry)));
+}
+
+function buildEtag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+function isEtagMatch(req, etag) {
+  const header = req.headers['if-none-match'];
+  if (typeof header !== 'string' || !header.trim()) return false;
+  if (header.trim() === '*') return true;
+  return header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .includes(etag);
+}
+
+function respondLoginError(req, res, error, { maskedEmail }) {
+  const message = error instanceof Error ? error.message : String(error);
+  const code = error && typeof error === 'object' && 'code' in error ? error.code : '';
+  const clientIp = getClientIp(req);
+  const artifact = artifactFields(error);
+  if (code === 'LOGIN_INVALID_CREDENTIALS') {
+    req.log.warn('LOGIN_FAILED', { email: maskedEmail, code });
+    const failure = loginFailures.record(`${req.store.id}\n${maskedEmail}`);
+    if (failure.reached) {
+      // user = email tersamar, supaya webhook dengan filter user tetap bisa mencocokkan event ini.
+      webhooks.publish('login.failed', {
+        store: req.store.id,
+        user: maskedEmail,
+        email: maskedEmail,
+        failures: failure.count,
+        windowMs: LOGIN_FAILURE_ALERT_WINDOW_MS,
+        ip: clientIp,
+      });
+    }
+    return errorJson(res, 401, 'LOGIN_FAILED', message, artifact);
+  }
+  if (code === 'TIMEOUT') {
+    req.log.warn('LOGIN_FAILED', { email: maskedEmail, code });
+    return errorJson(res, 504, 'LOGIN_TIMEOUT', message, artifact);
+  }
+  if (code === 'BUSY') {
+    req.log.warn('LOGIN_FAILED', { email: maskedEmail, code });
+    return busyJson(res, message);
+  }
+  if (code === 'UPSTREAM_UNAVAILABLE') {
+    req.log.warn('LOGIN_FAILED', { email: maskedEmail, code });
+    return upstreamUnavailableJson(res, error);
+  }
+  req.log.error('LOGIN_FAILED', { email: maskedEmail, code: code || 'LOGIN_FAILED', error: message, ...artifact });
+  return errorJson(res, 500, 'LOGIN_FAILED', message, artifact);
+}
+
 function enforceLoginRateLimit(req, res, next) {
   const now = Date.now();
-  const ip = getClientIp(req);
-  const record = loginRateLimitStore.get(ip);
+  const key = `${req.store.id}\n${getClientIp(req)}`;
+  const record = loginRateLimitStore.get(key);
 
   if (!record || now >= record.resetAt) {
-    loginRateLimitStore.set(ip, { count: 1, resetAt: now + LOGIN_RATE_LIMIT_WINDOW_MS });
+    loginRateLimitStore.set(key, { count: 1, resetAt: now + LOGIN_RATE_LIMIT_WINDOW_MS });
     return next();
   }
 
@@ -96,17 +775,35 @@ function enforceLoginRateLimit(req, res, next) {
   }
 
   record.count += 1;
-  loginRateLimitStore.set(ip, record);
+  loginRateLimitStore.set(key, record);
   return next();
 }
 
+// Pakai X-Request-Id dari klien/proxy jika formatnya aman, selain itu buat baru.
+function resolveRequestId(req) {
+  const incoming = req.get('X-Request-Id');
+  if (typeof incoming === 'string' && /^[A-Za-z0-9._:-]{1,128}$/.test(incoming)) return incoming;
+  return crypto.randomUUID();
+}
+
 app.use((req, res, next) => {
   const startedAt = Date.now();
+  req.id = resolveRequestId(req);
+  req.log = logger.child({ requestId: req.id, method: req.method, ip: getClientIp(req) });
+  res.set('X-Request-Id', req.id);
   res.on('finish', () => {
     const durationMs = Date.now() - startedAt;
-    console.log(
-      `[${new Date().toISOString()}] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${durationMs}ms)`
-    );
+    // Label route memakai pola Express (/snapshots/:id), bukan URL asli, supaya kardinalitas tetap kecil.
+    // Route toko memakai routePrefix ("/stores/:storeId") karena req.baseUrl berisi id toko asli.
+    const labels = {
+      store: req.route && req.store ? req.store.id : '',
+      method: req.method,
+      route: req.route ? `${req.routePrefix ?? req.baseUrl}${req.route.path}` : 'unmatched',
+      status: res.statusCode,
+    };
+    metrics.httpRequests.inc(labels);
+    metrics.httpDuration.observe(labels, durationMs / 1000);
+    req.log.info('HTTP_REQUEST', { route: labels.route, path: req.originalUrl, status: res.statusCode, durationMs });
   });
   next();
 });
@@ -117,10 +814,76 @@ app.get('/health', (req, res) => {
     status: 'ok',
     service: 'gas-playwright-api',
     time: new Date().toISOString(),
+    contextPool: getContextPoolStats(),
+    browser: getBrowserStats(),
+    circuitBreaker: getCircuitBreakerStatus(),
   });
 });
 
-app.get('/session/status', (req, res) => {
+// Liveness: proses Node masih melayani request. Tidak menyentuh browser maupun GAS.
+app.get('/health/live', (req, res) => {
+  return res.json({
+    success: true,
+    status: 'ok',
+    time: new Date().toISOString(),
+    uptimeSec: Math.round(process.uptime()),
+  });
+});
+
+// Readiness: instance boleh menerima traffic jika browser bisa membuka context (dan probe GAS lolos bila aktif).
+app.get('/health/ready', async (req, res) => {
+  if (isShuttingDown) {
+    return errorJson(res, 503, 'NOT_READY', 'Server sedang shutdown.', { status: 'shutting_down', checks: {} });
+  }
+  const report = await readiness.check();
+  if (!report.ready) {
+    return errorJson(res, 503, 'NOT_READY', 'Instance belum siap menerima traffic.', {
+      status: 'not_ready',
+      checks: report.checks,
+    });
+  }
+  return res.json({ success: true, status: 'ready', time: new Date().toISOString(), checks: report.checks });
+});
+
+app.get('/metrics', (req, res) => {
+  if (!METRICS_ENABLED) {
+    return errorJson(res, 404, 'METRICS_DISABLED', 'Endpoint /metrics dinonaktifkan (METRICS_ENABLED=false).');
+  }
+  return res.set('Content-Type', metricsRegistry.contentType).send(metricsRegistry.render());
+});
+
+// Toko tambahan memakai id persis seperti di STORES; route lama tanpa prefix dilayani toko default.
+function resolveStoreParam(req, res, next) {
+  const store = storeRegistry.get(req.params.storeId);
+  if (!store) {
+    return errorJson(res, 404, 'STORE_NOT_FOUND', `Toko ${req.params.storeId} tidak terdaftar.`);
+  }
+  req.store = store;
+  req.routePrefix = '/stores/:storeId';
+  req.log = req.log.child({ store: store.id });
+  return next();
+}
+
+function useDefaultStore(req, res, next) {
+  req.store = storeRegistry.defaultStore;
+  req.routePrefix = '';
+  next();
+}
+
+app.get('/stores', (req, res) => {
+  // baseUrl deployment tidak ditampilkan: URL Apps Script cukup untuk membuka form login toko.
+  const stores = storeRegistry.list().map((store) => ({
+    id: store.id,
+    name: store.name,
+    isDefault: store.isDefault,
+    circuitBreaker: getCircuitBreakerStatus(store),
+  }));
+  return res.json({ success: true, count: stores.length, stores });
+});
+
+const storeRouter = express.Router({ mergeParams: true });
+
+storeRouter.get('/session/status', (req, res) => {
   const token = getTokenFromRequest(req);
   if (!token) {
     return res.json({
@@ -130,18 +893,42 @@ app.get('/session/status', (req, res) => {
     });
   }
 
+  const resolved = resolveGasToken(token, req.store);
+  if (!resolved.ok) {
+    return res.json({
+      success: true,
+      authenticated: false,
+      reason: resolved.code,
+      ...(resolved.session ? { expiresAt: resolved.session.expiresAt } : {}),
+    });
+  }
+
+  if (!resolved.session) {
+    return res.json({
+      success: true,
+      authenticated: true,
+      tokenType: 'raw',
+      note: 'Token GAS mentah: masa berlaku hanya bisa dicek saat GET /dashboard.',
+    });
+  }
+
   return res.json({
     success: true,
     authenticated: true,
-    note: 'Stateless mode: validasi token final dilakukan saat GET /dashboard.',
+    tokenType: 'session',
+    store: req.store.id,
+    user: resolved.session.user,
+    issuedAt: resolved.session.issuedAt,
+    expiresAt: resolved.session.expiresAt,
+    remainingSeconds: resolved.session.remainingSeconds,
   });
 });
 
-app.post('/auth/login', enforceLoginRateLimit, async (req, res) => {
+storeRouter.post('/auth/login', enforceLoginRateLimit, async (req, res) => {
   const email = typeof req.body?.email === 'string' ? req.body.email : '';
   const password = typeof req.body?.password === 'string' ? req.body.password : '';
+  const rememberMe = req.body?.rememberMe === true;
   const trimmedEmail = email.trim();
-  const clientIp = getClientIp(req);
   const maskedEmail = maskEmail(trimmedEmail);
 
   if (!trimmedEmail || !password) {
@@ -153,102 +940,691 @@ app.post('/auth/login', enforceLoginRateLimit, async (req, res) => {
   if (password.length > 256) {
     return errorJson(res, 422, 'INVALID_CREDENTIALS_INPUT', 'Password terlalu panjang.');
   }
+  if (rememberMe && !refreshStore) {
+    return errorJson(res, 400, 'REMEMBER_ME_UNAVAILABLE', 'Fitur remember me belum dikonfigurasi di server.');
+  }
 
   try {
-    const result = await loginAndGetToken({
-      baseUrl: APPS_SCRIPT_URL,
-      email: trimmedEmail,
-      password,
-      timeoutMs: NAVIGATION_TIMEOUT_MS,
-      headless: HEADLESS,
-    });
+    const result = await loginToGas(req.store, trimmedEmail, password, 'login', req.log);
 
-    console.log(
-      `[${new Date().toISOString()}] LOGIN_SUCCESS email=${maskedEmail} ip=${clientIp}`
+    req.log.info('LOGIN_SUCCESS', { email: maskedEmail, mode: result.mode, network: result.network });
+    const session = sessionTokens.issue({ gasToken: result.token, user: maskedEmail, storeId: req.store.id });
+    const payload = {
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+    };
+    if (rememberMe) {
+      const refresh = refreshStore.create({ email: trimmedEmail, password, user: maskedEmail, storeId: req.store.id });
+      payload.refreshToken = refresh.refreshToken;
+      payload.refreshExpiresAt = refresh.expiresAt;
+    }
+    return res.json(payload);
+  } catch (error) {
+    return respondLoginError(req, res, error, { maskedEmail });
+  }
+});
+
+storeRouter.post('/auth/refresh', enforceLoginRateLimit, async (req, res) => {
+  const refreshToken = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken.trim() : '';
+  if (!refreshToken) {
+    return errorJson(res, 422, 'REFRESH_TOKEN_REQUIRED', 'refreshToken wajib diisi.');
+  }
+  if (!refreshStore) {
+    return errorJson(res, 400, 'REMEMBER_ME_UNAVAILABLE', 'Fitur remember me belum dikonfigurasi di server.');
+  }
+
+  const opened = refreshStore.open(refreshToken);
+  if (!opened.ok) {
+    if (opened.code === 'REFRESH_TOKEN_REUSED') {
+      req.log.warn('REFRESH_TOKEN_REUSED', { revoked: opened.revoked });
+    }
+    return errorJson(res, 401, opened.code, opened.message);
+  }
+  const tokenStoreId = opened.storeId || DEFAULT_STORE_ID;
+  if (tokenStoreId !== req.store.id) {
+    return errorJson(
+      res,
+      401,
+      'TOKEN_STORE_MISMATCH',
+      `Refresh token diterbitkan untuk toko "${tokenStoreId}", bukan "${req.store.id}".`
     );
+  }
+
+  const maskedEmail = opened.user || maskEmail(opened.credentials.email);
+  try {
+    const refreshed = await refreshInflight.run(refreshToken, async () => {
+      const result = await loginToGas(
+        req.store,
+        opened.credentials.email,
+        opened.credentials.password,
+        'refresh',
+        req.log
+      );
+      const rotated = refreshStore.rotate(refreshToken);
+      if (!rotated) {
+        throw new CoreError('REFRESH_TOKEN_INVALID', 'Refresh token sudah dipakai atau dicabut.');
+      }
+      req.log.info('TOKEN_REFRESHED', { email: maskedEmail, network: result.network });
+      return {
+        session: sessionTokens.issue({ gasToken: result.token, user: maskedEmail, storeId: req.store.id }),
+        refresh: rotated,
+      };
+    });
+
     return res.json({
       success: true,
-      token: result.token,
-      expiresAt: result.expiresAt,
+      token: refreshed.session.token,
+      expiresAt: refreshed.session.expiresAt,
+      refreshToken: refreshed.refresh.refreshToken,
+      refreshExpiresAt: refreshed.refresh.expiresAt,
     });
   } catch (error) {
-    const message = error instanceof Error ? error.message : String(error);
     const code = error && typeof error === 'object' && 'code' in error ? error.code : '';
-    if (code === 'LOGIN_INVALID_CREDENTIALS') {
-      console.warn(
-        `[${new Date().toISOString()}] LOGIN_FAILED email=${maskedEmail} ip=${clientIp} code=LOGIN_INVALID_CREDENTIALS`
-      );
-      return errorJson(res, 401, 'LOGIN_FAILED', message);
+    if (code === 'REFRESH_TOKEN_INVALID') {
+      return errorJson(res, 401, code, error.message);
     }
-    if (code === 'TIMEOUT') {
-      console.warn(
-        `[${new Date().toISOString()}] LOGIN_FAILED email=${maskedEmail} ip=${clientIp} code=TIMEOUT`
-      );
-      return errorJson(res, 504, 'LOGIN_TIMEOUT', message);
+    if (code === 'LOGIN_INVALID_CREDENTIALS') {
+      // Password sudah berubah di GAS: kredensial tersimpan tidak berguna lagi.
+      refreshStore.revoke(refreshToken);
     }
-    console.error(
-      `[${new Date().toISOString()}] LOGIN_FAILED email=${maskedEmail} ip=${clientIp} code=LOGIN_FAILED message=${message}`
-    );
-    return errorJson(
-      res,
-      500,
-      'LOGIN_FAILED',
-      message
-    );
+    return respondLoginError(req, res, error, { maskedEmail });
   }
 });
 
-app.get('/dashboard', async (req, res) => {
-  const token = getTokenFromRequest(req);
-  const clientIp = getClientIp(req);
+storeRouter.post('/auth/logout', (req, res) => {
+  const refreshToken = typeof req.body?.refreshToken === 'string' ? req.body.refreshToken.trim() : '';
+  if (!refreshToken) {
+    return errorJson(res, 422, 'REFRESH_TOKEN_REQUIRED', 'refreshToken wajib diisi.');
+  }
+
+  const revoked = refreshStore ? refreshStore.revoke(refreshToken) : false;
+  return res.json({
+    success: true,
+    revoked,
+  });
+});
+
+// Validasi token dashboard; kirim response error dan kembalikan null jika tidak lolos.
+function authorizeDashboardToken(res, token, store) {
   if (!token) {
-    return errorJson(
+    errorJson(
       res,
       400,
       'TOKEN_REQUIRED',
       'Token wajib diisi pada header Authorization: Bearer <token>.'
     );
+    return null;
   }
   if (token.length > 5000) {
-    return errorJson(res, 422, 'INVALID_TOKEN_INPUT', 'Parameter token terlalu panjang.');
+    errorJson(res, 422, 'INVALID_TOKEN_INPUT', 'Parameter token terlalu panjang.');
+    return null;
+  }
+
+  const resolved = resolveGasToken(token, store);
+  if (!resolved.ok) {
+    errorJson(res, 401, resolved.code, resolved.message);
+    return null;
   }
+  return resolved;
+}
+
+function authorizeDashboardRequest(req, res) {
+  const resolved = authorizeDashboardToken(res, getTokenFromRequest(req), req.store);
+  return resolved ? resolved.gasToken : null;
+}
+
+function respondDashboardError(req, res, error, gasToken) {
+  const message = error instanceof Error ? error.message : String(error);
+  const code = error && typeof error === 'object' && 'code' in error ? error.code : '';
+  const artifact = artifactFields(error);
+  if (code === 'TOKEN_INVALID') {
+    dashboardCache.remove(dashboardKey(req.store, gasToken));
+    return errorJson(res, 401, 'TOKEN_INVALID', message, artifact);
+  }
+  if (code === 'INVALID_QUERY') {
+    return errorJson(res, 422, 'INVALID_QUERY', message);
+  }
+  if (code === 'SNAPSHOT_OWNER_UNKNOWN') {
+    return errorJson(res, 403, code, message);
+  }
+  if (code === 'TIMEOUT') {
+    return errorJson(res, 504, 'DASHBOARD_TIMEOUT', message, artifact);
+  }
+  if (code === 'BUSY') {
+    return busyJson(res, message);
+  }
+  if (code === 'UPSTREAM_UNAVAILABLE') {
+    return upstreamUnavailableJson(res, error);
+  }
+  req.log.error('DASHBOARD_FETCH_FAILED', { code: code || 'DASHBOARD_FETCH_FAILED', error: message, ...artifact });
+  return errorJson(res, 500, 'DASHBOARD_FETCH_FAILED', message, artifact);
+}
+
+function sendCachedBody(req, res, body, contentType, { cacheStatus, entry }) {
+  const etag = buildEtag(body);
+  setDashboardCacheHeaders(res, cacheStatus, entry);
+  res.set('ETag', etag);
+  if (isEtagMatch(req, etag)) {
+    return res.status(304).end();
+  }
+  return res.type(contentType).send(body);
+}
+
+function sendCachedJson(req, res, payload, cacheInfo) {
+  return sendCachedBody(req, res, JSON.stringify(payload), 'application/json', cacheInfo);
+}
+
+function buildDashboardExport(format, payload, { includeMeta, delimiter }) {
+  const input = {
+    headers: payload.headers,
+    rows: payload.data,
+    meta: payload,
+    includeMeta,
+  };
+  if (format === 'csv') return buildCsv({ ...input, delimiter });
+  if (format === 'ndjson') return buildNdjson(input);
+  return buildDashboardXlsx(input);
+}
+
+storeRouter.get('/dashboard', async (req, res) => {
+  const gasToken = authorizeDashboardRequest(req, res);
+  if (!gasToken) return undefined;
+  res.vary('Accept');
 
   try {
-    const dashboard = await fetchDashboardByToken({
-      baseUrl: APPS_SCRIPT_URL,
-      tokenOrUrl: token,
-      timeoutMs: NAVIGATION_TIMEOUT_MS,
-      headless: HEADLESS,
+    const format = resolveExportFormat(req.query.format, (types) => req.accepts(types));
+    const queryParams = parseDashboardQueryParams(req.query);
+    const exportOptions = {
+      includeMeta: parseBoolean(req.query.meta, true),
+      delimiter: format === 'csv' ? parseCsvDelimiter(req.query.delimiter) : undefined,
+    };
+    const { dashboard, cacheStatus, entry } = await loadDashboard(req.store, gasToken, {
+      bypassCache: parseBoolean(req.query.fresh, false),
+      log: req.log,
+    });
+    req.log.info('DASHBOARD_ACCESS', {
+      kasir: extractKasirNames(dashboard.data),
+      rows: dashboard.rowCount,
+      cache: cacheStatus,
     });
-    const kasirNames = extractKasirNames(dashboard.data);
-    console.log(
-      `[${new Date().toISOString()}] DASHBOARD_ACCESS ip=${clientIp} kasir=${kasirNames.join(', ') || '-'} rows=${dashboard.rowCount}`
-    );
 
-    return res.json({
+    const queryOptions = bindDashboardQuery(queryParams, dashboard.headers, dashboard.data, {
+      schema: DASHBOARD_COLUMN_TYPES,
+    });
+    const page = applyDashboardQuery(dashboard.data, dashboard.headers, queryOptions);
+
+    const payload = {
       success: true,
       source: dashboard.source,
       user: dashboard.user,
       periode: dashboard.periode,
       totalTransaksi: dashboard.totalTransaksi,
       rowCount: dashboard.rowCount,
+      filteredCount: page.filteredCount,
+      pagination: page.pagination,
       headers: dashboard.headers,
-      data: dashboard.data,
+      data: page.data,
+    };
+    if (parseBoolean(req.query.typed, false)) {
+      // Tipe kolom dideteksi dari seluruh baris, bukan hanya halaman ini, supaya konsisten antar halaman.
+      const typed = typeDashboardRows(dashboard.headers, page.data, {
+        schema: queryOptions.columnTypes,
+        includeRaw: parseBoolean(req.query.raw, false),
+      });
+      payload.columnTypes = typed.columnTypes;
+      payload.data = typed.data;
+      if (typed.raw) payload.raw = typed.raw;
+    }
+
+    if (format !== 'json') {
+      const spec = EXPORT_FORMATS[format];
+      const body = buildDashboardExport(format, payload, exportOptions);
+      res.attachment(buildExportFilename(dashboard.periode, spec.extension));
+      req.log.info('DASHBOARD_EXPORT', { format, rows: payload.data.length });
+      return sendCachedBody(req, res, body, spec.contentType, { cacheStatus, entry });
+    }
+    return sendCachedJson(req, res, payload, { cacheStatus, entry });
+  } catch (error) {
+    return respondDashboardError(req, res, error, gasToken);
+  }
+});
+
+storeRouter.get('/dashboard/summary', async (req, res) => {
+  const gasToken = authorizeDashboardRequest(req, res);
+  if (!gasToken) return undefined;
+
+  try {
+    // Hanya parameter filter yang berlaku; sort dan paginasi tidak relevan untuk agregat.
+    const { kasir, from, to, q, dateField } = req.query;
+    const queryParams = parseDashboardQueryParams({ kasir, from, to, q, dateField });
+    const top = parseTopLimit(req.query.top);
+    const { dashboard, cacheStatus, entry } = await loadDashboard(req.store, gasToken, {
+      bypassCache: parseBoolean(req.query.fresh, false),
+      log: req.log,
+    });
+    const queryOptions = bindDashboardQuery(queryParams, dashboard.headers, dashboard.data, {
+      schema: DASHBOARD_COLUMN_TYPES,
     });
+    const filtered = applyDashboardQuery(dashboard.data, dashboard.headers, queryOptions);
+    const summary = summarizeDashboard(dashboard.headers, filtered.data, {
+      schema: queryOptions.columnTypes,
+      groupBy: typeof req.query.groupBy === 'string' ? req.query.groupBy.trim() : '',
+      top,
+    });
+    req.log.info('DASHBOARD_SUMMARY', {
+      rows: filtered.filteredCount,
+      totalRows: dashboard.rowCount,
+      cache: cacheStatus,
+    });
+
+    return sendCachedJson(
+      req,
+      res,
+      {
+        success: true,
+        user: dashboard.user,
+        periode: dashboard.periode,
+        totalTransaksi: dashboard.totalTransaksi,
+        rowCount: dashboard.rowCount,
+        filteredCount: filtered.filteredCount,
+        ...summary,
+      },
+      { cacheStatus, entry }
+    );
+  } catch (error) {
+    return respondDashboardError(req, res, error, gasToken);
+  }
+});
+
+storeRouter.get('/dashboard/stream', (req, res) => {
+  // EventSource di browser tidak bisa mengirim header Authorization, jadi token juga diterima dari query.
+  const queryToken = typeof req.query.token === 'string' ? req.query.token.trim() : '';
+  const resolved = authorizeDashboardToken(res, getBearerToken(req) || queryToken, req.store);
+  if (!resolved) return undefined;
+  const { gasToken, session } = resolved;
+  const { store } = req;
+  const key = dashboardKey(store, gasToken);
+  const channel = streamChannelId(key);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  let expiryTimer = null;
+  const unsubscribe = dashboardStreams.subscribe({
+    key,
+    // Snapshot awal boleh dari cache; putaran berikutnya selalu scrape ulang.
+    // Loop dipakai bersama, jadi log-nya memakai logger channel, bukan logger request pembuka.
+    load: async ({ initial }) => {
+      const log = logger.child({ store: store.id, channel });
+      return (await loadDashboard(store, gasToken, { bypassCache: !initial, log })).dashboard;
+    },
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+    send: (event) => {
+      if (!closed) res.write(formatSseEvent(event));
+    },
+    close: () => finish(),
+  });
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    if (expiryTimer) clearTimeout(expiryTimer);
+    res.end();
+  }
+
+  if (session) {
+    // Stream tidak boleh hidup lebih lama dari session token-nya.
+    const remainingMs = new Date(session.expiresAt).getTime() - Date.now();
+    expiryTimer = setTimeout(() => {
+      res.write(
+        formatSseEvent({
+          type: 'error',
+          data: { code: 'TOKEN_EXPIRED', message: 'Session token sudah expired. Silakan login ulang.' },
+        })
+      );
+      finish();
+    }, Math.max(0, Math.min(remainingMs, 2 ** 31 - 1)));
+    expiryTimer.unref();
+  }
+
+  req.log.info('STREAM_OPEN', { channel, subscribers: dashboardStreams.subscriberCount() });
+  req.on('close', () => {
+    finish();
+    req.log.info('STREAM_CLOSED', { channel });
+  });
+  return undefined;
+});
+
+// Jenis akses job untuk GET /jobs; session token punya expiresAt karena job tidak bisa memperpanjangnya.
+function describeJobCredential(job) {
+  if (job.refreshToken) return { type: 'refreshToken' };
+  const token = job.token.trim();
+  if (!isSessionToken(token)) return { type: 'gasToken' };
+  const verified = sessionTokens.verify(token);
+  if (!verified.session) return { type: 'session', expiresAt: null, expired: true };
+  return { type: 'session', expiresAt: verified.session.expiresAt, expired: verified.code === 'TOKEN_EXPIRED' };
+}
+
+function jobStatus(info) {
+  const definition = SCHEDULER_JOBS.find((job) => String(job.id).trim() === info.id);
+  return { ...info, credential: describeJobCredential(definition) };
+}
+
+async function resolveJobGasToken(job, store, log) {
+  if (job.token) {
+    const resolved = resolveGasToken(job.token.trim(), store);
+    if (!resolved.ok) throw new CoreError(resolved.code, resolved.message);
+    return resolved.gasToken;
+  }
+
+  const cached = jobGasTokens.get(job.id);
+  if (cached) return cached;
+  const opened = refreshStore.open(job.refreshToken.trim());
+  if (!opened.ok) throw new CoreError(opened.code, opened.message);
+  const tokenStoreId = opened.storeId || DEFAULT_STORE_ID;
+  if (tokenStoreId !== store.id) {
+    throw new CoreError(
+      'TOKEN_STORE_MISMATCH',
+      `Refresh token diterbitkan untuk toko "${tokenStoreId}", bukan "${store.id}".`
+    );
+  }
+  const result = await loginToGas(store, opened.credentials.email, opened.credentials.password, 'job', log);
+  jobGasTokens.set(job.id, result.token);
+  return result.token;
+}
+
+// Job background memakai jalur scrape yang sama (coalescing, snapshot) dan ikut mengisi cache dashboard.
+async function runScheduledJob(job) {
+  const store = storeRegistry.get(job.store || DEFAULT_STORE_ID);
+  const log = logger.child({ jobId: job.id, store: store.id });
+  let gasToken = await resolveJobGasToken(job, store, log);
+  let dashboard;
+  try {
+    dashboard = await scrapeDashboard(store, gasToken, log);
+  } catch (error) {
+    if (!job.refreshToken || !error || error.code !== 'TOKEN_INVALID') throw error;
+    jobGasTokens.delete(job.id);
+    gasToken = await resolveJobGasToken(job, store, log);
+    dashboard = await scrapeDashboard(store, gasToken, log);
+  }
+  dashboardCache.store(dashboardKey(store, gasToken), dashboard);
+  return {
+    store: store.id,
+    user: dashboard.user,
+    periode: dashboard.periode,
+    totalTransaksi: dashboard.totalTransaksi,
+    rowCount: dashboard.rowCount,
+    capturedAt: new Date().toISOString(),
+  };
+}
+
+function logSchedulerEvent(event) {
+  const fields = { jobId: event.id };
+  if (event.type === 'start') {
+    logger.info('JOB_START', { ...fields, trigger: event.trigger });
+  } else if (event.type === 'success') {
+    logger.info('JOB_SUCCESS', { ...fields, durationMs: event.durationMs });
+  } else if (event.type === 'error') {
+    logger.warn('JOB_FAILED', {
+      ...fields,
+      code: event.error.code,
+      error: event.error.message,
+      artifactId: event.error.artifactId,
+    });
+  } else if (event.type === 'overlap') {
+    logger.warn('JOB_SKIPPED_OVERLAP', { ...fields, trigger: event.trigger });
+  }
+}
+
+function requireAdmin(req, res) {
+  if (!ADMIN_TOKEN) {
+    errorJson(res, 404, 'ADMIN_UNAVAILABLE', 'Endpoint admin nonaktif. Set ADMIN_TOKEN di server.');
+    return false;
+  }
+  const provided = Buffer.from(String(req.headers['x-admin-token'] || ''));
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    errorJson(res, 401, 'ADMIN_UNAUTHORIZED', 'Header X-Admin-Token tidak valid.');
+    return false;
+  }
+  return true;
+}
+
+app.get('/webhooks', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  const list = webhooks.list();
+  return res.json({ success: true, count: list.length, webhooks: list });
+});
+
+app.post('/webhooks', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  const store = req.body?.store;
+  if (typeof store === 'string' && store.trim() && !storeRegistry.get(store.trim())) {
+    return errorJson(res, 422, 'INVALID_WEBHOOK', `Toko ${store.trim()} tidak terdaftar.`);
+  }
+  try {
+    const webhook = webhooks.subscribe({
+      url: req.body?.url,
+      secret: req.body?.secret,
+      events: req.body?.events,
+      user: req.body?.user,
+      store,
+    });
+    req.log.info('WEBHOOK_REGISTERED', { webhookId: webhook.id, events: webhook.events });
+    return res.status(201).json({ success: true, webhook });
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
-    const code = error && typeof error === 'object' && 'code' in error ? error.code : '';
-    if (code === 'TOKEN_INVALID') {
-      return errorJson(res, 401, 'TOKEN_INVALID', message);
+    if (error && error.code === 'INVALID_WEBHOOK') {
+      return errorJson(res, 422, 'INVALID_WEBHOOK', message);
     }
-    if (code === 'TIMEOUT') {
-      return errorJson(res, 504, 'DASHBOARD_TIMEOUT', message);
+    return errorJson(res, 500, 'WEBHOOK_REGISTER_FAILED', message);
+  }
+});
+
+app.delete('/webhooks/:id', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!webhooks.unsubscribe(req.params.id)) {
+    return errorJson(res, 404, 'WEBHOOK_NOT_FOUND', `Webhook ${req.params.id} tidak ditemukan.`);
+  }
+  return res.json({ success: true });
+});
+
+app.get('/webhooks/:id/deliveries', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!webhooks.get(req.params.id)) {
+    return errorJson(res, 404, 'WEBHOOK_NOT_FOUND', `Webhook ${req.params.id} tidak ditemukan.`);
+  }
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  const deliveries = webhooks.listDeliveries({ webhookId: req.params.id, limit });
+  return res.json({ success: true, count: deliveries.length, deliveries });
+});
+
+app.post('/webhooks/deliveries/:deliveryId/replay', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  try {
+    const delivery = webhooks.replay(req.params.deliveryId);
+    return res.status(202).json({ success: true, delivery });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (error && (error.code === 'DELIVERY_NOT_FOUND' || error.code === 'WEBHOOK_NOT_FOUND')) {
+      return errorJson(res, 404, error.code, message);
     }
-    console.error(`[${new Date().toISOString()}] DASHBOARD_FETCH_FAILED: ${message}`);
-    return errorJson(res, 500, 'DASHBOARD_FETCH_FAILED', message);
+    return errorJson(res, 500, 'WEBHOOK_REPLAY_FAILED', message);
   }
 });
 
+app.get('/jobs', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  const jobs = scheduler ? scheduler.list().map(jobStatus) : [];
+  return res.json({ success: true, count: jobs.length, jobs });
+});
+
+app.post('/jobs/:id/run', async (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!scheduler || !scheduler.get(req.params.id)) {
+    return errorJson(res, 404, 'JOB_NOT_FOUND', `Job ${req.params.id} tidak ditemukan.`);
+  }
+  try {
+    const job = jobStatus(await scheduler.runNow(req.params.id));
+    if (job.lastStatus === 'error') {
+      return errorJson(res, 502, 'JOB_RUN_FAILED', job.lastError.message, { errorCode: job.lastError.code, job });
+    }
+    return res.json({ success: true, job });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    if (error && error.code === 'JOB_RUNNING') {
+      return errorJson(res, 409, 'JOB_RUNNING', message);
+    }
+    return errorJson(res, 500, 'JOB_RUN_FAILED', message);
+  }
+});
+
+function requireSnapshotStore(res) {
+  if (snapshotStore) return true;
+  errorJson(res, 404, 'SNAPSHOTS_UNAVAILABLE', 'Snapshot belum aktif. Set SNAPSHOTS_ENABLED=true di server.');
+  return false;
+}
+
+// Snapshot hanya bisa dibaca oleh token yang dashboard-nya milik user yang sama di toko yang sama.
+// User kosong tidak bisa dijadikan pemilik: semua token tanpa user akan saling membaca snapshot.
+async function resolveSnapshotOwner(store, gasToken, log) {
+  const { dashboard } = await loadDashboard(store, gasToken, { bypassCache: false, log });
+  if (!dashboard.user) {
+    throw new CoreError('SNAPSHOT_OWNER_UNKNOWN', 'User dashboard tidak terbaca; snapshot tidak bisa dibuka.');
+  }
+  return dashboard.user;
+}
+
+function getOwnedSnapshot(id, store, owner) {
+  const snapshot = snapshotStore.get(id);
+  if (!owner || !snapshot || (snapshot.store || DEFAULT_STORE_ID) !== store.id) return null;
+  return snapshot.user === owner ? snapshot : null;
+}
+
+function requireForensicsStore(res) {
+  if (forensicsStore) return true;
+  errorJson(res, 404, 'FORENSICS_UNAVAILABLE', 'Forensik belum aktif. Set FORENSICS_ENABLED=true di server.');
+  return false;
+}
+
+app.get('/forensics', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!requireForensicsStore(res)) return undefined;
+  const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 50));
+  const artifacts = forensicsStore.list({ limit });
+  return res.json({ success: true, count: artifacts.length, artifacts });
+});
+
+app.get('/forensics/:id', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!requireForensicsStore(res)) return undefined;
+  const artifact = forensicsStore.get(req.params.id);
+  if (!artifact) {
+    return errorJson(res, 404, 'ARTIFACT_NOT_FOUND', `Artefak ${req.params.id} tidak ditemukan.`);
+  }
+  return res.json({ success: true, artifact });
+});
+
+app.get('/forensics/:id/download', (req, res) => {
+  if (!requireAdmin(req, res)) return undefined;
+  if (!requireForensicsStore(res)) return undefined;
+  const files = forensicsStore.readBundle(req.params.id);
+  if (!files) {
+    return errorJson(res, 404, 'ARTIFACT_NOT_FOUND', `Artefak ${req.params.id} tidak ditemukan.`);
+  }
+  res.attachment(`${req.params.id}.zip`);
+  res.type('application/zip');
+  return res.send(buildZip(files));
+});
+
+storeRouter.get('/snapshots', async (req, res) => {
+  if (!requireSnapshotStore(res)) return undefined;
+  const gasToken = authorizeDashboardRequest(req, res);
+  if (!gasToken) return undefined;
+
+  const limitRaw = typeof req.query.limit === 'string' ? req.query.limit.trim() : '';
+  const limit = limitRaw ? Number(limitRaw) : 50;
+  if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+    return errorJson(res, 422, 'INVALID_QUERY', 'Parameter limit harus 1-1000.');
+  }
+
+  try {
+    const owner = await resolveSnapshotOwner(req.store, gasToken, req.log);
+    const periode = typeof req.query.periode === 'string' ? req.query.periode.trim() : '';
+    const snapshots = snapshotStore.list({ store: req.store.id, user: owner, periode, limit });
+    return res.json({ success: true, user: owner, count: snapshots.length, snapshots });
+  } catch (error) {
+    return respondDashboardError(req, res, error, gasToken);
+  }
+});
+
+storeRouter.get('/snapshots/diff', async (req, res) => {
+  if (!requireSnapshotStore(res)) return undefined;
+  const gasToken = authorizeDashboardRequest(req, res);
+  if (!gasToken) return undefined;
+
+  const fromId = typeof req.query.from === 'string' ? req.query.from.trim() : '';
+  const toId = typeof req.query.to === 'string' ? req.query.to.trim() : '';
+  if (!fromId) {
+    return errorJson(res, 422, 'INVALID_QUERY', 'Parameter from (id snapshot) wajib diisi.');
+  }
+
+  try {
+    const owner = await resolveSnapshotOwner(req.store, gasToken, req.log);
+    const from = getOwnedSnapshot(fromId, req.store, owner);
+    if (!from) {
+      return errorJson(res, 404, 'SNAPSHOT_NOT_FOUND', `Snapshot ${fromId} tidak ditemukan.`);
+    }
+    const latest = toId
+      ? null
+      : snapshotStore.list({ store: req.store.id, user: owner, periode: from.periode, limit: 1 })[0];
+    const to = getOwnedSnapshot(toId || (latest ? latest.id : ''), req.store, owner);
+    if (!to) {
+      return errorJson(res, 404, 'SNAPSHOT_NOT_FOUND', `Snapshot ${toId || '(terbaru)'} tidak ditemukan.`);
+    }
+
+    const keyField = typeof req.query.key === 'string' ? req.query.key.trim() : '';
+    const diff = diffDashboards(from, to, { keyField });
+    return res.json({
+      success: true,
+      from: { id: from.id, periode: from.periode, capturedAt: from.capturedAt },
+      to: { id: to.id, periode: to.periode, capturedAt: to.capturedAt },
+      ...diff,
+    });
+  } catch (error) {
+    return respondDashboardError(req, res, error, gasToken);
+  }
+});
+
+storeRouter.get('/snapshots/:id', async (req, res) => {
+  if (!requireSnapshotStore(res)) return undefined;
+  const gasToken = authorizeDashboardRequest(req, res);
+  if (!gasToken) return undefined;
+
+  try {
+    const owner = await resolveSnapshotOwner(req.store, gasToken, req.log);
+    const snapshot = getOwnedSnapshot(req.params.id, req.store, owner);
+    if (!snapshot) {
+      return errorJson(res, 404, 'SNAPSHOT_NOT_FOUND', `Snapshot ${req.params.id} tidak ditemukan.`);
+    }
+    return res.json({ success: true, ...snapshot });
+  } catch (error) {
+    return respondDashboardError(req, res, error, gasToken);
+  }
+});
+
+app.use('/stores/:storeId', resolveStoreParam, storeRouter);
+app.use(useDefaultStore, storeRouter);
+
 app.get('/', (req, res) => {
   return res.json({
     success: true,
@@ -257,25 +1633,36 @@ app.get('/', (req, res) => {
 });
 
 const server = app.listen(PORT, () => {
-  console.log(`Server jalan di http://localhost:${PORT}`);
+  logger.info('SERVER_STARTED', { port: PORT, message: `Server jalan di http://localhost:${PORT}` });
 });
 
+if (scheduler) {
+  scheduler.start();
+  logger.info('SCHEDULER_STARTED', { jobs: scheduler.size() });
+}
+
+const cachePurgeTimer = setInterval(() => {
+  dashboardCache.purgeExpired();
+  if (refreshStore) refreshStore.purgeExpired();
+  loginFailures.purgeExpired();
+}, 60000);
+cachePurgeTimer.unref();
+
 let isShuttingDown = false;
 async function shutdown(signal) {
   if (isShuttingDown) return;
   isShuttingDown = true;
-  console.log(`[${new Date().toISOString()}] Menerima ${signal}, menutup server...`);
+  if (scheduler) scheduler.stop();
+  logger.info('SHUTDOWN_STARTED', { signal });
+  // Koneksi SSE terbuka menahan server.close; tutup dulu.
+  dashboardStreams.closeAll();
   server.close(async () => {
     try {
       await closeSharedBrowser();
-      console.log(`[${new Date().toISOString()}] Shutdown selesai.`);
+      logger.info('SHUTDOWN_COMPLETE');
       process.exit(0);
     } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] Gagal close browser saat shutdown: ${
-          error instanceof Error ? error.message : String(error)
-        }`
-      );
+      logger.error('SHUTDOWN_FAILED', { error, message: 'Gagal close browser saat shutdown.' });
       process.exit(1);
     }
   });
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createChangeTracker, createLoginFailureTracker } = require('../core/change-events');
+
+function extraction(data, totalTransaksi) {
+  return { user: 'Kasir Mock', periode: 'Februari 2026', headers: ['No', 'Produk', 'Total'], data, totalTransaksi };
+}
+
+describe('createChangeTracker', () => {
+  it('uses the first extraction as baseline and emits events for later changes', () => {
+    const tracker = createChangeTracker();
+    const first = [
+      { No: '1', Produk: 'Kopi', Total: '10' },
+      { No: '2', Produk: 'Teh', Total: '5' },
+    ];
+    assert.deepEqual(tracker.track(extraction(first, 15)), []);
+    assert.deepEqual(tracker.track(extraction(first, 15)), []);
+
+    const events = tracker.track(
+      extraction(
+        [
+          { No: '1', Produk: 'Kopi', Total: '12' },
+          { No: '3', Produk: 'Roti', Total: '8' },
+        ],
+        20
+      )
+    );
+    assert.deepEqual(events.map((event) => event.type), ['rows.added', 'rows.removed', 'rows.modified', 'total.changed']);
+    assert.deepEqual(events[0].data.rows, [{ No: '3', Produk: 'Roti', Total: '8' }]);
+    assert.equal(events[0].data.user, 'Kasir Mock');
+    assert.deepEqual(events[3].data, { user: 'Kasir Mock', periode: 'Februari 2026', before: 15, after: 20, delta: 5 });
+  });
+
+  it('tracks each user and periode separately', () => {
+    const tracker = createChangeTracker({ maxKeys: 1 });
+    tracker.track(extraction([], 0));
+    assert.deepEqual(tracker.track({ ...extraction([], 5), periode: 'Maret 2026' }), []);
+    assert.equal(tracker.size(), 1);
+  });
+
+  it('tracks stores separately and tags their events', () => {
+    const tracker = createChangeTracker();
+    tracker.track({ ...extraction([], 0), store: 'default' });
+    assert.deepEqual(tracker.track({ ...extraction([], 5), store: 'cabang' }), []);
+
+    const [event] = tracker.track({ ...extraction([], 7), store: 'cabang' });
+    assert.deepEqual(event.data, { store: 'cabang', user: 'Kasir Mock', periode: 'Februari 2026', before: 5, after: 7, delta: 2 });
+  });
+});
+
+describe('createLoginFailureTracker', () => {
+  it('reports reaching the threshold once per window', () => {
+    let clock = 0;
+    const tracker = createLoginFailureTracker({ threshold: 2, windowMs: 1000, now: () => clock });
+    assert.deepEqual(tracker.record('a***@x.com'), { count: 1, reached: false });
+    assert.deepEqual(tracker.record('a***@x.com'), { count: 2, reached: true });
+    assert.deepEqual(tracker.record('a***@x.com'), { count: 3, reached: false });
+    clock = 1000;
+    tracker.record('a***@x.com');
+    assert.equal(tracker.record('a***@x.com').reached, true);
+    clock = 5000;
+    tracker.purgeExpired();
+    assert.equal(tracker.size(), 0);
+  });
+});
@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCircuitBreaker } = require('../core/circuit-breaker');
+
+function createClock() {
+  const clock = { nowMs: Date.parse('2026-02-16T08:00:00Z') };
+  clock.now = () => clock.nowMs;
+  return clock;
+}
+
+const fail = (code) => async () => {
+  throw Object.assign(new Error(`gagal ${code}`), { code });
+};
+const succeed = async () => 'ok';
+const classify = (error) => {
+  if (error.code === 'LOGIN_INVALID_CREDENTIALS') return 'success';
+  if (error.code === 'BUSY') return 'ignore';
+  return 'failure';
+};
+
+describe('createCircuitBreaker', () => {
+  it('opens after consecutive failures and fails fast while open', async () => {
+    const clock = createClock();
+    const changes = [];
+    const breaker = createCircuitBreaker({
+      failureThreshold: 2,
+      resetTimeoutMs: 10000,
+      classify,
+      now: clock.now,
+      onStateChange: ({ from, to }) => changes.push(`${from}->${to}`),
+    });
+
+    await assert.rejects(breaker.run(fail('TIMEOUT')), { code: 'TIMEOUT' });
+    await assert.rejects(breaker.run(fail('BUSY')), { code: 'BUSY' });
+    assert.equal(breaker.state(), 'closed');
+    await assert.rejects(breaker.run(fail('TIMEOUT')), { code: 'TIMEOUT' });
+    assert.equal(breaker.state(), 'open');
+
+    clock.nowMs += 4000;
+    let called = false;
+    await assert.rejects(
+      breaker.run(async () => {
+        called = true;
+      }),
+      (error) => {
+        assert.equal(error.code, 'UPSTREAM_UNAVAILABLE');
+        assert.equal(error.retryAfterMs, 6000);
+        assert.match(error.message, /6 detik/);
+        return true;
+      }
+    );
+    assert.equal(called, false);
+    assert.deepEqual(changes, ['closed->open']);
+
+    const stats = breaker.stats();
+    assert.equal(stats.state, 'open');
+    assert.equal(stats.opens, 1);
+    assert.equal(stats.nextProbeAt, '2026-02-16T08:00:10.000Z');
+    assert.deepEqual(stats.lastFailure, { code: 'TIMEOUT', message: 'gagal TIMEOUT', at: '2026-02-16T08:00:00.000Z' });
+  });
+
+  it('lets one probe through when half-open and closes on success', async () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, classify, now: clock.now });
+    await assert.rejects(breaker.run(fail('TIMEOUT')));
+    clock.nowMs += 1000;
+    assert.equal(breaker.state(), 'half_open');
+
+    let release;
+    const probe = breaker.run(() => new Promise((resolve) => (release = resolve)));
+    await assert.rejects(breaker.run(succeed), { code: 'UPSTREAM_UNAVAILABLE' });
+    release('pulih');
+    assert.equal(await probe, 'pulih');
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(await breaker.run(succeed), 'ok');
+  });
+
+  it('reopens when the probe fails and treats definite answers as healthy', async () => {
+    const clock = createClock();
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, classify, now: clock.now });
+    await assert.rejects(breaker.run(fail('TIMEOUT')));
+    await assert.rejects(breaker.run(fail('LOGIN_INVALID_CREDENTIALS')));
+    await assert.rejects(breaker.run(fail('TIMEOUT')));
+    assert.equal(breaker.state(), 'closed');
+    await assert.rejects(breaker.run(fail('TIMEOUT')));
+    assert.equal(breaker.state(), 'open');
+
+    clock.nowMs += 1000;
+    await assert.rejects(breaker.run(fail('TIMEOUT')), { code: 'TIMEOUT' });
+    assert.equal(breaker.state(), 'open');
+    assert.equal(breaker.stats().opens, 2);
+  });
+
+  it('is a pass-through when the threshold is 0', async () => {
+    const breaker = createCircuitBreaker({ failureThreshold: 0 });
+    for (let i = 0; i < 3; i += 1) await assert.rejects(breaker.run(fail('TIMEOUT')), { code: 'TIMEOUT' });
+    assert.equal(breaker.state(), 'closed');
+    assert.equal(breaker.stats().enabled, false);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createContextPool } = require('../core/context-pool');
+
+describe('createContextPool', () => {
+  it('queues acquisitions beyond maxContexts and hands slots over on release', async () => {
+    const pool = createContextPool({ maxContexts: 1, maxQueue: 5, queueTimeoutMs: 1000 });
+    const releaseFirst = await pool.acquire();
+    const second = pool.acquire();
+    assert.deepEqual(
+      { active: pool.stats().active, queued: pool.stats().queued },
+      { active: 1, queued: 1 }
+    );
+
+    releaseFirst();
+    const releaseSecond = await second;
+    assert.equal(pool.stats().queued, 0);
+    releaseSecond();
+    releaseSecond();
+    assert.equal(pool.stats().active, 0);
+  });
+
+  it('rejects with BUSY when the queue is full', async () => {
+    const pool = createContextPool({ maxContexts: 1, maxQueue: 0, queueTimeoutMs: 1000 });
+    const release = await pool.acquire();
+    await assert.rejects(pool.acquire(), { name: 'CoreError', code: 'BUSY' });
+    release();
+  });
+
+  it('rejects with BUSY after the queue timeout', async () => {
+    const pool = createContextPool({ maxContexts: 1, maxQueue: 5, queueTimeoutMs: 20 });
+    const release = await pool.acquire();
+    await assert.rejects(pool.acquire(), { code: 'BUSY', message: /Timeout 20ms/ });
+    assert.equal(pool.stats().queued, 0);
+    release();
+  });
+});
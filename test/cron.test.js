@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron } = require('../core/cron');
+
+function local(text) {
+  return new Date(text).getTime();
+}
+
+describe('parseCron', () => {
+  it('finds the next matching minute for steps, ranges and lists', () => {
+    assert.equal(parseCron('*/15 * * * *').next(local('2026-02-16T08:07:30')), local('2026-02-16T08:15:00'));
+    assert.equal(parseCron('0 9-17/4 * * *').next(local('2026-02-16T09:00:00')), local('2026-02-16T13:00:00'));
+    assert.equal(parseCron('30 8,20 * * *').next(local('2026-02-16T20:30:00')), local('2026-02-17T08:30:00'));
+  });
+
+  it('supports weekdays, shortcuts and the day-of-month OR weekday rule', () => {
+    // 2026-02-16 adalah hari Senin.
+    assert.equal(parseCron('0 7 * * 1-5').next(local('2026-02-20T08:00:00')), local('2026-02-23T07:00:00'));
+    assert.equal(parseCron('0 0 * * 7').next(local('2026-02-16T00:00:00')), local('2026-02-22T00:00:00'));
+    assert.equal(parseCron('@daily').next(local('2026-02-16T10:00:00')), local('2026-02-17T00:00:00'));
+    assert.equal(parseCron('0 0 1 * 3').next(local('2026-02-16T00:00:00')), local('2026-02-18T00:00:00'));
+  });
+
+  it('rejects malformed expressions', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '*/0 * * * *', '5-1 * * * *', 'a * * * *', '*-5 * * * *']) {
+      assert.throws(() => parseCron(expression), Error, expression);
+    }
+  });
+});
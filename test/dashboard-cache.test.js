@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDashboardCache } = require('../core/dashboard-cache');
+
+function createClock(start = 1000000) {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => {
+      current += ms;
+    },
+  };
+}
+
+describe('createDashboardCache', () => {
+  it('moves entries from fresh to stale to miss', () => {
+    const clock = createClock();
+    const cache = createDashboardCache({ ttlMs: 1000, staleMs: 2000, now: clock.now });
+
+    assert.equal(cache.lookup('tok').state, 'miss');
+    cache.store('tok', { rowCount: 1 });
+    assert.equal(cache.lookup('tok').state, 'fresh');
+
+    clock.advance(1500);
+    assert.equal(cache.lookup('tok').state, 'stale');
+    assert.equal(cache.ageSeconds(cache.lookup('tok').entry), 1);
+
+    clock.advance(2000);
+    assert.equal(cache.lookup('tok').state, 'miss');
+    assert.equal(cache.size(), 0);
+  });
+
+  it('is disabled when ttl is 0', () => {
+    const cache = createDashboardCache({ ttlMs: 0 });
+    assert.equal(cache.store('tok', {}), null);
+    assert.equal(cache.lookup('tok').state, 'miss');
+  });
+
+  it('evicts the oldest entry past maxEntries', () => {
+    const cache = createDashboardCache({ ttlMs: 1000, maxEntries: 2 });
+    cache.store('a', 1);
+    cache.store('b', 2);
+    cache.store('c', 3);
+    assert.equal(cache.lookup('a').state, 'miss');
+    assert.equal(cache.lookup('c').entry.value, 3);
+  });
+
+  it('runs a single revalidation per stale entry', async () => {
+    const clock = createClock();
+    const cache = createDashboardCache({ ttlMs: 1000, staleMs: 5000, now: clock.now });
+    cache.store('tok', 'old');
+    clock.advance(1500);
+
+    const { entry } = cache.lookup('tok');
+    let calls = 0;
+    const fetcher = async () => {
+      calls += 1;
+      return 'new';
+    };
+    await Promise.all([cache.revalidate('tok', entry, fetcher), cache.revalidate('tok', entry, fetcher)]);
+
+    assert.equal(calls, 1);
+    assert.equal(cache.lookup('tok').state, 'fresh');
+    assert.equal(cache.lookup('tok').entry.value, 'new');
+  });
+});
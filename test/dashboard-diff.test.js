@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectKeyField, diffDashboards } = require('../core/dashboard-diff');
+
+const headers = ['No', 'Kasir', 'Produk', 'Total'];
+const previous = {
+  headers,
+  totalTransaksi: 48500,
+  data: [
+    { No: '1', Kasir: 'Ani', Produk: 'Kopi Susu', Total: 'Rp 30.000' },
+    { No: '2', Kasir: 'Budi', Produk: 'Roti Bakar', Total: 'Rp 18.500' },
+  ],
+};
+const current = {
+  headers,
+  totalTransaksi: 60000,
+  data: [
+    { No: '1', Kasir: 'Ani', Produk: 'Kopi Susu', Total: 'Rp 35.000' },
+    { No: '3', Kasir: 'Ani', Produk: 'Teh Manis', Total: 'Rp 25.000' },
+  ],
+};
+
+describe('diffDashboards', () => {
+  it('detects added, removed and modified rows by the key column', () => {
+    const diff = diffDashboards(previous, current);
+    assert.equal(diff.keyField, 'No');
+    assert.deepEqual(diff.added, [current.data[1]]);
+    assert.deepEqual(diff.removed, [previous.data[1]]);
+    assert.equal(diff.modified.length, 1);
+    assert.equal(diff.modified[0].key, '1');
+    assert.deepEqual(diff.modified[0].changes, [{ field: 'Total', before: 'Rp 30.000', after: 'Rp 35.000' }]);
+    assert.deepEqual(diff.totalTransaksi, { before: 48500, after: 60000, delta: 11500 });
+    assert.equal(diff.hasChanges, true);
+  });
+
+  it('compares whole rows when there is no key column', () => {
+    const plain = (data) => ({ headers: ['Produk', 'Total'], totalTransaksi: 1, data });
+    const diff = diffDashboards(
+      plain([{ Produk: 'A', Total: '1' }, { Produk: 'A', Total: '1' }]),
+      plain([{ Produk: 'A', Total: '1' }, { Produk: 'B', Total: '2' }])
+    );
+    assert.equal(diff.keyField, null);
+    assert.deepEqual(diff.added, [{ Produk: 'B', Total: '2' }]);
+    assert.deepEqual(diff.removed, [{ Produk: 'A', Total: '1' }]);
+    assert.deepEqual(diff.modified, []);
+  });
+
+  it('reports no changes for identical extractions', () => {
+    const diff = diffDashboards(previous, previous);
+    assert.equal(diff.hasChanges, false);
+    assert.equal(diff.totalTransaksi.delta, 0);
+  });
+
+  it('validates an explicit key column', () => {
+    assert.equal(detectKeyField(headers, 'Produk'), 'Produk');
+    assert.throws(() => detectKeyField(headers, 'Invoice'), { code: 'INVALID_QUERY' });
+  });
+});
@@ -0,0 +1,153 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const {
+  resolveExportFormat,
+  parseCsvDelimiter,
+  buildExportFilename,
+  neutralizeFormula,
+  buildCsv,
+  buildNdjson,
+  buildDashboardXlsx,
+} = require('../core/dashboard-export');
+
+const headers = ['No', 'Produk', 'Total'];
+const rows = [
+  { No: '1', Produk: 'Kopi "Susu", Gula Aren', Total: 'Rp 30.000' },
+  { No: '2', Produk: 'Roti\nBakar', Total: 18500 },
+];
+const meta = { user: 'Kasir Mock', periode: 'Februari 2026', totalTransaksi: 73500 };
+
+function readZipEntries(buffer) {
+  const entries = {};
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  for (let i = 0; i < count; i += 1) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    entries[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('resolveExportFormat', () => {
+  it('prefers ?format= over the Accept header', () => {
+    assert.equal(resolveExportFormat('CSV', () => 'application/json'), 'csv');
+    assert.equal(resolveExportFormat('', () => 'application/x-ndjson'), 'ndjson');
+    assert.equal(resolveExportFormat(undefined, () => false), 'json');
+    assert.throws(() => resolveExportFormat('pdf', () => false), { code: 'INVALID_QUERY' });
+  });
+
+  it('accepts comma, semicolon and tab delimiters', () => {
+    assert.equal(parseCsvDelimiter(undefined), ',');
+    assert.equal(parseCsvDelimiter(';'), ';');
+    assert.equal(parseCsvDelimiter('tab'), '\t');
+    assert.throws(() => parseCsvDelimiter('|'), { code: 'INVALID_QUERY' });
+  });
+
+  it('builds filenames from the periode', () => {
+    assert.equal(buildExportFilename('Februari 2026', 'csv'), 'dashboard-februari-2026.csv');
+    assert.equal(buildExportFilename('', 'xlsx'), 'dashboard-tanpa-periode.xlsx');
+  });
+});
+
+describe('buildCsv', () => {
+  it('writes a BOM, metadata section and quoted rows in header order', () => {
+    const csv = buildCsv({ headers, rows, meta });
+    assert.ok(csv.startsWith('﻿'));
+    assert.equal(
+      csv.slice(1),
+      [
+        'User,Kasir Mock',
+        'Periode,Februari 2026',
+        'Total Transaksi,73500',
+        '',
+        'No,Produk,Total',
+        '1,"Kopi ""Susu"", Gula Aren",Rp 30.000',
+        '2,"Roti\nBakar",18500',
+        '',
+      ].join('\r\n')
+    );
+  });
+
+  it('supports other delimiters and omitting metadata', () => {
+    const csv = buildCsv({ headers, rows: [rows[0]], meta, delimiter: ';', includeMeta: false });
+    assert.equal(csv, '﻿No;Produk;Total\r\n1;"Kopi ""Susu"", Gula Aren";Rp 30.000\r\n');
+  });
+});
+
+describe('formula injection', () => {
+  const injected = [
+    { No: '1', Produk: '=HYPERLINK("http://x","klik")', Total: '+1+1' },
+    { No: '2', Produk: '@SUM(A1)', Total: '-2+3' },
+    { No: '3', Produk: '\t=1+1', Total: -5000 },
+    { No: '4', Produk: '-', Total: '-Rp 5.000' },
+  ];
+
+  it('prefixes text starting with a formula character', () => {
+    assert.equal(neutralizeFormula('=1+1'), "'=1+1");
+    assert.equal(neutralizeFormula('\r=1'), "'\r=1");
+    assert.equal(neutralizeFormula('Kopi = enak'), 'Kopi = enak');
+    assert.equal(neutralizeFormula(-5000), -5000);
+    assert.equal(neutralizeFormula('-Rp 5.000'), '-Rp 5.000');
+    assert.equal(neutralizeFormula('-2,5'), '-2,5');
+  });
+
+  it('neutralizes CSV cells, headers and metadata', () => {
+    const arrayRows = injected.map((row) => headers.map((header) => row[header]));
+    const csv = buildCsv({ headers: ['No', '=Produk', 'Total'], rows: arrayRows, meta: { ...meta, user: '@admin' } });
+    const lines = csv.slice(1).split('\r\n');
+    assert.equal(lines[0], "User,'@admin");
+    assert.equal(lines[4], "No,'=Produk,Total");
+    assert.equal(lines[5], `1,"'=HYPERLINK(""http://x"",""klik"")",'+1+1`);
+    assert.equal(lines[6], "2,'@SUM(A1),'-2+3");
+    assert.equal(lines[7], "3,'\t=1+1,-5000");
+    assert.equal(lines[8], "4,'-,-Rp 5.000");
+  });
+
+  it('keeps XLSX text verbatim as inline strings, which are never evaluated', () => {
+    const entries = readZipEntries(buildDashboardXlsx({ headers, rows: injected, meta: { ...meta, periode: '=Periode' } }));
+    const data = entries['xl/worksheets/sheet1.xml'];
+    assert.match(data, /<c r="B2" t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;http:\/\/x&quot;,&quot;klik&quot;\)<\/t>/);
+    assert.match(data, /<t xml:space="preserve">\+1\+1<\/t>/);
+    assert.match(data, /<t xml:space="preserve">@SUM\(A1\)<\/t>/);
+    assert.match(data, /<c r="C4"><v>-5000<\/v><\/c>/);
+    assert.match(data, /<c r="C5" t="inlineStr"><is><t xml:space="preserve">-Rp 5.000<\/t>/);
+    assert.doesNotMatch(data, /'/);
+    assert.match(entries['xl/worksheets/sheet2.xml'], /<t xml:space="preserve">=Periode<\/t>/);
+  });
+});
+
+describe('buildNdjson', () => {
+  it('emits a metadata line followed by one row per line', () => {
+    const lines = buildNdjson({ headers, rows, meta }).trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines[0], { meta: { ...meta, headers } });
+    assert.deepEqual(lines.slice(1), rows);
+  });
+});
+
+describe('buildDashboardXlsx', () => {
+  it('produces a workbook with data and info sheets', () => {
+    const entries = readZipEntries(buildDashboardXlsx({ headers, rows, meta }));
+    assert.deepEqual(Object.keys(entries).sort(), [
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/_rels/workbook.xml.rels',
+      'xl/workbook.xml',
+      'xl/worksheets/sheet1.xml',
+      'xl/worksheets/sheet2.xml',
+    ]);
+    assert.match(entries['xl/workbook.xml'], /<sheet name="Data" sheetId="1"[^>]*\/><sheet name="Info"/);
+
+    const data = entries['xl/worksheets/sheet1.xml'];
+    assert.match(data, /<c r="A1" t="inlineStr"><is><t xml:space="preserve">No<\/t>/);
+    assert.match(data, /Kopi &quot;Susu&quot;, Gula Aren/);
+    assert.match(data, /<c r="C3"><v>18500<\/v><\/c>/);
+    assert.match(entries['xl/worksheets/sheet2.xml'], /Februari 2026.*<c r="B3"><v>73500<\/v>/);
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseDashboardQueryParams,
+  bindDashboardQuery,
+  applyDashboardQuery,
+} = require('../core/dashboard-query');
+
+const headers = ['No', 'Tanggal', 'Kasir', 'Produk', 'Qty', 'Total'];
+const rows = [
+  { No: '1', Tanggal: '16/02/2026', Kasir: 'Ani', Produk: 'Kopi Susu', Qty: '2', Total: 'Rp 30.000' },
+  { No: '2', Tanggal: '17/02/2026', Kasir: 'Budi', Produk: 'Teh Manis', Qty: '3', Total: 'Rp 9.000' },
+  { No: '3', Tanggal: '18/02/2026', Kasir: 'Ani', Produk: 'Roti Bakar', Qty: '1', Total: 'Rp 34.500' },
+  { No: '4', Tanggal: '20/02/2026', Kasir: 'Citra', Produk: 'Kopi Hitam', Qty: '10', Total: 'Rp 100.000' },
+];
+
+// Urutan yang sama dengan server.js: validasi query dulu, lalu cocokkan dengan kolom dashboard.
+function parseQuery(query) {
+  return bindDashboardQuery(parseDashboardQueryParams(query), headers, rows);
+}
+
+function run(query) {
+  return applyDashboardQuery(rows, headers, parseQuery(query));
+}
+
+describe('dashboard query filters', () => {
+  it('returns every row with pagination metadata when no parameter is given', () => {
+    const result = run({});
+    assert.equal(result.filteredCount, 4);
+    assert.equal(result.data.length, 4);
+    assert.deepEqual(result.pagination, {
+      limit: null,
+      offset: 0,
+      returned: 4,
+      hasMore: false,
+      nextOffset: null,
+      nextCursor: null,
+    });
+  });
+
+  it('filters kasir from repeated and comma separated values, case-insensitively', () => {
+    assert.deepEqual(run({ kasir: ['ani', 'Citra'] }).data.map((row) => row.No), ['1', '3', '4']);
+    assert.deepEqual(run({ kasir: 'budi,CITRA' }).data.map((row) => row.No), ['2', '4']);
+  });
+
+  it('filters an inclusive date range in any supported date format', () => {
+    assert.deepEqual(run({ from: '2026-02-17', to: '18/02/2026' }).data.map((row) => row.No), ['2', '3']);
+    assert.deepEqual(run({ from: '19 Februari 2026' }).data.map((row) => row.No), ['4']);
+  });
+
+  it('searches free text across all cells', () => {
+    assert.deepEqual(run({ q: 'kopi' }).data.map((row) => row.No), ['1', '4']);
+    assert.equal(run({ q: 'tidak-ada' }).filteredCount, 0);
+  });
+
+  it('sorts by typed column values in either direction', () => {
+    assert.deepEqual(run({ sort: '-Total' }).data.map((row) => row.No), ['4', '3', '1', '2']);
+    assert.deepEqual(run({ sort: 'Qty:asc' }).data.map((row) => row.No), ['3', '1', '2', '4']);
+    assert.deepEqual(run({ sort: 'Tanggal:desc' }).data.map((row) => row.No), ['4', '3', '2', '1']);
+    assert.deepEqual(run({ sort: 'Produk' }).data.map((row) => row.Produk), [
+      'Kopi Hitam',
+      'Kopi Susu',
+      'Roti Bakar',
+      'Teh Manis',
+    ]);
+  });
+});
+
+describe('dashboard query pagination', () => {
+  it('pages with limit and offset after filtering', () => {
+    const result = run({ sort: 'No', limit: '2', offset: '1' });
+    assert.deepEqual(result.data.map((row) => row.No), ['2', '3']);
+    assert.equal(result.filteredCount, 4);
+    assert.equal(result.pagination.hasMore, true);
+    assert.equal(result.pagination.nextOffset, 3);
+  });
+
+  it('follows nextCursor until the last page', () => {
+    const seen = [];
+    let query = { limit: '3' };
+    for (;;) {
+      const result = run(query);
+      seen.push(...result.data.map((row) => row.No));
+      if (!result.pagination.nextCursor) break;
+      query = { cursor: result.pagination.nextCursor };
+    }
+    assert.deepEqual(seen, ['1', '2', '3', '4']);
+  });
+
+  it('rejects invalid parameters with INVALID_QUERY', () => {
+    const invalid = [
+      { sort: 'Harga' },
+      { limit: '0' },
+      { limit: '5000' },
+      { offset: '-1' },
+      { from: 'kemarin' },
+      { cursor: 'bukan-cursor' },
+      { from: '2026-02-01', dateField: 'Produk2' },
+    ];
+    for (const query of invalid) {
+      assert.throws(() => parseQuery(query), { code: 'INVALID_QUERY' }, JSON.stringify(query));
+    }
+  });
+
+  it('validates column-independent parameters before the dashboard is known', () => {
+    for (const query of [{ limit: '0' }, { offset: 'x' }, { to: 'besok' }, { cursor: 'bukan-cursor' }]) {
+      assert.throws(() => parseDashboardQueryParams(query), { code: 'INVALID_QUERY' }, JSON.stringify(query));
+    }
+    const params = parseDashboardQueryParams({ sort: '-Harga', limit: '2' });
+    assert.deepEqual(params.sort, { field: 'Harga', direction: 'desc' });
+    assert.throws(() => bindDashboardQuery(params, headers, rows), { code: 'INVALID_QUERY', message: /Kolom sort "Harga"/ });
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatSseEvent, parseEventId, createDashboardStreamHub } = require('../core/dashboard-stream');
+
+function createFakeTimers() {
+  const timers = [];
+  const clock = {
+    nowMs: 0,
+    now: () => clock.nowMs,
+    setTimer(fn, ms) {
+      const timer = { fn, at: clock.nowMs + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer(timer) {
+      const index = timers.indexOf(timer);
+      if (index >= 0) timers.splice(index, 1);
+    },
+    advance(ms) {
+      const target = clock.nowMs + ms;
+      for (;;) {
+        timers.sort((a, b) => a.at - b.at);
+        const next = timers[0];
+        if (!next || next.at > target) break;
+        timers.shift();
+        clock.nowMs = next.at;
+        next.fn();
+      }
+      clock.nowMs = target;
+    },
+    pending: () => timers.length,
+  };
+  return clock;
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function dashboard(rows, totalTransaksi = 10, periode = 'Februari 2026') {
+  return {
+    user: 'Kasir Mock',
+    periode,
+    totalTransaksi,
+    rowCount: rows.length,
+    headers: ['No', 'Produk'],
+    data: rows.map(([No, Produk]) => ({ No, Produk })),
+  };
+}
+
+function createLoader(results) {
+  const loader = {
+    calls: [],
+    load: async (options) => {
+      loader.calls.push(options);
+      const next = results.length > 1 ? results.shift() : results[0];
+      if (next instanceof Error) throw next;
+      return next;
+    },
+  };
+  return loader;
+}
+
+function collect() {
+  const events = [];
+  return {
+    events,
+    closed: false,
+    send(event) {
+      events.push(event);
+    },
+  };
+}
+
+describe('formatSseEvent', () => {
+  it('writes id, event and single-line JSON data', () => {
+    assert.equal(
+      formatSseEvent({ id: 'ab-1', type: 'rows.added', data: { count: 1 } }),
+      'id: ab-1\nevent: rows.added\ndata: {"count":1}\n\n'
+    );
+    assert.equal(formatSseEvent({ type: 'heartbeat', at: 'x' }), ': heartbeat x\n\n');
+    assert.deepEqual(parseEventId('ab12-7'), { epoch: 'ab12', seq: 7 });
+    assert.equal(parseEventId('bukan-id'), null);
+  });
+});
+
+describe('createDashboardStreamHub', () => {
+  it('sends a snapshot first and then only row changes from one shared loop', async () => {
+    const clock = createFakeTimers();
+    const loader = createLoader([
+      dashboard([['1', 'Kopi']]),
+      dashboard([['1', 'Kopi']]),
+      dashboard([['1', 'Kopi'], ['2', 'Teh']], 15),
+    ]);
+    const hub = createDashboardStreamHub({ intervalMs: 1000, heartbeatMs: 5000, ...clock });
+    const first = collect();
+    const second = collect();
+    hub.subscribe({ key: 'token-a', load: loader.load, send: (event) => first.send(event) });
+    hub.subscribe({ key: 'token-a', load: loader.load, send: (event) => second.send(event) });
+    await flush();
+
+    assert.equal(hub.size(), 1);
+    assert.equal(hub.subscriberCount(), 2);
+    assert.deepEqual(first.events.map((event) => event.type), ['snapshot']);
+    assert.equal(first.events[0].data.rowCount, 1);
+    assert.deepEqual(loader.calls, [{ initial: true }]);
+
+    clock.advance(1000);
+    await flush();
+    assert.equal(first.events.length, 1);
+
+    clock.advance(1000);
+    await flush();
+    assert.equal(loader.calls.length, 3);
+    assert.deepEqual(first.events.map((event) => event.type), ['snapshot', 'rows.added', 'total.changed']);
+    assert.deepEqual(second.events, first.events);
+    assert.deepEqual(first.events[1].data.rows, [{ No: '2', Produk: 'Teh' }]);
+
+    clock.advance(5000);
+    await flush();
+    assert.ok(first.events.some((event) => event.type === 'heartbeat' && !event.id));
+  });
+
+  it('resumes from Last-Event-ID and falls back to a snapshot for unknown ids', async () => {
+    const clock = createFakeTimers();
+    const loader = createLoader([dashboard([['1', 'Kopi']]), dashboard([['1', 'Kopi'], ['2', 'Teh']])]);
+    const hub = createDashboardStreamHub({ intervalMs: 1000, heartbeatMs: 60000, ...clock });
+    const first = collect();
+    hub.subscribe({ key: 'token-a', load: loader.load, send: (event) => first.send(event) });
+    await flush();
+    const snapshotId = first.events[0].id;
+    clock.advance(1000);
+    await flush();
+
+    const resumed = collect();
+    hub.subscribe({
+      key: 'token-a',
+      load: loader.load,
+      lastEventId: snapshotId,
+      send: (event) => resumed.send(event),
+    });
+    assert.deepEqual(resumed.events.map((event) => event.type), ['rows.added']);
+
+    const upToDate = collect();
+    hub.subscribe({
+      key: 'token-a',
+      load: loader.load,
+      lastEventId: resumed.events[0].id,
+      send: (event) => upToDate.send(event),
+    });
+    assert.deepEqual(upToDate.events, []);
+
+    const stale = collect();
+    hub.subscribe({ key: 'token-a', load: loader.load, lastEventId: 'ffff-1', send: (event) => stale.send(event) });
+    assert.deepEqual(stale.events.map((event) => event.type), ['snapshot']);
+    assert.equal(stale.events[0].data.rowCount, 2);
+    assert.equal(stale.events[0].id, resumed.events[0].id);
+  });
+
+  it('stops the loop when the last subscriber leaves', async () => {
+    const clock = createFakeTimers();
+    const loader = createLoader([dashboard([['1', 'Kopi']])]);
+    const lifecycle = [];
+    const hub = createDashboardStreamHub({
+      intervalMs: 1000,
+      heartbeatMs: 5000,
+      ...clock,
+      onEvent: (event) => lifecycle.push(event.type),
+    });
+    const leaveA = hub.subscribe({ key: 'token-a', load: loader.load, send: () => {} });
+    const leaveB = hub.subscribe({ key: 'token-a', load: loader.load, send: () => {} });
+    await flush();
+
+    leaveA();
+    assert.equal(hub.size(), 1);
+    leaveB();
+    leaveB();
+    assert.equal(hub.size(), 0);
+    assert.equal(clock.pending(), 0);
+    assert.deepEqual(lifecycle, ['start', 'stop']);
+
+    clock.advance(10000);
+    await flush();
+    assert.equal(loader.calls.length, 1);
+  });
+
+  it('reports load errors and closes subscribers when the token is rejected', async () => {
+    const clock = createFakeTimers();
+    const timeout = Object.assign(new Error('Timeout.'), { code: 'TIMEOUT' });
+    const invalid = Object.assign(new Error('Token ditolak.'), { code: 'TOKEN_INVALID' });
+    const loader = createLoader([timeout, invalid]);
+    const hub = createDashboardStreamHub({ intervalMs: 1000, heartbeatMs: 5000, ...clock });
+    const subscriber = collect();
+    hub.subscribe({
+      key: 'token-a',
+      load: loader.load,
+      send: (event) => subscriber.send(event),
+      close: () => {
+        subscriber.closed = true;
+      },
+    });
+    await flush();
+    assert.deepEqual(subscriber.events, [{ type: 'error', data: { code: 'TIMEOUT', message: 'Timeout.' } }]);
+    assert.equal(subscriber.closed, false);
+
+    clock.advance(1000);
+    await flush();
+    assert.equal(subscriber.events[1].data.code, 'TOKEN_INVALID');
+    assert.equal(subscriber.closed, true);
+    assert.equal(hub.size(), 0);
+    assert.equal(clock.pending(), 0);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTopLimit, summarizeDashboard } = require('../core/dashboard-summary');
+
+const headers = ['No', 'Tanggal', 'Kasir', 'Produk', 'Qty', 'Total'];
+const rows = [
+  { No: '1', Tanggal: '16/02/2026', Kasir: 'Ani', Produk: 'Kopi Susu', Qty: '2', Total: 'Rp 30.000' },
+  { No: '2', Tanggal: '16/02/2026', Kasir: 'Budi', Produk: 'Roti Bakar', Qty: '1', Total: 'Rp 18.500' },
+  { No: '3', Tanggal: '17/02/2026', Kasir: 'Ani', Produk: 'Teh Manis', Qty: '5', Total: 'Rp 25.000' },
+  { No: '4', Tanggal: '17/02/2026', Kasir: 'Budi', Produk: 'Kopi Susu', Qty: '1', Total: 'Rp 15.000' },
+];
+
+describe('summarizeDashboard', () => {
+  it('computes grand totals, averages and per-kasir aggregates', () => {
+    const summary = summarizeDashboard(headers, rows);
+    assert.deepEqual(summary.columns, {
+      kasir: 'Kasir',
+      produk: 'Produk',
+      qty: 'Qty',
+      total: 'Total',
+      tanggal: 'Tanggal',
+    });
+    assert.deepEqual(summary.grandTotal, { transactions: 4, qty: 9, revenue: 88500 });
+    assert.deepEqual(summary.averages, {
+      revenuePerTransaction: 22125,
+      qtyPerTransaction: 2.25,
+      revenuePerDay: 44250,
+    });
+    assert.deepEqual(summary.byKasir, [
+      { kasir: 'Ani', transactions: 2, qty: 7, revenue: 55000, averageRevenue: 27500 },
+      { kasir: 'Budi', transactions: 2, qty: 2, revenue: 33500, averageRevenue: 16750 },
+    ]);
+  });
+
+  it('ranks products by quantity and revenue and totals each day', () => {
+    const summary = summarizeDashboard(headers, rows, { top: 2 });
+    assert.deepEqual(summary.topProducts.byQty.map((item) => [item.produk, item.qty]), [
+      ['Teh Manis', 5],
+      ['Kopi Susu', 3],
+    ]);
+    assert.deepEqual(summary.topProducts.byRevenue.map((item) => [item.produk, item.revenue]), [
+      ['Kopi Susu', 45000],
+      ['Teh Manis', 25000],
+    ]);
+    assert.deepEqual(summary.byDay.map((day) => [day.date, day.transactions, day.revenue]), [
+      ['2026-02-16', 2, 48500],
+      ['2026-02-17', 2, 40000],
+    ]);
+  });
+
+  it('groups by any header column', () => {
+    const summary = summarizeDashboard(headers, rows, { groupBy: 'Produk' });
+    assert.equal(summary.groupBy.field, 'Produk');
+    assert.deepEqual(summary.groupBy.groups[0], {
+      value: 'Kopi Susu',
+      transactions: 2,
+      qty: 3,
+      revenue: 45000,
+      averageRevenue: 22500,
+    });
+    assert.throws(() => summarizeDashboard(headers, rows, { groupBy: 'Harga' }), { code: 'INVALID_QUERY' });
+  });
+
+  it('leaves sections empty when the table lacks the column', () => {
+    const summary = summarizeDashboard(['Nama', 'Catatan'], [{ Nama: 'A', Catatan: 'x' }]);
+    assert.equal(summary.columns.kasir, null);
+    assert.deepEqual(summary.byKasir, []);
+    assert.deepEqual(summary.grandTotal, { transactions: 1, qty: 0, revenue: 0 });
+  });
+
+  it('validates the top parameter', () => {
+    assert.equal(parseTopLimit(undefined), 5);
+    assert.equal(parseTopLimit('10'), 10);
+    assert.throws(() => parseTopLimit('0'), { code: 'INVALID_QUERY' });
+    assert.throws(() => parseTopLimit('abc'), { code: 'INVALID_QUERY' });
+  });
+});
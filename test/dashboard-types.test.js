@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseLocaleNumber,
+  parseLocaleDate,
+  validateColumnSchema,
+  detectColumnTypes,
+  typeDashboardRows,
+} = require('../core/dashboard-types');
+
+describe('parseLocaleNumber', () => {
+  it('reads Indonesian thousand and decimal separators', () => {
+    assert.equal(parseLocaleNumber('5.000'), 5000);
+    assert.equal(parseLocaleNumber('Rp 1.250.000,50'), 1250000.5);
+    assert.equal(parseLocaleNumber('Rp. 18.500'), 18500);
+    assert.equal(parseLocaleNumber('1,5'), 1.5);
+    assert.equal(parseLocaleNumber('12'), 12);
+  });
+
+  it('handles negatives and English grouping', () => {
+    assert.equal(parseLocaleNumber('-Rp 5.000'), -5000);
+    assert.equal(parseLocaleNumber('(2.500)'), -2500);
+    assert.equal(parseLocaleNumber('1,250,000.75'), 1250000.75);
+  });
+
+  it('returns null for non-numeric text', () => {
+    assert.equal(parseLocaleNumber(''), null);
+    assert.equal(parseLocaleNumber('Ani'), null);
+    assert.equal(parseLocaleNumber('1.2.3,4,5'), null);
+  });
+});
+
+describe('parseLocaleDate', () => {
+  it('converts common formats to ISO', () => {
+    assert.equal(parseLocaleDate('16/02/2026'), '2026-02-16');
+    assert.equal(parseLocaleDate('2026-02-16'), '2026-02-16');
+    assert.equal(parseLocaleDate('16 Februari 2026'), '2026-02-16');
+    assert.equal(parseLocaleDate('16/02/2026 14:05'), '2026-02-16T14:05:00');
+  });
+
+  it('rejects impossible dates', () => {
+    assert.equal(parseLocaleDate('31/02/2026'), null);
+    assert.equal(parseLocaleDate('Kopi Susu'), null);
+  });
+});
+
+describe('typeDashboardRows', () => {
+  const headers = ['No', 'Tanggal', 'Kasir', 'Produk', 'Qty', 'Total', 'Catatan Khusus'];
+  const rows = [
+    {
+      No: '1',
+      Tanggal: '16/02/2026',
+      Kasir: ' Ani ',
+      Produk: 'Kopi Susu',
+      Qty: '5.000',
+      Total: 'Rp 1.250.000,50',
+      'Catatan Khusus': '-',
+    },
+  ];
+
+  it('detects column types from headers', () => {
+    assert.deepEqual(detectColumnTypes(headers, rows), {
+      No: 'number',
+      Tanggal: 'date',
+      Kasir: 'string',
+      Produk: 'string',
+      Qty: 'number',
+      Total: 'number',
+      'Catatan Khusus': 'string',
+    });
+  });
+
+  it('falls back to string when values contradict the header hint', () => {
+    const textRows = [
+      { 'No Transaksi': 'TRX-001', 'Status Bayar': 'Lunas', 'Tgl Kirim': 'besok', Total: 'Rp 5.000' },
+      { 'No Transaksi': 'TRX-002', 'Status Bayar': 'Belum', 'Tgl Kirim': '', Total: '' },
+    ];
+    const typed = typeDashboardRows(Object.keys(textRows[0]), textRows);
+    assert.deepEqual(typed.columnTypes, {
+      'No Transaksi': 'string',
+      'Status Bayar': 'string',
+      'Tgl Kirim': 'string',
+      Total: 'number',
+    });
+    assert.deepEqual(typed.data[0], { 'No Transaksi': 'TRX-001', 'Status Bayar': 'Lunas', 'Tgl Kirim': 'besok', Total: 5000 });
+  });
+
+  it('returns typed rows and optionally raw values', () => {
+    const typed = typeDashboardRows(headers, rows, { includeRaw: true });
+    assert.deepEqual(typed.data[0], {
+      No: 1,
+      Tanggal: '2026-02-16',
+      Kasir: 'Ani',
+      Produk: 'Kopi Susu',
+      Qty: 5000,
+      Total: 1250000.5,
+      'Catatan Khusus': '-',
+    });
+    assert.equal(typed.raw, rows);
+    assert.equal(typeDashboardRows(headers, rows).raw, undefined);
+  });
+
+  it('lets the schema override detection', () => {
+    const typed = typeDashboardRows(headers, rows, { schema: { No: 'string' } });
+    assert.equal(typed.columnTypes.No, 'string');
+    assert.equal(typed.data[0].No, '1');
+  });
+
+  it('rejects unknown schema types', () => {
+    assert.throws(() => validateColumnSchema({ Total: 'money' }), /tidak dikenal/);
+  });
+});
@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CoreError, describeError, withTimeout } = require('../core/errors');
+
+describe('describeError', () => {
+  it('keeps the code, message and forensics artifact id', () => {
+    const error = new CoreError('TIMEOUT', 'lambat');
+    error.artifactId = 'art_1_abcdef01';
+    assert.deepEqual(describeError(error, 'JOB_FAILED'), { code: 'TIMEOUT', message: 'lambat', artifactId: 'art_1_abcdef01' });
+  });
+
+  it('falls back to the given code for plain errors and non-errors', () => {
+    assert.deepEqual(describeError(new Error('boom'), 'JOB_FAILED'), { code: 'JOB_FAILED', message: 'boom' });
+    assert.deepEqual(describeError('putus', 'STREAM_LOAD_FAILED'), { code: 'STREAM_LOAD_FAILED', message: 'putus' });
+  });
+});
+
+describe('withTimeout', () => {
+  it('resolves with the promise value when it settles in time', async () => {
+    assert.equal(await withTimeout(Promise.resolve(42), 50), 42);
+    await assert.rejects(withTimeout(Promise.reject(new Error('gagal')), 50), { message: 'gagal' });
+  });
+
+  it('rejects with a TIMEOUT CoreError carrying the given message', async () => {
+    const never = new Promise(() => {});
+    await assert.rejects(withTimeout(never, 10), { code: 'TIMEOUT', message: 'Operasi tidak selesai dalam 10ms.' });
+    await assert.rejects(withTimeout(never, 10, 'Check browser habis'), { name: 'CoreError', message: 'Check browser habis' });
+  });
+
+  it('returns the promise untouched without a positive timeout', () => {
+    const promise = Promise.resolve('ok');
+    assert.equal(withTimeout(promise, 0), promise);
+  });
+});
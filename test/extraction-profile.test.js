@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PROFILE, validateExtractionProfile, loadExtractionProfile } = require('../core/extraction-profile');
+
+describe('validateExtractionProfile', () => {
+  it('fills missing fields from the default profile', () => {
+    const profile = validateExtractionProfile({
+      name: 'toko-baru',
+      login: { submitSelector: 'button[type="submit"]' },
+      dashboard: { fields: { periode: { pattern: 'bulan\\s*:\\s*([^\\n]+)' } } },
+    });
+
+    assert.equal(profile.name, 'toko-baru');
+    assert.deepEqual(profile.framePath, ['sandboxFrame', 'userHtmlFrame']);
+    assert.equal(profile.login.submitSelector, 'button[type="submit"]');
+    assert.equal(profile.login.emailSelector, 'input[type="email"]');
+    assert.deepEqual(profile.dashboard.fields.periode, { pattern: 'bulan\\s*:\\s*([^\\n]+)', flags: 'i' });
+    assert.deepEqual(profile.dashboard.fields.user, DEFAULT_PROFILE.dashboard.fields.user);
+    assert.ok(Object.isFrozen(profile.login));
+    assert.deepEqual(validateExtractionProfile({}), DEFAULT_PROFILE);
+  });
+
+  it('rejects unknown fields and wrong types', () => {
+    assert.throws(() => validateExtractionProfile([]), /harus berupa object/);
+    assert.throws(
+      () => validateExtractionProfile({ login: { emailSelectr: 'input' } }),
+      /Field profil ekstraksi tidak dikenal: login.emailSelectr/
+    );
+    assert.throws(() => validateExtractionProfile({ login: '#loginBtn' }), /login harus berupa object/);
+    assert.throws(() => validateExtractionProfile({ framePath: [] }), /framePath harus berupa list/);
+    assert.throws(() => validateExtractionProfile({ framePath: ['sandboxFrame', ''] }), /framePath\[1\]/);
+    assert.throws(
+      () => validateExtractionProfile({ dashboard: { tableBodySelector: null } }),
+      /dashboard.tableBodySelector harus berupa string tidak kosong/
+    );
+    assert.throws(
+      () => validateExtractionProfile({ login: { success: { urlParam: 'token&x' } } }),
+      /login.success.urlParam/
+    );
+    assert.throws(
+      () => validateExtractionProfile({ rpc: { loginFunction: 'check login' } }),
+      /rpc.loginFunction harus nama fungsi Apps Script atau null/
+    );
+    assert.equal(validateExtractionProfile({ rpc: { dashboardFunction: null } }).rpc.dashboardFunction, null);
+  });
+
+  it('validates regex patterns, flags and capture groups', () => {
+    assert.throws(
+      () => validateExtractionProfile({ dashboard: { fields: { user: { pattern: 'user: (' } } } }),
+      /Regex dashboard.fields.user.pattern tidak valid/
+    );
+    assert.throws(
+      () => validateExtractionProfile({ dashboard: { fields: { user: { pattern: 'user: \\S+' } } } }),
+      /harus punya satu capture group/
+    );
+    assert.throws(
+      () => validateExtractionProfile({ dashboard: { fields: { user: { flags: 'gi' } } } }),
+      /flags hanya boleh berisi i, m, s, u/
+    );
+    // Pola loading tidak butuh capture group.
+    validateExtractionProfile({ dashboard: { loadingPattern: { pattern: '^loading', flags: '' } } });
+  });
+});
+
+describe('loadExtractionProfile', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-profile-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('ships profiles/default.yaml identical to the built-in default', () => {
+    assert.deepEqual(loadExtractionProfile(path.join(__dirname, '..', 'profiles', 'default.yaml')), DEFAULT_PROFILE);
+  });
+
+  it('loads JSON and YAML files and reports the file on errors', () => {
+    const jsonPath = path.join(dir, 'toko.json');
+    fs.writeFileSync(jsonPath, JSON.stringify({ name: 'toko-json', framePath: ['app'] }));
+    assert.deepEqual(loadExtractionProfile(jsonPath).framePath, ['app']);
+
+    const yamlPath = path.join(dir, 'toko.yml');
+    fs.writeFileSync(yamlPath, "name: toko-yaml\nlogin:\n  error:\n    selector: '.alert-danger'\n");
+    assert.equal(loadExtractionProfile(yamlPath).login.error.selector, '.alert-danger');
+
+    const invalidPath = path.join(dir, 'salah.yaml');
+    fs.writeFileSync(invalidPath, 'dashboard:\n  tabel: x\n');
+    assert.throws(
+      () => loadExtractionProfile(invalidPath),
+      new RegExp(`Profil ekstraksi ${invalidPath} tidak valid: Field profil ekstraksi tidak dikenal: dashboard.tabel`)
+    );
+
+    const brokenYamlPath = path.join(dir, 'rusak.yaml');
+    fs.writeFileSync(brokenYamlPath, 'name: a\nname: b\n');
+    assert.throws(() => loadExtractionProfile(brokenYamlPath), new RegExp(`Gagal membaca profil ekstraksi ${brokenYamlPath}`));
+
+    const brokenPath = path.join(dir, 'rusak.json');
+    fs.writeFileSync(brokenPath, '{"name": ');
+    assert.throws(() => loadExtractionProfile(brokenPath), /Gagal membaca profil ekstraksi .*rusak.json/);
+    assert.throws(() => loadExtractionProfile(path.join(dir, 'profil.txt')), /harus berekstensi .json, .yaml, atau .yml/);
+  });
+});
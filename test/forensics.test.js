@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createConsoleRecorder,
+  createSecretRedactor,
+  collectPageArtifacts,
+  createForensicsStore,
+} = require('../core/forensics');
+
+function fakeFrame(name, url, html, children = []) {
+  return {
+    name: () => name,
+    url: () => url,
+    childFrames: () => children,
+    content: async () => {
+      if (html instanceof Error) throw html;
+      return html;
+    },
+  };
+}
+
+function bundleInput(overrides = {}) {
+  return {
+    operation: 'dashboard',
+    code: 'TIMEOUT',
+    message: 'Timeout menunggu data dashboard siap.',
+    pageUrl: 'https://script.google.com/exec?token=[REDACTED]',
+    files: [{ name: 'console.log', data: 'baris' }],
+    ...overrides,
+  };
+}
+
+describe('createSecretRedactor', () => {
+  it('masks known secrets, their URL-encoded form and token patterns', () => {
+    const redactText = createSecretRedactor(['p@ss word', 'abc', undefined]);
+    assert.equal(
+      redactText('pw=p@ss word enc=p%40ss%20word short=abc url=/exec?token=xyz'),
+      'pw=[REDACTED] enc=[REDACTED] short=abc url=/exec?token=[REDACTED]'
+    );
+  });
+});
+
+describe('createConsoleRecorder', () => {
+  it('keeps the last lines of console, page errors and navigations', () => {
+    const page = new EventEmitter();
+    const recorder = createConsoleRecorder(page, { maxLines: 2, now: () => Date.UTC(2026, 1, 16) });
+    page.emit('console', { type: () => 'log', text: () => 'memuat' });
+    page.emit('pageerror', new Error('x is undefined'));
+    page.emit('framenavigated', { name: () => 'userHtmlFrame', url: () => 'https://a/b' });
+    assert.deepEqual(recorder.lines(), [
+      '2026-02-16T00:00:00.000Z [pageerror] x is undefined',
+      '2026-02-16T00:00:00.000Z [navigated] userHtmlFrame https://a/b',
+    ]);
+  });
+});
+
+describe('collectPageArtifacts', () => {
+  it('redacts every text file and records failed steps without aborting', async () => {
+    const main = fakeFrame('', 'https://script.google.com/exec?token=tok-rahasia', '<html>tok-rahasia</html>', [
+      fakeFrame('sandboxFrame', 'https://sandbox/', new Error('Frame was detached')),
+    ]);
+    const page = {
+      isClosed: () => false,
+      mainFrame: () => main,
+      screenshot: async () => Buffer.from('png'),
+    };
+
+    const { files, problems } = await collectPageArtifacts(page, {
+      redactText: createSecretRedactor(['tok-rahasia']),
+      consoleLines: ['[log] token tok-rahasia'],
+    });
+
+    assert.deepEqual(files.map((file) => file.name), ['screenshot.png', 'frame-tree.json', 'frame-00-main.html', 'console.log']);
+    const text = files.filter((file) => typeof file.data === 'string').map((file) => file.data).join('\n');
+    assert.ok(!text.includes('tok-rahasia'));
+    assert.match(files[2].data, /^<!-- frame: \(no-name\) \| url: https:\/\/script\.google\.com\/exec\?token=\[REDACTED\] -->/);
+    assert.deepEqual(problems, ['frame-01-sandboxFrame.html: Frame was detached']);
+  });
+
+  it('gives up on steps that hang', async () => {
+    const page = {
+      isClosed: () => true,
+      mainFrame: () => fakeFrame('', 'about:blank', ''),
+      screenshot: () => new Promise(() => {}),
+    };
+    const { files, problems } = await collectPageArtifacts(page, {
+      redactText: createSecretRedactor(),
+      timeoutMs: 20,
+    });
+    assert.deepEqual(files.map((file) => file.name), ['frame-tree.json', 'console.log']);
+    assert.deepEqual(problems, ['screenshot: timeout 20ms']);
+  });
+});
+
+describe('createForensicsStore', () => {
+  let dir;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forensics-'));
+    clock = Date.parse('2026-02-16T08:00:00Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes one directory per bundle and reads it back', () => {
+    const store = createForensicsStore({ dir, now: () => clock });
+    const manifest = store.save(
+      bundleInput({ files: [{ name: 'screenshot.png', data: Buffer.from([1, 2, 3]) }, { name: 'console.log', data: 'ok' }] })
+    );
+
+    assert.match(manifest.id, /^art_[0-9a-z]+_[0-9a-f]{8}$/);
+    assert.deepEqual(manifest.files, [
+      { name: 'screenshot.png', size: 3 },
+      { name: 'console.log', size: 2 },
+    ]);
+    assert.equal(manifest.createdAt, '2026-02-16T08:00:00.000Z');
+    assert.deepEqual(store.get(manifest.id), manifest);
+    assert.equal(store.get('../etc'), null);
+
+    const files = store.readBundle(manifest.id);
+    assert.deepEqual(files.map((file) => file.name), ['manifest.json', 'screenshot.png', 'console.log']);
+    assert.deepEqual(files[1].data, Buffer.from([1, 2, 3]));
+
+    const reloaded = createForensicsStore({ dir, now: () => clock });
+    assert.deepEqual(reloaded.list(), [manifest]);
+  });
+
+  it('keeps at most maxBundles, drops expired bundles and leftovers', () => {
+    fs.mkdirSync(path.join(dir, 'art_x_00000000.tmp'));
+    const store = createForensicsStore({ dir, maxBundles: 2, maxAgeMs: 60 * 60 * 1000, now: () => clock });
+    assert.ok(!fs.existsSync(path.join(dir, 'art_x_00000000.tmp')));
+
+    const first = store.save(bundleInput());
+    clock += 1000;
+    const second = store.save(bundleInput());
+    clock += 1000;
+    const third = store.save(bundleInput());
+    assert.deepEqual(store.list().map((manifest) => manifest.id), [third.id, second.id]);
+    assert.ok(!fs.existsSync(path.join(dir, first.id)));
+
+    clock += 60 * 60 * 1000 - 999;
+    store.prune();
+    assert.deepEqual(store.list().map((manifest) => manifest.id), [third.id]);
+    assert.equal(store.size(), 1);
+  });
+});
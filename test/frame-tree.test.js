@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFrameTree, logFrameTree, listFrames } = require('../core/frame-tree');
+
+function fakeFrame(name, url, children = []) {
+  return { name: () => name, url: () => url, childFrames: () => children };
+}
+
+const root = fakeFrame('', 'https://script.google.com/exec', [
+  fakeFrame('sandboxFrame', 'https://n-abc.googleusercontent.com/', [
+    fakeFrame('userHtmlFrame', 'https://n-abc.googleusercontent.com/userCodeAppPanel'),
+  ]),
+]);
+
+describe('frame tree helpers', () => {
+  it('builds a nested tree with placeholder names', () => {
+    assert.deepEqual(buildFrameTree(root), {
+      name: '(no-name)',
+      url: 'https://script.google.com/exec',
+      children: [
+        {
+          name: 'sandboxFrame',
+          url: 'https://n-abc.googleusercontent.com/',
+          children: [{ name: 'userHtmlFrame', url: 'https://n-abc.googleusercontent.com/userCodeAppPanel', children: [] }],
+        },
+      ],
+    });
+  });
+
+  it('prints an indented outline', () => {
+    const lines = [];
+    logFrameTree(root, (line) => lines.push(line));
+    assert.deepEqual(lines, [
+      '- name="(no-name)" url="https://script.google.com/exec"',
+      '  - name="sandboxFrame" url="https://n-abc.googleusercontent.com/"',
+      '    - name="userHtmlFrame" url="https://n-abc.googleusercontent.com/userCodeAppPanel"',
+    ]);
+  });
+
+  it('lists frames depth-first with their name path', () => {
+    assert.deepEqual(
+      listFrames(root).map((entry) => entry.path.join(' > ')),
+      ['(no-name)', '(no-name) > sandboxFrame', '(no-name) > sandboxFrame > userHtmlFrame']
+    );
+  });
+});
@@ -0,0 +1,333 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isBrowserAvailable, startMockGas } = require('./helpers/harness');
+const { listDescendantPids } = require('../core/process-memory');
+const { createForensicsStore } = require('../core/forensics');
+const { createLogger } = require('../core/logger');
+const {
+  loginAndGetToken,
+  fetchDashboardByToken,
+  closeSharedBrowser,
+  getBrowserStats,
+  configureForensics,
+  configureExtractionProfile,
+  configureGasMode,
+  configureCircuitBreaker,
+  getCircuitBreakerStats,
+  checkBrowserContext,
+  probeLoginForm,
+} = require('../core/gas-playwright');
+
+const NEEDS_BROWSER = isBrowserAvailable() ? false : 'Chromium Playwright tidak terpasang';
+
+describe('gas-playwright crash recovery', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  it('retries once on a new browser when Chromium dies mid-request', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const token = mock.issueToken(mock.config.users[0]);
+    mock.configure({ dashboardDelayMs: 1500 });
+    const pending = fetchDashboardByToken({
+      baseUrl: mock.appsScriptUrl,
+      tokenOrUrl: token,
+      timeoutMs: 10000,
+      headless: true,
+    });
+
+    await new Promise((resolve) => setTimeout(resolve, 700));
+    // Proses utama Chromium adalah turunan dengan sub-proses terbanyak (zygote, renderer, gpu).
+    const [browserPid] = listDescendantPids()
+      .map((pid) => ({ pid, descendants: listDescendantPids(pid).length }))
+      .sort((a, b) => b.descendants - a.descendants)
+      .map((item) => item.pid);
+    assert.ok(browserPid, 'proses Chromium tidak ditemukan');
+    process.kill(browserPid, 'SIGKILL');
+    mock.configure({ dashboardDelayMs: 0 });
+
+    const dashboard = await pending;
+    assert.equal(dashboard.rowCount, mock.config.rows.length);
+    const stats = getBrowserStats();
+    assert.equal(stats.crashes, 1);
+    assert.equal(stats.crashRetries, 1);
+    assert.equal(stats.launches, 2);
+  });
+});
+
+describe('gas-playwright phase timings', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  it('reports each phase with its outcome', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const phases = [];
+    const onPhase = (phase) => phases.push(phase);
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 10000, headless: true, onPhase };
+
+    await assert.rejects(loginAndGetToken({ ...options, email: 'kasir@example.com', password: 'salah' }), {
+      code: 'LOGIN_INVALID_CREDENTIALS',
+    });
+    assert.deepEqual(
+      phases.map(({ operation, phase, outcome }) => `${operation}:${phase}:${outcome}`),
+      ['login:navigation:ok', 'login:frame_wait:ok', 'login:login_submit:error']
+    );
+
+    phases.length = 0;
+    await fetchDashboardByToken({ ...options, tokenOrUrl: mock.issueToken(mock.config.users[0]) });
+    assert.deepEqual(
+      phases.map(({ phase, outcome }) => `${phase}:${outcome}`),
+      ['navigation:ok', 'frame_wait:ok', 'table_ready:ok', 'extraction:ok']
+    );
+    assert.ok(phases.every((phase) => phase.operation === 'dashboard' && phase.durationMs >= 0));
+  });
+});
+
+describe('gas-playwright summary fields', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  // Teks halaman dinormalisasi tanpa menghapus baris baru, jadi tiap field berhenti di akhir barisnya
+  // dan tidak ikut menelan field berikutnya (mis. user = "Kasir Mock Periode: ...").
+  it('reads each field up to the end of its line', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const dashboard = await fetchDashboardByToken({
+      baseUrl: mock.appsScriptUrl,
+      tokenOrUrl: mock.issueToken(mock.config.users[0]),
+      timeoutMs: 10000,
+      headless: true,
+    });
+    assert.equal(dashboard.source, 'table');
+    assert.equal(dashboard.user, 'Kasir Mock');
+    assert.equal(dashboard.periode, 'Februari 2026');
+    assert.equal(dashboard.totalTransaksi, 73500);
+  });
+});
+
+describe('gas-playwright extraction profile', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    configureExtractionProfile(null);
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  it('reads selectors and field patterns from the configured profile', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 10000, headless: true };
+    configureExtractionProfile({ dashboard: { fields: { periode: { pattern: 'periode\\s*:\\s*\\S+\\s+(\\d{4})' } } } });
+    const { token } = await loginAndGetToken({ ...options, email: 'kasir@example.com', password: 'rahasia' });
+    const dashboard = await fetchDashboardByToken({ ...options, tokenOrUrl: token });
+    assert.equal(dashboard.periode, '2026');
+    assert.equal(dashboard.user, 'Kasir Mock');
+
+    configureExtractionProfile({ dashboard: { tableBodySelector: '#tabelLain' } });
+    await assert.rejects(fetchDashboardByToken({ ...options, tokenOrUrl: token }), {
+      code: 'TOKEN_INVALID',
+      message: /Data table \(#tabelLain\) tidak ditemukan/,
+    });
+  });
+});
+
+describe('gas-playwright RPC mode', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    configureGasMode('dom');
+    configureExtractionProfile(null);
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => configureGasMode('api'), /Mode GAS "api" tidak dikenal. Pilihan: dom, rpc/);
+    assert.equal(configureGasMode(undefined), 'dom');
+  });
+
+  it('calls google.script.run and matches the DOM result', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 10000, headless: true };
+    const credentials = { email: 'kasir@example.com', password: 'rahasia' };
+    const fromDom = await fetchDashboardByToken({ ...options, tokenOrUrl: mock.issueToken(mock.config.users[0]) });
+
+    configureGasMode('rpc');
+    const login = await loginAndGetToken({ ...options, ...credentials });
+    assert.equal(login.mode, 'rpc');
+    // Tanpa rpc.dashboardFunction, dashboard tetap lewat DOM.
+    assert.equal((await fetchDashboardByToken({ ...options, tokenOrUrl: login.token })).source, 'table');
+
+    configureExtractionProfile({ rpc: { dashboardFunction: 'getDashboardData' } });
+    const dashboardCalls = mock.stats.rpcCalls.getDashboardData;
+    const fromRpc = await fetchDashboardByToken({ ...options, tokenOrUrl: login.token });
+    assert.equal(fromRpc.source, 'rpc');
+    assert.ok(mock.stats.rpcCalls.getDashboardData > dashboardCalls);
+    for (const field of ['user', 'periode', 'totalTransaksi', 'rowCount', 'headers', 'data']) {
+      assert.deepEqual(fromRpc[field], fromDom[field], field);
+    }
+
+    await assert.rejects(loginAndGetToken({ ...options, email: credentials.email, password: 'salah' }), {
+      code: 'LOGIN_INVALID_CREDENTIALS',
+      message: 'Email atau password salah!',
+    });
+  });
+
+  it('falls back to the DOM when RPC rejects an expired token and keeps the breaker closed', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 10000, headless: true };
+    configureGasMode('rpc');
+    configureExtractionProfile({ rpc: { dashboardFunction: 'getDashboardData' } });
+    configureCircuitBreaker({ failureThreshold: 2 });
+    const warnings = [];
+    const logger = createLogger({ level: 'warn', write: (line) => warnings.push(JSON.parse(line)) });
+    try {
+      const token = mock.issueToken(mock.config.users[0]);
+      mock.expireToken(token);
+      for (let i = 0; i < 3; i += 1) {
+        await assert.rejects(fetchDashboardByToken({ ...options, tokenOrUrl: token, logger }), { code: 'TOKEN_INVALID' });
+      }
+      const breaker = getCircuitBreakerStats(mock.appsScriptUrl);
+      assert.equal(breaker.state, 'closed');
+      assert.equal(breaker.consecutiveFailures, 0);
+      assert.deepEqual(
+        warnings.filter(({ event }) => event === 'GAS_RPC_REJECTED').map(({ message }) => message),
+        Array(3).fill('Sesi berakhir. Silakan login ulang.')
+      );
+    } finally {
+      configureCircuitBreaker({ failureThreshold: 5 });
+    }
+  });
+
+  it('falls back to the DOM when the function is not exposed', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 10000, headless: true };
+    configureGasMode('rpc');
+    configureExtractionProfile({ rpc: { loginFunction: 'checkLoginV2', dashboardFunction: null } });
+    const warnings = [];
+    const logger = createLogger({ level: 'warn', write: (line) => warnings.push(JSON.parse(line)) });
+
+    const login = await loginAndGetToken({ ...options, email: 'kasir@example.com', password: 'rahasia', logger });
+    assert.equal(login.mode, 'dom');
+    assert.equal(mock.stats.rpcCalls.checkLoginV2, 1);
+    assert.deepEqual(warnings.map(({ event, operation }) => [event, operation]), [['GAS_RPC_UNAVAILABLE', 'login']]);
+
+    const dashboard = await fetchDashboardByToken({ ...options, tokenOrUrl: login.token });
+    assert.equal(dashboard.source, 'table');
+    assert.equal(dashboard.user, 'Kasir Mock');
+  });
+});
+
+describe('gas-playwright readiness checks', () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockGas();
+  });
+
+  after(async () => {
+    await closeSharedBrowser();
+    await mock.close();
+  });
+
+  it('opens a context without counting it towards recycling', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    await checkBrowserContext(true);
+    const first = getBrowserStats();
+    await checkBrowserContext(true);
+    const second = getBrowserStats();
+    assert.equal(second.launches, first.launches);
+    assert.equal(second.contextsOpened, first.contextsOpened);
+  });
+
+  it('finds the login form and times out on pages without it', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    await probeLoginForm({ baseUrl: mock.appsScriptUrl, timeoutMs: 5000, headless: true });
+    await assert.rejects(
+      probeLoginForm({ baseUrl: new URL('/static/mock.css', mock.appsScriptUrl).href, timeoutMs: 1000, headless: true }),
+      { code: 'TIMEOUT' }
+    );
+  });
+});
+
+describe('gas-playwright failure forensics', () => {
+  let mock;
+  let dir;
+  let store;
+
+  before(async () => {
+    mock = await startMockGas();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forensics-'));
+    store = createForensicsStore({ dir });
+    configureForensics({ store, skipCodes: ['LOGIN_INVALID_CREDENTIALS'] });
+  });
+
+  after(async () => {
+    configureForensics({});
+    await closeSharedBrowser();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves a redacted bundle for failed flows only', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const options = { baseUrl: mock.appsScriptUrl, timeoutMs: 2000, headless: true };
+    await assert.rejects(loginAndGetToken({ ...options, email: 'kasir@example.com', password: 'salah' }), (error) => {
+      assert.equal(error.code, 'LOGIN_INVALID_CREDENTIALS');
+      assert.equal(error.artifactId, undefined);
+      return true;
+    });
+    assert.equal(store.size(), 0);
+
+    const token = mock.issueToken(mock.config.users[0]);
+    mock.configure({ dashboardDelayMs: 5000 });
+    let artifactId = '';
+    await assert.rejects(fetchDashboardByToken({ ...options, tokenOrUrl: token }), (error) => {
+      assert.equal(error.code, 'TIMEOUT');
+      artifactId = error.artifactId;
+      return true;
+    });
+    mock.configure({ dashboardDelayMs: 0 });
+
+    const manifest = store.get(artifactId);
+    assert.equal(manifest.operation, 'dashboard');
+    assert.equal(manifest.code, 'TIMEOUT');
+    assert.deepEqual(manifest.problems, []);
+    const names = manifest.files.map((file) => file.name);
+    assert.ok(names.includes('screenshot.png'));
+    assert.ok(names.includes('frame-tree.json'));
+    assert.ok(names.includes('console.log'));
+    assert.ok(names.some((name) => name.endsWith('-userHtmlFrame.html')));
+
+    const files = store.readBundle(artifactId);
+    const png = files.find((file) => file.name === 'screenshot.png').data;
+    assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    const text = files.filter((file) => file.name !== 'screenshot.png').map((file) => file.data.toString('utf8')).join('\n');
+    assert.match(text, /dashboardTableBody/);
+    assert.match(text, /userHtmlFrame/);
+    assert.ok(!text.includes(token), 'token GAS tersimpan di bundle');
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { chromium } = require('playwright');
+const { createMockGasServer } = require('../../scripts/mock-gas-server');
+const { createSessionTokenCodec } = require('../../core/session-token');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const TEST_SESSION_SECRET = 'test-session-secret';
+
+function isBrowserAvailable() {
+  try {
+    return fs.existsSync(chromium.executablePath());
+  } catch {
+    return false;
+  }
+}
+
+async function startMockGas(options = {}) {
+  const mock = createMockGasServer(options);
+  const listening = await mock.listen(0);
+  return { ...mock, ...listening };
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = require('net').createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+    server.on('error', reject);
+  });
+}
+
+async function waitForHealth(baseUrl, child, timeoutMs) {
+  const start = Date.now();
+  while (Date.now() - start < timeoutMs) {
+    if (child.exitCode !== null) {
+      throw new Error(`server.js keluar lebih awal dengan code ${child.exitCode}`);
+    }
+    try {
+      const res = await fetch(`${baseUrl}/health`);
+      if (res.ok) return;
+    } catch {
+      // Server belum listen.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error('Timeout menunggu server.js siap.');
+}
+
+async function startApiServer(env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT_DIR,
+    env: {
+      ...process.env,
+      HEADLESS: 'true',
+      NAVIGATION_TIMEOUT_MS: '5000',
+      SESSION_TOKEN_SECRET: TEST_SESSION_SECRET,
+      ...env,
+      PORT: String(port),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  let output = '';
+  child.stdout.on('data', (chunk) => {
+    output += chunk;
+  });
+  child.stderr.on('data', (chunk) => {
+    output += chunk;
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  try {
+    await waitForHealth(baseUrl, child, 10000);
+  } catch (error) {
+    child.kill('SIGKILL');
+    throw new Error(`${error.message}\n${output}`);
+  }
+
+  return {
+    baseUrl,
+    getOutput: () => output,
+    // Baris log JSON dari server; baris non-JSON (mis. stack trace) diabaikan.
+    getLogs: () =>
+      output
+        .split('\n')
+        .filter((line) => line.startsWith('{'))
+        .map((line) => JSON.parse(line)),
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', () => resolve());
+        child.kill('SIGTERM');
+      }),
+  };
+}
+
+// Bungkus token GAS menjadi session token seperti hasil POST /auth/login.
+function signGasToken(gasToken, { ttlMs = 60 * 60 * 1000, now, storeId } = {}) {
+  const codec = createSessionTokenCodec({ secret: TEST_SESSION_SECRET, ttlMs, now });
+  return codec.issue({ gasToken, user: 'k***@example.com', storeId }).token;
+}
+
+async function requestJson(baseUrl, pathname, { method = 'GET', token, body, headers = {} } = {}) {
+  const res = await fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = null;
+  }
+  return { status: res.status, headers: res.headers, body: json, text };
+}
+
+module.exports = {
+  isBrowserAvailable,
+  startMockGas,
+  startApiServer,
+  signGasToken,
+  requestJson,
+};
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createInflightGroup } = require('../core/inflight');
+
+describe('createInflightGroup', () => {
+  it('shares one execution between concurrent callers', async () => {
+    const group = createInflightGroup();
+    let calls = 0;
+    let reportedWaiters = null;
+    const joinedOwners = [];
+    const task = async () => {
+      calls += 1;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      return { calls };
+    };
+    const options = (owner) => ({
+      owner,
+      onJoin: (leader) => joinedOwners.push(`${owner}<-${leader}`),
+      onSettled: (waiters) => (reportedWaiters = waiters),
+    });
+
+    const results = await Promise.all([
+      group.run('a', task, options('req-1')),
+      group.run('a', task, options('req-2')),
+      group.run('a', task, options('req-3')),
+    ]);
+
+    assert.equal(calls, 1);
+    assert.equal(reportedWaiters, 2);
+    assert.deepEqual(joinedOwners, ['req-2<-req-1', 'req-3<-req-1']);
+    assert.ok(results.every((result) => result === results[0]));
+    assert.equal(group.size(), 0);
+  });
+
+  it('propagates the same error to every waiter', async () => {
+    const group = createInflightGroup();
+    const failure = new Error('boom');
+    const task = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      throw failure;
+    };
+
+    const settled = await Promise.allSettled([group.run('a', task), group.run('a', task)]);
+    assert.deepEqual(
+      settled.map((item) => item.reason),
+      [failure, failure]
+    );
+  });
+
+  it('runs different keys independently', async () => {
+    const group = createInflightGroup();
+    let calls = 0;
+    const task = async () => {
+      calls += 1;
+    };
+    await Promise.all([group.run('a', task), group.run('b', task)]);
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { REDACTED, parseLogLevel, redact, redactString, createLogger } = require('../core/logger');
+
+function createSink(options = {}) {
+  const lines = [];
+  const logger = createLogger({ now: () => Date.UTC(2026, 1, 1), write: (line) => lines.push(JSON.parse(line)), ...options });
+  return { logger, lines };
+}
+
+describe('parseLogLevel', () => {
+  it('normalizes known levels and rejects unknown ones', () => {
+    assert.equal(parseLogLevel(undefined), 'info');
+    assert.equal(parseLogLevel(' DEBUG '), 'debug');
+    assert.equal(parseLogLevel('', 'warn'), 'warn');
+    assert.throws(() => parseLogLevel('verbose'), /LOG_LEVEL tidak dikenal/);
+  });
+});
+
+describe('redact', () => {
+  it('masks sensitive keys at any depth', () => {
+    assert.deepEqual(
+      redact({
+        email: 'ka***@example.com',
+        password: 'rahasia',
+        nested: { gasToken: 'abc', refreshToken: 'def', list: [{ Authorization: 'Bearer x' }] },
+        emptyToken: '',
+      }),
+      {
+        email: 'ka***@example.com',
+        password: REDACTED,
+        nested: { gasToken: REDACTED, refreshToken: REDACTED, list: [{ Authorization: REDACTED }] },
+        emptyToken: '',
+      }
+    );
+  });
+
+  it('masks tokens inside free text and errors', () => {
+    assert.equal(
+      redactString('GET https://script.google.com/exec?token=abc123&page=1 gagal'),
+      `GET https://script.google.com/exec?token=${REDACTED}&page=1 gagal`
+    );
+    assert.equal(redactString('Authorization: Bearer gps1.aaa.bbb'), `Authorization: Bearer ${REDACTED}`);
+    assert.equal(redactString('token gpr1.xyz-123 ditolak'), `token ${REDACTED} ditolak`);
+
+    const error = Object.assign(new Error('page.goto: ?token=abc timeout'), { code: 'TIMEOUT' });
+    assert.deepEqual(redact({ error }), { error: { message: `page.goto: ?token=${REDACTED} timeout`, code: 'TIMEOUT' } });
+  });
+});
+
+describe('createLogger', () => {
+  it('writes one JSON entry per call and filters by level', () => {
+    const { logger, lines } = createSink({ level: 'info' });
+    logger.debug('TIDAK_DITULIS');
+    logger.info('LOGIN_SUCCESS', { email: 'ka***@example.com', durationMs: 12 });
+    logger.error('LOGIN_FAILED', { code: 'LOGIN_INVALID_CREDENTIALS', password: 'x' });
+
+    assert.deepEqual(lines, [
+      { level: 'info', time: '2026-02-01T00:00:00.000Z', event: 'LOGIN_SUCCESS', email: 'ka***@example.com', durationMs: 12 },
+      {
+        level: 'error',
+        time: '2026-02-01T00:00:00.000Z',
+        event: 'LOGIN_FAILED',
+        code: 'LOGIN_INVALID_CREDENTIALS',
+        password: REDACTED,
+      },
+    ]);
+    assert.equal(logger.isLevelEnabled('debug'), false);
+    assert.equal(logger.isLevelEnabled('warn'), true);
+  });
+
+  it('carries child fields into every entry', () => {
+    const { logger, lines } = createSink({ level: 'debug' });
+    const requestLog = logger.child({ requestId: 'req-1', ip: '127.0.0.1' });
+    requestLog.child({ jobId: 'toko' }).debug('PLAYWRIGHT_PHASE', { phase: 'navigation' });
+
+    assert.deepEqual(lines[0], {
+      level: 'debug',
+      time: '2026-02-01T00:00:00.000Z',
+      event: 'PLAYWRIGHT_PHASE',
+      requestId: 'req-1',
+      ip: '127.0.0.1',
+      jobId: 'toko',
+      phase: 'navigation',
+    });
+    assert.deepEqual(requestLog.bindings(), { requestId: 'req-1', ip: '127.0.0.1' });
+  });
+
+  it('writes nothing at level silent', () => {
+    const { logger, lines } = createSink({ level: 'silent' });
+    logger.error('APA_SAJA');
+    assert.deepEqual(lines, []);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../core/metrics');
+
+describe('createMetricsRegistry', () => {
+  it('renders counters and gauges in Prometheus text format', () => {
+    const registry = createMetricsRegistry();
+    const requests = registry.counter({ name: 'http_requests_total', help: 'Request.', labelNames: ['route', 'status'] });
+    requests.inc({ route: '/dashboard', status: 200 });
+    requests.inc({ route: '/dashboard', status: 200 }, 2);
+    requests.inc({ route: 'a"b\\c', status: 500 });
+    registry.gauge({ name: 'open_contexts', help: 'Context.', collect: () => [{ value: 2 }] });
+
+    assert.equal(
+      registry.render(),
+      [
+        '# HELP http_requests_total Request.',
+        '# TYPE http_requests_total counter',
+        'http_requests_total{route="/dashboard",status="200"} 3',
+        'http_requests_total{route="a\\"b\\\\c",status="500"} 1',
+        '# HELP open_contexts Context.',
+        '# TYPE open_contexts gauge',
+        'open_contexts 2',
+        '',
+      ].join('\n')
+    );
+    assert.throws(() => requests.inc({}, -1), /hanya boleh bertambah/);
+  });
+
+  it('renders cumulative histogram buckets with sum and count', () => {
+    const registry = createMetricsRegistry();
+    const latency = registry.histogram({
+      name: 'phase_seconds',
+      help: 'Fase.',
+      labelNames: ['phase'],
+      buckets: [1, 0.5],
+    });
+    latency.observe({ phase: 'navigation' }, 0.2);
+    latency.observe({ phase: 'navigation' }, 0.7);
+    latency.observe({ phase: 'navigation' }, 3);
+
+    const lines = registry.render().trim().split('\n');
+    assert.deepEqual(lines.slice(2), [
+      'phase_seconds_bucket{phase="navigation",le="0.5"} 1',
+      'phase_seconds_bucket{phase="navigation",le="1"} 2',
+      'phase_seconds_bucket{phase="navigation",le="+Inf"} 3',
+      'phase_seconds_sum{phase="navigation"} 3.9',
+      'phase_seconds_count{phase="navigation"} 3',
+    ]);
+  });
+
+  it('rejects invalid and duplicate metric names', () => {
+    const registry = createMetricsRegistry();
+    registry.counter({ name: 'ok_total' });
+    assert.throws(() => registry.counter({ name: 'ok_total' }), /sudah terdaftar/);
+    assert.throws(() => registry.gauge({ name: 'bukan-valid' }), /tidak valid/);
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { CoreError } = require('../core/errors');
+const { createReadinessChecker } = require('../core/readiness');
+
+function createClock(start = Date.UTC(2026, 1, 1)) {
+  let current = start;
+  return {
+    now: () => current,
+    advance: (ms) => {
+      current += ms;
+    },
+  };
+}
+
+describe('createReadinessChecker', () => {
+  it('reports per-check status and is ready only when every check passes', async () => {
+    const clock = createClock();
+    const results = [];
+    const readiness = createReadinessChecker({
+      now: clock.now,
+      onResult: (result) => results.push(result),
+      checks: [
+        { name: 'browser', run: async () => {} },
+        {
+          name: 'gasLoginForm',
+          run: async () => {
+            await new Promise((resolve) => setImmediate(resolve));
+            clock.advance(25);
+            throw new CoreError('TIMEOUT', 'Timeout menunggu frame path.');
+          },
+        },
+      ],
+    });
+
+    const report = await readiness.check();
+    assert.equal(report.ready, false);
+    assert.deepEqual(report.checks.browser, {
+      status: 'ok',
+      latencyMs: 0,
+      checkedAt: '2026-02-01T00:00:00.000Z',
+      cached: false,
+      lastFailure: null,
+    });
+    assert.deepEqual(report.checks.gasLoginForm, {
+      status: 'fail',
+      latencyMs: 25,
+      checkedAt: '2026-02-01T00:00:00.000Z',
+      cached: false,
+      lastFailure: { code: 'TIMEOUT', message: 'Timeout menunggu frame path.', at: '2026-02-01T00:00:00.025Z' },
+    });
+    assert.deepEqual(
+      results.map(({ name, status }) => `${name}:${status}`),
+      ['browser:ok', 'gasLoginForm:fail']
+    );
+  });
+
+  it('caches results for ttlMs and retries failures sooner with failureTtlMs', async () => {
+    const clock = createClock();
+    let runs = 0;
+    let healthy = false;
+    const readiness = createReadinessChecker({
+      now: clock.now,
+      checks: [
+        {
+          name: 'probe',
+          ttlMs: 60000,
+          failureTtlMs: 5000,
+          run: async () => {
+            runs += 1;
+            if (!healthy) throw new Error('net::ERR_CONNECTION_REFUSED');
+          },
+        },
+      ],
+    });
+
+    let report = await readiness.check();
+    assert.equal(report.ready, false);
+    assert.equal(report.checks.probe.lastFailure.code, 'CHECK_FAILED');
+
+    clock.advance(4999);
+    report = await readiness.check();
+    assert.equal(report.checks.probe.cached, true);
+    assert.equal(runs, 1);
+
+    healthy = true;
+    clock.advance(1);
+    report = await readiness.check();
+    assert.equal(report.ready, true);
+    assert.equal(report.checks.probe.cached, false);
+    // Kegagalan terakhir tetap ditampilkan setelah pulih.
+    assert.equal(report.checks.probe.lastFailure.message, 'net::ERR_CONNECTION_REFUSED');
+
+    clock.advance(59999);
+    report = await readiness.check();
+    assert.equal(report.checks.probe.cached, true);
+    assert.equal(runs, 2);
+  });
+
+  it('coalesces concurrent runs of the same check', async () => {
+    let runs = 0;
+    let finish;
+    const readiness = createReadinessChecker({
+      checks: [
+        {
+          name: 'browser',
+          run: () => {
+            runs += 1;
+            return new Promise((resolve) => {
+              finish = resolve;
+            });
+          },
+        },
+      ],
+    });
+
+    const first = readiness.check();
+    const second = readiness.check();
+    await new Promise((resolve) => setImmediate(resolve));
+    finish();
+    const [a, b] = await Promise.all([first, second]);
+    assert.equal(runs, 1);
+    assert.equal(a.ready, true);
+    assert.equal(b.ready, true);
+  });
+
+  it('fails a check that exceeds its timeout', async () => {
+    const readiness = createReadinessChecker({
+      checks: [{ name: 'browser', timeoutMs: 20, run: () => new Promise(() => {}) }],
+    });
+
+    const report = await readiness.check();
+    assert.equal(report.ready, false);
+    assert.equal(report.checks.browser.lastFailure.code, 'TIMEOUT');
+    assert.match(report.checks.browser.lastFailure.message, /browser tidak selesai dalam 20ms/);
+  });
+});
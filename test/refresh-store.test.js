@@ -0,0 +1,81 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRefreshStore } = require('../core/refresh-store');
+
+describe('createRefreshStore', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-store-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('persists credentials encrypted and reopens them with the refresh token', () => {
+    const filePath = path.join(dir, 'store.json');
+    const store = createRefreshStore({ filePath, encryptionKey: 'k', maxLifetimeMs: 60000 });
+    const { refreshToken } = store.create({ email: 'kasir@example.com', password: 'rahasia', user: 'k***', storeId: 'cabang' });
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+    assert.ok(!raw.includes('rahasia'));
+    assert.ok(!raw.includes('kasir@example.com'));
+    assert.ok(!raw.includes(refreshToken));
+
+    const reloaded = createRefreshStore({ filePath, encryptionKey: 'k', maxLifetimeMs: 60000 });
+    const opened = reloaded.open(refreshToken);
+    assert.equal(opened.ok, true);
+    assert.deepEqual(opened.credentials, { email: 'kasir@example.com', password: 'rahasia' });
+    assert.equal(opened.storeId, 'cabang');
+
+    const wrongKey = createRefreshStore({ filePath, encryptionKey: 'other', maxLifetimeMs: 60000 });
+    assert.equal(wrongKey.open(refreshToken).code, 'REFRESH_TOKEN_INVALID');
+  });
+
+  it('rotates tokens and keeps the original maximum lifetime', () => {
+    let current = 0;
+    const store = createRefreshStore({ filePath: null, encryptionKey: 'k', maxLifetimeMs: 1000, now: () => current });
+    const first = store.create({ email: 'a@b.c', password: 'p' });
+
+    current = 500;
+    const second = store.rotate(first.refreshToken);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.expiresAt, first.expiresAt);
+    assert.equal(store.rotate(first.refreshToken), null);
+
+    current = 1000;
+    assert.equal(store.open(second.refreshToken).code, 'REFRESH_TOKEN_EXPIRED');
+    assert.equal(store.size(), 0);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', () => {
+    const filePath = path.join(dir, 'reuse.json');
+    const store = createRefreshStore({ filePath, encryptionKey: 'k', maxLifetimeMs: 60000 });
+    const first = store.create({ email: 'a@b.c', password: 'p' });
+    const other = store.create({ email: 'x@b.c', password: 'q' });
+    const second = store.rotate(first.refreshToken);
+    const third = store.rotate(second.refreshToken);
+    assert.ok(!fs.readFileSync(filePath, 'utf8').includes(first.refreshToken));
+
+    const reloaded = createRefreshStore({ filePath, encryptionKey: 'k', maxLifetimeMs: 60000 });
+    const reused = reloaded.open(first.refreshToken);
+    assert.equal(reused.code, 'REFRESH_TOKEN_REUSED');
+    assert.equal(reused.revoked, 1);
+    assert.equal(reloaded.open(third.refreshToken).code, 'REFRESH_TOKEN_INVALID');
+    assert.equal(reloaded.open(second.refreshToken).code, 'REFRESH_TOKEN_INVALID');
+    assert.equal(reloaded.open(other.refreshToken).ok, true);
+    assert.equal(reloaded.size(), 1);
+  });
+
+  it('revokes tokens', () => {
+    const store = createRefreshStore({ filePath: null, encryptionKey: 'k', maxLifetimeMs: 1000 });
+    const { refreshToken } = store.create({ email: 'a@b.c', password: 'p' });
+    assert.equal(store.revoke(refreshToken), true);
+    assert.equal(store.revoke(refreshToken), false);
+    assert.equal(store.open(refreshToken).ok, false);
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestPolicy, createNetworkStats } = require('../core/request-policy');
+
+describe('createRequestPolicy', () => {
+  const policy = createRequestPolicy();
+
+  it('blocks default resource types and tracker URLs', () => {
+    assert.equal(policy.classify('https://example.com/logo.png', 'image'), 'type:image');
+    assert.equal(policy.classify('https://www.google.com/jsapi', 'script'), 'pattern');
+    assert.equal(policy.classify('https://www.google-analytics.com/analytics.js', 'script'), 'pattern');
+  });
+
+  it('never blocks documents or allowlisted GAS endpoints', () => {
+    assert.equal(policy.classify('https://fonts.googleapis.com/css', 'document'), '');
+    assert.equal(policy.classify('https://script.google.com/macros/s/abc/callback', 'xhr'), '');
+    assert.equal(policy.classify('https://n-abc-script.googleusercontent.com/userCodeAppPanel', 'script'), '');
+    assert.equal(policy.classify('https://n-abc-script.googleusercontent.com/static/app.js', 'fetch'), '');
+  });
+
+  it('still blocks asset types served from allowlisted hosts', () => {
+    assert.equal(policy.classify('https://n-abc-script.googleusercontent.com/static/app.css', 'stylesheet'), 'type:stylesheet');
+    assert.equal(policy.classify('https://lh3.googleusercontent.com/logo.png', 'image'), 'type:image');
+    assert.equal(policy.classify('https://script.google.com/macros/s/abc/font.woff2', 'font'), 'type:font');
+
+    const custom = createRequestPolicy({ blockPatterns: '*googleusercontent.com/*' });
+    assert.equal(custom.classify('https://n-abc-script.googleusercontent.com/socket', 'websocket'), 'pattern');
+    assert.equal(custom.classify('https://n-abc-script.googleusercontent.com/callback', 'xhr'), '');
+  });
+
+  it('accepts comma separated overrides and can be disabled', () => {
+    const custom = createRequestPolicy({ resourceTypes: 'font', blockPatterns: '*/ads/*', allowPatterns: '' });
+    assert.equal(custom.classify('https://example.com/logo.png', 'image'), '');
+    assert.equal(custom.classify('https://example.com/ads/x.js', 'script'), 'pattern');
+    assert.equal(createRequestPolicy({ enabled: false }).classify('https://x/logo.png', 'image'), '');
+  });
+});
+
+describe('createNetworkStats', () => {
+  it('counts blocked requests per resource type', () => {
+    const stats = createNetworkStats();
+    stats.record('image', true);
+    stats.record('image', true);
+    stats.record('script', false);
+    const summary = stats.summary();
+    assert.equal(summary.requests, 3);
+    assert.equal(summary.blocked, 2);
+    assert.deepEqual(summary.blockedByType, { image: 2 });
+    assert.ok(summary.durationMs >= 0);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeBackoffDelay, retryWithBackoff } = require('../core/retry');
+
+const timeout = () => Object.assign(new Error('Timeout.'), { code: 'TIMEOUT' });
+const isRetryable = (error) => error.code === 'TIMEOUT';
+
+describe('computeBackoffDelay', () => {
+  it('doubles per attempt up to the maximum', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 350 };
+    assert.deepEqual([1, 2, 3, 4].map((attempt) => computeBackoffDelay(attempt, options)), [100, 200, 350, 350]);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  it('retries transient errors with backoff until success', async () => {
+    const waits = [];
+    const retries = [];
+    const attempts = [];
+    const result = await retryWithBackoff(
+      async ({ attempt }) => {
+        attempts.push(attempt);
+        if (attempt < 3) throw timeout();
+        return 'ok';
+      },
+      {
+        retries: 2,
+        baseDelayMs: 100,
+        isRetryable,
+        onRetry: ({ attempt, delayMs }) => retries.push(`${attempt}:${delayMs}`),
+        wait: async (ms) => waits.push(ms),
+      }
+    );
+    assert.equal(result, 'ok');
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.deepEqual(retries, ['1:100', '2:200']);
+    assert.deepEqual(waits, [100, 200]);
+  });
+
+  it('stops on non-retryable errors and when retries run out', async () => {
+    let calls = 0;
+    const invalid = Object.assign(new Error('Password salah.'), { code: 'LOGIN_INVALID_CREDENTIALS' });
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls += 1;
+          throw invalid;
+        },
+        { retries: 3, isRetryable, wait: async () => {} }
+      ),
+      invalid
+    );
+    assert.equal(calls, 1);
+
+    const finalFlags = [];
+    await assert.rejects(
+      retryWithBackoff(
+        async ({ willRetry }) => {
+          const error = timeout();
+          finalFlags.push(willRetry(error));
+          throw error;
+        },
+        { retries: 1, isRetryable, wait: async () => {} }
+      ),
+      { code: 'TIMEOUT' }
+    );
+    assert.deepEqual(finalFlags, [true, false]);
+  });
+});
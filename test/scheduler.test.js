@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateJobs, createScheduler } = require('../core/scheduler');
+
+function createFakeTimers(startMs) {
+  const timers = [];
+  const clock = {
+    nowMs: startMs,
+    now: () => clock.nowMs,
+    setTimer(fn, ms) {
+      const timer = { fn, at: clock.nowMs + ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer(timer) {
+      const index = timers.indexOf(timer);
+      if (index >= 0) timers.splice(index, 1);
+    },
+    // Majukan waktu dan jalankan timer yang jatuh tempo secara berurutan.
+    advance(ms) {
+      const target = clock.nowMs + ms;
+      for (;;) {
+        timers.sort((a, b) => a.at - b.at);
+        const next = timers[0];
+        if (!next || next.at > target) break;
+        timers.shift();
+        clock.nowMs = next.at;
+        next.fn();
+      }
+      clock.nowMs = target;
+    },
+    pending: () => timers.length,
+  };
+  return clock;
+}
+
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('validateJobs', () => {
+  it('rejects duplicate ids and invalid cron expressions', () => {
+    assert.throws(() => validateJobs([{ id: 'a', cron: '* * * * *' }, { id: 'a', cron: '* * * * *' }]), /lebih dari sekali/);
+    assert.throws(() => validateJobs([{ id: 'a', cron: 'tiap menit' }]), /5 field/);
+    assert.throws(() => validateJobs([{ id: 'a b', cron: '* * * * *' }]), /id wajib/);
+  });
+});
+
+describe('createScheduler', () => {
+  it('runs jobs on schedule with jitter and records the last result', async () => {
+    const clock = createFakeTimers(new Date('2026-02-16T08:00:00').getTime());
+    const calls = [];
+    const scheduler = createScheduler({
+      jobs: [{ id: 'toko', cron: '*/5 * * * *', jitterMs: 10000 }],
+      runJob: async (job) => {
+        calls.push({ id: job.id, at: clock.now() });
+        return { rowCount: 3 };
+      },
+      now: clock.now,
+      random: () => 0.5,
+      setTimer: clock.setTimer,
+      clearTimer: clock.clearTimer,
+    });
+
+    scheduler.start();
+    assert.equal(scheduler.get('toko').nextRunAt, new Date('2026-02-16T08:05:05').toISOString());
+    clock.advance(5 * 60 * 1000 + 5000);
+    await flush();
+
+    assert.equal(calls.length, 1);
+    const info = scheduler.get('toko');
+    assert.equal(info.runs, 1);
+    assert.equal(info.lastStatus, 'ok');
+    assert.equal(info.lastTrigger, 'schedule');
+    assert.deepEqual(info.lastResult, { rowCount: 3 });
+    assert.equal(info.nextRunAt, new Date('2026-02-16T08:10:05').toISOString());
+
+    scheduler.stop();
+    assert.equal(clock.pending(), 0);
+  });
+
+  it('skips scheduled runs that overlap and rejects concurrent manual runs', async () => {
+    const clock = createFakeTimers(new Date('2026-02-16T08:00:30').getTime());
+    const gate = deferred();
+    const scheduler = createScheduler({
+      jobs: [{ id: 'lambat', cron: '* * * * *' }],
+      runJob: () => gate.promise,
+      now: clock.now,
+      setTimer: clock.setTimer,
+      clearTimer: clock.clearTimer,
+    });
+    scheduler.start();
+    clock.advance(30 * 1000);
+    await flush();
+    assert.equal(scheduler.get('lambat').running, true);
+
+    clock.advance(60 * 1000);
+    await flush();
+    assert.equal(scheduler.get('lambat').skippedOverlaps, 1);
+    await assert.rejects(scheduler.runNow('lambat'), { code: 'JOB_RUNNING' });
+
+    gate.resolve({ ok: true });
+    await flush();
+    assert.equal(scheduler.get('lambat').running, false);
+    assert.equal(scheduler.get('lambat').runs, 1);
+    scheduler.stop();
+  });
+
+  it('keeps the last error and limits concurrent background runs', async () => {
+    let active = 0;
+    let peak = 0;
+    const scheduler = createScheduler({
+      jobs: [
+        { id: 'a', cron: '@hourly' },
+        { id: 'b', cron: '@hourly' },
+      ],
+      maxConcurrent: 1,
+      runJob: async (job) => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await flush();
+        active -= 1;
+        if (job.id === 'b') {
+          const error = new Error('Token GAS expired');
+          error.code = 'TOKEN_INVALID';
+          throw error;
+        }
+        return { ok: true };
+      },
+    });
+
+    const [a, b] = await Promise.all([scheduler.runNow('a'), scheduler.runNow('b')]);
+    assert.equal(peak, 1);
+    assert.equal(a.lastStatus, 'ok');
+    assert.equal(b.lastStatus, 'error');
+    assert.equal(b.failures, 1);
+    assert.equal(b.lastError.code, 'TOKEN_INVALID');
+    assert.equal(b.lastTrigger, 'manual');
+    await assert.rejects(scheduler.runNow('c'), { code: 'JOB_NOT_FOUND' });
+  });
+});
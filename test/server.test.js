@@ -0,0 +1,1559 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  isBrowserAvailable,
+  startMockGas,
+  startApiServer,
+  signGasToken,
+  requestJson,
+} = require('./helpers/harness');
+
+const NEEDS_BROWSER = isBrowserAvailable() ? false : 'Chromium Playwright tidak terpasang';
+const VALID_CREDENTIALS = { email: 'kasir@example.com', password: 'rahasia' };
+
+function assertErrorShape(res, status, code) {
+  assert.equal(res.status, status, res.text);
+  assert.deepEqual(Object.keys(res.body).sort(), ['code', 'message', 'success']);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.code, code);
+  assert.equal(typeof res.body.message, 'string');
+}
+
+describe('server.js routes', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      LOGIN_RATE_LIMIT_MAX: '1000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  afterEach(() => {
+    mock.configure({ loginDelayMs: 0, dashboardDelayMs: 0, pageDelayMs: 0 });
+  });
+
+  it('GET /health returns ok', async () => {
+    const res = await requestJson(api.baseUrl, '/health');
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body).sort(), [
+      'browser',
+      'circuitBreaker',
+      'contextPool',
+      'service',
+      'status',
+      'success',
+      'time',
+    ]);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(res.body.contextPool.queued, 0);
+    assert.equal(res.body.circuitBreaker.state, 'closed');
+  });
+
+  it('GET /health/live answers without touching the browser', async () => {
+    const res = await requestJson(api.baseUrl, '/health/live');
+    assert.equal(res.status, 200);
+    assert.deepEqual(Object.keys(res.body).sort(), ['status', 'success', 'time', 'uptimeSec']);
+    assert.equal(res.body.status, 'ok');
+  });
+
+  it('GET /health/ready checks the shared browser only by default', { skip: NEEDS_BROWSER }, async () => {
+    const res = await requestJson(api.baseUrl, '/health/ready');
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.status, 'ready');
+    assert.deepEqual(Object.keys(res.body.checks), ['browser']);
+    assert.equal(res.body.checks.browser.status, 'ok');
+    assert.equal(typeof res.body.checks.browser.latencyMs, 'number');
+    assert.equal(res.body.checks.browser.lastFailure, null);
+  });
+
+  it('GET /session/status reports missing token', async () => {
+    const res = await requestJson(api.baseUrl, '/session/status');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, authenticated: false, reason: 'TOKEN_MISSING' });
+  });
+
+  it('GET /snapshots returns 404 SNAPSHOTS_UNAVAILABLE when disabled', async () => {
+    const res = await requestJson(api.baseUrl, '/snapshots', { token: signGasToken('whatever') });
+    assertErrorShape(res, 404, 'SNAPSHOTS_UNAVAILABLE');
+  });
+
+  it('GET /jobs returns 404 ADMIN_UNAVAILABLE without ADMIN_TOKEN', async () => {
+    const res = await requestJson(api.baseUrl, '/jobs', { headers: { 'X-Admin-Token': 'apa-saja' } });
+    assertErrorShape(res, 404, 'ADMIN_UNAVAILABLE');
+  });
+
+  describe('POST /auth/login', () => {
+    it('422 INVALID_CREDENTIALS_INPUT when email or password is empty', async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: { email: '' } });
+      assertErrorShape(res, 422, 'INVALID_CREDENTIALS_INPUT');
+    });
+
+    it('422 INVALID_CREDENTIALS_INPUT when email format is invalid', async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: 'bukan-email', password: 'x' },
+      });
+      assertErrorShape(res, 422, 'INVALID_CREDENTIALS_INPUT');
+    });
+
+    it('422 INVALID_CREDENTIALS_INPUT when password is too long', async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: VALID_CREDENTIALS.email, password: 'x'.repeat(257) },
+      });
+      assertErrorShape(res, 422, 'INVALID_CREDENTIALS_INPUT');
+    });
+
+    it('400 REMEMBER_ME_UNAVAILABLE without an encryption key', async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { ...VALID_CREDENTIALS, rememberMe: true },
+      });
+      assertErrorShape(res, 400, 'REMEMBER_ME_UNAVAILABLE');
+    });
+
+    it('returns token and expiresAt on success', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: VALID_CREDENTIALS });
+      assert.equal(res.status, 200, res.text);
+      assert.deepEqual(Object.keys(res.body).sort(), ['expiresAt', 'success', 'token']);
+      assert.equal(res.body.success, true);
+      assert.match(res.body.token, /^gps1\./);
+      assert.ok(!Number.isNaN(Date.parse(res.body.expiresAt)));
+
+      const status = await requestJson(api.baseUrl, '/session/status', { token: res.body.token });
+      assert.equal(status.body.authenticated, true);
+      assert.equal(status.body.tokenType, 'session');
+      assert.equal(status.body.user, 'k***@example.com');
+      assert.equal(status.body.expiresAt, res.body.expiresAt);
+      assert.ok(status.body.remainingSeconds > 0);
+
+      const dashboard = await requestJson(api.baseUrl, '/dashboard', { token: res.body.token });
+      assert.equal(dashboard.status, 200, dashboard.text);
+    });
+
+    it('401 LOGIN_FAILED on wrong password', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const res = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: VALID_CREDENTIALS.email, password: 'salah' },
+      });
+      assertErrorShape(res, 401, 'LOGIN_FAILED');
+      assert.equal(res.body.message, 'Email atau password salah!');
+    });
+
+    it('504 LOGIN_TIMEOUT when GAS does not answer', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      mock.configure({ loginDelayMs: 8000 });
+      const res = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: VALID_CREDENTIALS });
+      assertErrorShape(res, 504, 'LOGIN_TIMEOUT');
+    });
+  });
+
+  describe('GET /dashboard', () => {
+    it('400 TOKEN_REQUIRED without Authorization header', async () => {
+      const res = await requestJson(api.baseUrl, '/dashboard');
+      assertErrorShape(res, 400, 'TOKEN_REQUIRED');
+    });
+
+    it('422 INVALID_TOKEN_INPUT when token is too long', async () => {
+      const res = await requestJson(api.baseUrl, '/dashboard', { token: 'x'.repeat(5001) });
+      assertErrorShape(res, 422, 'INVALID_TOKEN_INPUT');
+    });
+
+    it('401 TOKEN_INVALID for a raw GAS token by default', async () => {
+      const res = await requestJson(api.baseUrl, '/dashboard', { token: 'raw-gas-token' });
+      assertErrorShape(res, 401, 'TOKEN_INVALID');
+    });
+
+    it('401 TOKEN_INVALID for a tampered session token', async () => {
+      const token = signGasToken('gas-token');
+      const [prefix, , signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ t: 'other', u: '', iat: 0, exp: Date.now() + 60000 })).toString(
+        'base64url'
+      );
+      const res = await requestJson(api.baseUrl, '/dashboard', { token: `${prefix}.${forged}.${signature}` });
+      assertErrorShape(res, 401, 'TOKEN_INVALID');
+    });
+
+    it('401 TOKEN_EXPIRED for an expired session token', async () => {
+      const token = signGasToken('gas-token', { ttlMs: 1000, now: () => Date.now() - 5000 });
+      const res = await requestJson(api.baseUrl, '/dashboard', { token });
+      assertErrorShape(res, 401, 'TOKEN_EXPIRED');
+
+      const status = await requestJson(api.baseUrl, '/session/status', { token });
+      assert.equal(status.body.authenticated, false);
+      assert.equal(status.body.reason, 'TOKEN_EXPIRED');
+    });
+
+    it('returns the table as JSON', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard', { token });
+      assert.equal(res.status, 200, res.text);
+      assert.deepEqual(Object.keys(res.body).sort(), [
+        'data',
+        'filteredCount',
+        'headers',
+        'pagination',
+        'periode',
+        'rowCount',
+        'source',
+        'success',
+        'totalTransaksi',
+        'user',
+      ]);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.source, 'table');
+      assert.equal(typeof res.body.user, 'string');
+      assert.equal(typeof res.body.periode, 'string');
+      assert.equal(typeof res.body.totalTransaksi, 'number');
+      assert.deepEqual(res.body.headers, mock.config.headers);
+      assert.equal(res.body.rowCount, mock.config.rows.length);
+      assert.deepEqual(res.body.data[0], {
+        No: '1',
+        Tanggal: '16/02/2026',
+        Kasir: 'Ani',
+        Produk: 'Kopi Susu',
+        Qty: '2',
+        Total: 'Rp 30.000',
+      });
+    });
+
+    it('returns typed rows with ?typed=1&raw=1', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard?typed=1&raw=1', { token });
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.totalTransaksi, 73500);
+      assert.equal(res.body.columnTypes.Total, 'number');
+      assert.deepEqual(res.body.data[0], {
+        No: 1,
+        Tanggal: '2026-02-16',
+        Kasir: 'Ani',
+        Produk: 'Kopi Susu',
+        Qty: 2,
+        Total: 30000,
+      });
+      assert.equal(res.body.raw[0].Total, 'Rp 30.000');
+    });
+
+    it('filters, sorts and paginates rows from one scrape', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard?kasir=Ani&sort=-Total&limit=1', { token });
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.rowCount, 3);
+      assert.equal(res.body.filteredCount, 2);
+      assert.deepEqual(res.body.data.map((row) => row.No), ['1']);
+      assert.equal(res.body.pagination.hasMore, true);
+
+      const next = await requestJson(
+        api.baseUrl,
+        `/dashboard?kasir=Ani&sort=-Total&typed=1&cursor=${res.body.pagination.nextCursor}`,
+        { token }
+      );
+      assert.equal(next.status, 200, next.text);
+      assert.equal(next.headers.get('x-cache'), 'HIT');
+      assert.deepEqual(next.body.data.map((row) => row.Total), [25000]);
+      assert.equal(next.body.pagination.nextCursor, null);
+
+      const ranged = await requestJson(api.baseUrl, '/dashboard?from=2026-02-17&q=teh', { token });
+      assert.deepEqual(ranged.body.data.map((row) => row.Produk), ['Teh Manis']);
+    });
+
+    it('422 INVALID_QUERY for malformed parameters without opening GAS', async () => {
+      const token = signGasToken('gas-token-tidak-pernah-dipakai');
+      const pageViews = mock.stats.pageViews;
+      for (const path of ['/dashboard?limit=0', '/dashboard?cursor=rusak', '/dashboard?format=csv&delimiter=x', '/dashboard/summary?from=kemarin']) {
+        const res = await requestJson(api.baseUrl, path, { token });
+        assertErrorShape(res, 422, 'INVALID_QUERY');
+      }
+      assert.equal(mock.stats.pageViews, pageViews);
+    });
+
+    it('422 INVALID_QUERY for an unknown sort column', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard?sort=Harga', { token });
+      assertErrorShape(res, 422, 'INVALID_QUERY');
+    });
+
+    it('GET /dashboard/summary aggregates the cached rows', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard/summary?groupBy=Tanggal', { token });
+      assert.equal(res.status, 200, res.text);
+      assert.equal(res.body.periode, 'Februari 2026');
+      assert.deepEqual(res.body.grandTotal, { transactions: 3, qty: 8, revenue: 73500 });
+      assert.deepEqual(res.body.byKasir.map((item) => [item.kasir, item.revenue]), [
+        ['Ani', 55000],
+        ['Budi', 18500],
+      ]);
+      assert.equal(res.body.topProducts.byQty[0].produk, 'Teh Manis');
+      assert.deepEqual(res.body.groupBy.groups.map((group) => group.value), ['16/02/2026', '17/02/2026']);
+
+      const filtered = await requestJson(api.baseUrl, '/dashboard/summary?kasir=Budi', { token });
+      assert.equal(filtered.headers.get('x-cache'), 'HIT');
+      assert.equal(filtered.body.filteredCount, 1);
+      assert.equal(filtered.body.grandTotal.revenue, 18500);
+
+      const invalid = await requestJson(api.baseUrl, '/dashboard/summary?groupBy=Harga', { token });
+      assertErrorShape(invalid, 422, 'INVALID_QUERY');
+    });
+
+    it('exports CSV, NDJSON and XLSX by format or Accept header', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const csv = await requestJson(api.baseUrl, '/dashboard?format=csv&kasir=Budi', { token });
+      assert.equal(csv.status, 200, csv.text);
+      assert.match(csv.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+      assert.match(csv.headers.get('content-disposition'), /attachment; filename="dashboard-februari-2026[^"]*\.csv"/);
+      assert.match(csv.headers.get('vary'), /Accept/);
+      const lines = csv.text.split('\r\n');
+      assert.equal(lines[4], 'No,Tanggal,Kasir,Produk,Qty,Total');
+      assert.equal(lines[5], '2,16/02/2026,Budi,Roti Bakar,1,Rp 18.500');
+
+      const ndjson = await requestJson(api.baseUrl, '/dashboard', {
+        token,
+        headers: { Accept: 'application/x-ndjson' },
+      });
+      const records = ndjson.text.trimEnd().split('\n').map((line) => JSON.parse(line));
+      assert.deepEqual(records[0].meta.headers, mock.config.headers);
+      assert.equal(records.length, 1 + mock.config.rows.length);
+
+      const xlsx = await fetch(`${api.baseUrl}/dashboard?typed=1`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        },
+      });
+      assert.equal(xlsx.status, 200);
+      assert.match(xlsx.headers.get('content-disposition'), /\.xlsx"/);
+      const bytes = Buffer.from(await xlsx.arrayBuffer());
+      assert.equal(bytes.subarray(0, 2).toString('latin1'), 'PK');
+
+      const invalid = await requestJson(api.baseUrl, '/dashboard?format=pdf', { token });
+      assertErrorShape(invalid, 422, 'INVALID_QUERY');
+    });
+
+    it('serves repeated requests from the cache with ETag support', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const first = await requestJson(api.baseUrl, '/dashboard', { token });
+      assert.equal(first.status, 200, first.text);
+      assert.equal(first.headers.get('x-cache'), 'MISS');
+      assert.match(first.headers.get('cache-control'), /max-age=\d+, stale-while-revalidate=\d+/);
+      const etag = first.headers.get('etag');
+      assert.ok(etag);
+
+      const second = await requestJson(api.baseUrl, '/dashboard', { token });
+      assert.equal(second.headers.get('x-cache'), 'HIT');
+      assert.ok(Number(second.headers.get('age')) >= 0);
+      assert.deepEqual(second.body, first.body);
+
+      const notModified = await requestJson(api.baseUrl, '/dashboard', {
+        token,
+        headers: { 'If-None-Match': etag },
+      });
+      assert.equal(notModified.status, 304);
+
+      const bypass = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+      assert.equal(bypass.status, 200);
+      assert.equal(bypass.headers.get('x-cache'), 'BYPASS');
+    });
+
+    it('blocks images and stylesheets while scraping', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const before = mock.stats.staticHits;
+      const res = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+      assert.equal(res.status, 200, res.text);
+      assert.equal(mock.stats.staticHits, before);
+      const scrape = api.getLogs().findLast((entry) => entry.event === 'DASHBOARD_SCRAPE');
+      assert.equal(scrape.rows, 3);
+      assert.ok(scrape.network.blocked > 0);
+      assert.equal(typeof scrape.network.durationMs, 'number');
+    });
+
+    it('coalesces concurrent scrapes for the same token', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const before = mock.stats.rpcCalls.getDashboardData || 0;
+      const responses = await Promise.all(
+        [1, 2, 3].map(() => requestJson(api.baseUrl, '/dashboard?fresh=1', { token }))
+      );
+      assert.deepEqual(
+        responses.map((res) => res.status),
+        [200, 200, 200]
+      );
+      assert.equal((mock.stats.rpcCalls.getDashboardData || 0) - before, 1);
+      const logs = api.getLogs();
+      const coalesced = logs.findLast((entry) => entry.event === 'DASHBOARD_SCRAPE_COALESCED');
+      assert.equal(coalesced.waiters, 2);
+      const joined = logs.filter((entry) => entry.event === 'DASHBOARD_SCRAPE_JOINED' && entry.coalescedWith === coalesced.requestId);
+      assert.equal(joined.length, 2);
+      assert.ok(joined.every((entry) => entry.requestId && entry.requestId !== coalesced.requestId));
+    });
+
+    it('401 TOKEN_INVALID for an expired token', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      const gasToken = mock.issueToken(mock.config.users[0]);
+      mock.expireToken(gasToken);
+      const token = signGasToken(gasToken);
+      const res = await requestJson(api.baseUrl, '/dashboard', { token });
+      assertErrorShape(res, 401, 'TOKEN_INVALID');
+    });
+
+    it('504 DASHBOARD_TIMEOUT when data never loads', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+      mock.configure({ dashboardDelayMs: 8000 });
+      const token = signGasToken(mock.issueToken(mock.config.users[0]));
+      const res = await requestJson(api.baseUrl, '/dashboard', { token });
+      assertErrorShape(res, 504, 'DASHBOARD_TIMEOUT');
+      // GAS_RETRY_MAX default 0: timeout tidak diulang, jadi 504 datang setelah satu NAVIGATION_TIMEOUT_MS.
+      const retries = api.getLogs().filter((entry) => entry.event === 'GAS_RETRY');
+      assert.deepEqual(retries, []);
+    });
+  });
+
+  describe('GET /metrics', () => {
+    it('exposes route, login and Playwright phase metrics', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+      const ok = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: VALID_CREDENTIALS });
+      assert.equal(ok.status, 200, ok.text);
+      const failed = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: VALID_CREDENTIALS.email, password: 'salah' },
+      });
+      assert.equal(failed.status, 401, failed.text);
+      const dashboard = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token: ok.body.token });
+      assert.equal(dashboard.status, 200, dashboard.text);
+
+      const res = await requestJson(api.baseUrl, '/metrics');
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+      assert.match(res.text, /^http_requests_total\{store="default",method="GET",route="\/dashboard",status="200"\} \d+$/m);
+      assert.match(res.text, /^http_request_duration_seconds_bucket\{store="default",method="POST",route="\/auth\/login",status="401",le="\+Inf"\} \d+$/m);
+      assert.match(res.text, /^gas_login_total\{store="default",source="login",code="SUCCESS"\} \d+$/m);
+      assert.match(res.text, /^gas_login_total\{store="default",source="login",code="LOGIN_INVALID_CREDENTIALS"\} \d+$/m);
+      for (const phase of ['navigation', 'frame_wait', 'login_submit']) {
+        assert.match(res.text, new RegExp(`^playwright_phase_duration_seconds_count\\{store="default",operation="login",phase="${phase}",outcome="ok"\\} \\d+$`, 'm'));
+      }
+      for (const phase of ['navigation', 'frame_wait', 'table_ready', 'extraction']) {
+        assert.match(res.text, new RegExp(`^playwright_phase_duration_seconds_count\\{store="default",operation="dashboard",phase="${phase}",outcome="ok"\\} \\d+$`, 'm'));
+      }
+      assert.match(res.text, /^playwright_contexts_open 0$/m);
+      assert.match(res.text, /^playwright_browser_restarts_total\{reason="crash"\} 0$/m);
+      assert.match(res.text, /^login_rate_limit_store_size\{store="default"\} [1-9]\d*$/m);
+    });
+  });
+});
+
+describe('login rate limit', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      LOGIN_RATE_LIMIT_MAX: '2',
+      LOGIN_RATE_LIMIT_WINDOW_MS: '60000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('429 LOGIN_RATE_LIMITED with Retry-After after the limit', async () => {
+    const attempt = () =>
+      requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: '', password: '' },
+        headers: { 'X-Forwarded-For': '203.0.113.7' },
+      });
+
+    assertErrorShape(await attempt(), 422, 'INVALID_CREDENTIALS_INPUT');
+    assertErrorShape(await attempt(), 422, 'INVALID_CREDENTIALS_INPUT');
+
+    const res = await attempt();
+    assertErrorShape(res, 429, 'LOGIN_RATE_LIMITED');
+    const retryAfter = Number(res.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After=${retryAfter}`);
+  });
+
+  it('counts clients separately by IP', async () => {
+    const res = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: { email: '', password: '' },
+      headers: { 'X-Forwarded-For': '203.0.113.8' },
+    });
+    assertErrorShape(res, 422, 'INVALID_CREDENTIALS_INPUT');
+  });
+});
+
+describe('browser context pool backpressure', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas({ dashboardDelayMs: 2000 });
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      MAX_BROWSER_CONTEXTS: '1',
+      CONTEXT_QUEUE_MAX: '0',
+      CONTEXT_QUEUE_TIMEOUT_MS: '4000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('503 BUSY with Retry-After when the queue is full', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const newToken = () => signGasToken(mock.issueToken(mock.config.users[0]));
+    const first = requestJson(api.baseUrl, '/dashboard', { token: newToken() });
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const health = await requestJson(api.baseUrl, '/health');
+    assert.equal(health.body.contextPool.active, 1);
+
+    const second = await requestJson(api.baseUrl, '/dashboard', { token: newToken() });
+    assertErrorShape(second, 503, 'BUSY');
+    assert.equal(second.headers.get('retry-after'), '4');
+    assert.equal((await first).status, 200);
+  });
+});
+
+describe('browser recycling', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      BROWSER_RECYCLE_MAX_CONTEXTS: '1',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('launches a new browser after the context limit', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const newToken = () => signGasToken(mock.issueToken(mock.config.users[0]));
+    assert.equal((await requestJson(api.baseUrl, '/dashboard', { token: newToken() })).status, 200);
+    assert.equal((await requestJson(api.baseUrl, '/dashboard', { token: newToken() })).status, 200);
+
+    const { browser } = (await requestJson(api.baseUrl, '/health')).body;
+    assert.equal(browser.launches, 2);
+    assert.equal(browser.recycles, 1);
+    assert.equal(browser.lastRecycleReason, 'max-contexts');
+    assert.equal(browser.crashes, 0);
+  });
+});
+
+describe('raw GAS token compatibility', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      ALLOW_RAW_GAS_TOKEN: 'true',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('reports raw tokens as authenticated in /session/status', async () => {
+    const res = await requestJson(api.baseUrl, '/session/status', { token: 'raw-gas-token' });
+    assert.equal(res.body.authenticated, true);
+    assert.equal(res.body.tokenType, 'raw');
+  });
+
+  it('accepts raw GAS tokens on /dashboard', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const res = await requestJson(api.baseUrl, '/dashboard', { token: mock.issueToken(mock.config.users[0]) });
+    assert.equal(res.status, 200, res.text);
+  });
+});
+
+describe('remember me and token refresh', () => {
+  let mock;
+  let api;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-api-'));
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      LOGIN_RATE_LIMIT_MAX: '1000',
+      CREDENTIALS_ENCRYPTION_KEY: 'test-encryption-key',
+      REFRESH_STORE_PATH: path.join(dir, 'refresh-tokens.json'),
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('422 REFRESH_TOKEN_REQUIRED without a refresh token', async () => {
+    const res = await requestJson(api.baseUrl, '/auth/refresh', { method: 'POST', body: {} });
+    assertErrorShape(res, 422, 'REFRESH_TOKEN_REQUIRED');
+  });
+
+  it('401 REFRESH_TOKEN_INVALID for an unknown refresh token', async () => {
+    const res = await requestJson(api.baseUrl, '/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: 'gpr1.unknown' },
+    });
+    assertErrorShape(res, 401, 'REFRESH_TOKEN_INVALID');
+  });
+
+  it('refreshes with rotation and revokes on logout', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const login = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: { ...VALID_CREDENTIALS, rememberMe: true },
+    });
+    assert.equal(login.status, 200, login.text);
+    assert.deepEqual(Object.keys(login.body).sort(), [
+      'expiresAt',
+      'refreshExpiresAt',
+      'refreshToken',
+      'success',
+      'token',
+    ]);
+
+    const refreshed = await requestJson(api.baseUrl, '/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assert.equal(refreshed.status, 200, refreshed.text);
+    assert.notEqual(refreshed.body.token, login.body.token);
+    assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+    assert.equal(refreshed.body.refreshExpiresAt, login.body.refreshExpiresAt);
+
+    const dashboard = await requestJson(api.baseUrl, '/dashboard', { token: refreshed.body.token });
+    assert.equal(dashboard.status, 200, dashboard.text);
+
+    const logout = await requestJson(api.baseUrl, '/auth/logout', {
+      method: 'POST',
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assert.deepEqual(logout.body, { success: true, revoked: true });
+
+    const afterLogout = await requestJson(api.baseUrl, '/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+    assertErrorShape(afterLogout, 401, 'REFRESH_TOKEN_INVALID');
+
+    const reused = await requestJson(api.baseUrl, '/auth/refresh', {
+      method: 'POST',
+      body: { refreshToken: login.body.refreshToken },
+    });
+    assertErrorShape(reused, 401, 'REFRESH_TOKEN_REUSED');
+    assert.ok(api.getLogs().some((entry) => entry.event === 'REFRESH_TOKEN_REUSED' && entry.level === 'warn'));
+  });
+});
+
+describe('dashboard snapshots', () => {
+  let mock;
+  let api;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-api-'));
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      SNAPSHOTS_ENABLED: 'true',
+      SNAPSHOT_DIR: dir,
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records each extraction and diffs two snapshots', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const token = signGasToken(mock.issueToken(mock.config.users[0]));
+    const first = await requestJson(api.baseUrl, '/dashboard', { token });
+    assert.equal(first.status, 200, first.text);
+
+    mock.configure({
+      rows: [
+        ['1', '16/02/2026', 'Ani', 'Kopi Susu', '3', 'Rp 45.000'],
+        ['2', '16/02/2026', 'Budi', 'Roti Bakar', '1', 'Rp 18.500'],
+        ['4', '18/02/2026', 'Budi', 'Es Teh', '2', 'Rp 10.000'],
+      ],
+      totalTransaksi: '73.500',
+    });
+    const second = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+    assert.equal(second.status, 200, second.text);
+    // Scrape ulang tanpa perubahan (seperti tick stream) tidak menambah snapshot.
+    const unchanged = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+    assert.equal(unchanged.status, 200, unchanged.text);
+
+    const list = await requestJson(api.baseUrl, '/snapshots', { token });
+    assert.equal(list.status, 200, list.text);
+    assert.equal(list.body.user, 'Kasir Mock');
+    assert.equal(list.body.count, 2);
+    const [newest, oldest] = list.body.snapshots;
+    assert.equal(newest.rowCount, 3);
+
+    const diff = await requestJson(api.baseUrl, `/snapshots/diff?from=${oldest.id}`, { token });
+    assert.equal(diff.status, 200, diff.text);
+    assert.equal(diff.body.to.id, newest.id);
+    assert.equal(diff.body.keyField, 'No');
+    assert.deepEqual(diff.body.added.map((row) => row.Produk), ['Es Teh']);
+    assert.deepEqual(diff.body.removed.map((row) => row.Produk), ['Teh Manis']);
+    assert.deepEqual(diff.body.modified[0].changes.map((change) => change.field), ['Qty', 'Total']);
+    assert.equal(diff.body.totalTransaksi.delta, 0);
+
+    const one = await requestJson(api.baseUrl, `/snapshots/${oldest.id}`, { token });
+    assert.equal(one.status, 200, one.text);
+    assert.equal(one.body.data.length, 3);
+    assert.deepEqual(one.body.headers, mock.config.headers);
+
+    const missing = await requestJson(api.baseUrl, '/snapshots/snap_0_00000000', { token });
+    assertErrorShape(missing, 404, 'SNAPSHOT_NOT_FOUND');
+  });
+
+  it('403 SNAPSHOT_OWNER_UNKNOWN when two tokens both show an empty user', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const owned = await requestJson(api.baseUrl, '/snapshots', {
+      token: signGasToken(mock.issueToken(mock.config.users[0])),
+    });
+    const ownedId = owned.body.snapshots[0].id;
+    const tokens = ['a@example.com', 'b@example.com'].map((email) =>
+      signGasToken(mock.issueToken({ email, password: 'x', name: '' }))
+    );
+
+    for (const token of tokens) {
+      const dashboard = await requestJson(api.baseUrl, '/dashboard', { token });
+      assert.equal(dashboard.status, 200, dashboard.text);
+      assert.equal(dashboard.body.user, '');
+    }
+    const skipped = api.getLogs().filter((entry) => entry.event === 'SNAPSHOT_SKIPPED');
+    assert.equal(skipped.length, 2);
+    assert.ok(skipped.every((entry) => entry.reason === 'USER_UNKNOWN'));
+
+    for (const token of tokens) {
+      assertErrorShape(await requestJson(api.baseUrl, '/snapshots', { token }), 403, 'SNAPSHOT_OWNER_UNKNOWN');
+      assertErrorShape(await requestJson(api.baseUrl, `/snapshots/${ownedId}`, { token }), 403, 'SNAPSHOT_OWNER_UNKNOWN');
+      assertErrorShape(
+        await requestJson(api.baseUrl, `/snapshots/diff?from=${ownedId}`, { token }),
+        403,
+        'SNAPSHOT_OWNER_UNKNOWN'
+      );
+    }
+  });
+});
+
+describe('scheduled jobs', () => {
+  const ADMIN = { 'X-Admin-Token': 'test-admin-token' };
+  let mock;
+  let api;
+  let token;
+
+  before(async () => {
+    mock = await startMockGas();
+    token = signGasToken(mock.issueToken(mock.config.users[0]));
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      ADMIN_TOKEN: 'test-admin-token',
+      SCHEDULER_JOBS: JSON.stringify([{ id: 'toko-utama', cron: '0 0 1 1 *', token }]),
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('401 ADMIN_UNAUTHORIZED without the admin header', async () => {
+    const res = await requestJson(api.baseUrl, '/jobs');
+    assertErrorShape(res, 401, 'ADMIN_UNAUTHORIZED');
+  });
+
+  it('lists jobs without exposing tokens', async () => {
+    const res = await requestJson(api.baseUrl, '/jobs', { headers: ADMIN });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.jobs[0].id, 'toko-utama');
+    assert.equal(res.body.jobs[0].cron, '0 0 1 1 *');
+    assert.ok(res.body.jobs[0].nextRunAt);
+    assert.equal(res.body.jobs[0].credential.type, 'session');
+    assert.equal(res.body.jobs[0].credential.expired, false);
+    assert.ok(Date.parse(res.body.jobs[0].credential.expiresAt) > Date.now());
+    assert.ok(!res.text.includes(token));
+    const warned = api.getLogs().find((entry) => entry.event === 'JOB_SESSION_TOKEN');
+    assert.equal(warned.jobId, 'toko-utama');
+    assert.equal(warned.expiresAt, res.body.jobs[0].credential.expiresAt);
+  });
+
+  it('runs a job on demand and warms the dashboard cache', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const run = await requestJson(api.baseUrl, '/jobs/toko-utama/run', { method: 'POST', headers: ADMIN });
+    assert.equal(run.status, 200, run.text);
+    assert.equal(run.body.job.lastStatus, 'ok');
+    assert.equal(run.body.job.lastTrigger, 'manual');
+    assert.equal(run.body.job.lastResult.rowCount, mock.config.rows.length);
+    assert.equal(run.body.job.lastResult.periode, 'Februari 2026');
+
+    const dashboard = await requestJson(api.baseUrl, '/dashboard', { token });
+    assert.equal(dashboard.headers.get('x-cache'), 'HIT');
+    assert.ok(api.getLogs().some((entry) => entry.event === 'JOB_SUCCESS' && entry.jobId === 'toko-utama'));
+  });
+
+  it('502 JOB_RUN_FAILED when the manual run fails', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    mock.expireAllTokens();
+    const run = await requestJson(api.baseUrl, '/jobs/toko-utama/run', { method: 'POST', headers: ADMIN });
+    assert.equal(run.status, 502, run.text);
+    assert.equal(run.body.success, false);
+    assert.equal(run.body.code, 'JOB_RUN_FAILED');
+    assert.equal(run.body.errorCode, 'TOKEN_INVALID');
+    assert.equal(run.body.job.lastStatus, 'error');
+    assert.equal(run.body.job.lastError.code, 'TOKEN_INVALID');
+  });
+
+  it('404 JOB_NOT_FOUND for an unknown job', async () => {
+    const res = await requestJson(api.baseUrl, '/jobs/tidak-ada/run', { method: 'POST', headers: ADMIN });
+    assertErrorShape(res, 404, 'JOB_NOT_FOUND');
+  });
+});
+
+describe('webhooks', () => {
+  const ADMIN = { 'X-Admin-Token': 'test-admin-token' };
+  const SECRET = 'rahasia-webhook-123';
+  let mock;
+  let api;
+  let dir;
+  let receiver;
+  let receiverUrl;
+  const received = [];
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-api-'));
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.end('ok');
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      ADMIN_TOKEN: 'test-admin-token',
+      WEBHOOK_STORE_PATH: path.join(dir, 'webhooks.json'),
+      WEBHOOK_RETRY_BASE_MS: '10',
+      LOGIN_FAILURE_ALERT_THRESHOLD: '2',
+      LOGIN_RATE_LIMIT_MAX: '1000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+    await new Promise((resolve) => receiver.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function waitForEvent(type) {
+    const startedAt = Date.now();
+    for (;;) {
+      const found = received.find((item) => item.headers['x-webhook-event'] === type);
+      if (found) return found;
+      if (Date.now() - startedAt > 5000) throw new Error(`Event ${type} tidak diterima.`);
+      await new Promise((resolve) => setTimeout(resolve, 25));
+    }
+  }
+
+  it('422 INVALID_WEBHOOK for an unknown event type', async () => {
+    const res = await requestJson(api.baseUrl, '/webhooks', {
+      method: 'POST',
+      headers: ADMIN,
+      body: { url: receiverUrl, secret: SECRET, events: ['dashboard.hilang'] },
+    });
+    assertErrorShape(res, 422, 'INVALID_WEBHOOK');
+  });
+
+  it('delivers signed change events and replays a delivery', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const created = await requestJson(api.baseUrl, '/webhooks', {
+      method: 'POST',
+      headers: ADMIN,
+      body: { url: receiverUrl, secret: SECRET, events: ['rows.added', 'rows.removed', 'login.failed'] },
+    });
+    assert.equal(created.status, 201, created.text);
+    assert.equal(created.body.webhook.secret, undefined);
+    const webhookId = created.body.webhook.id;
+
+    const token = signGasToken(mock.issueToken(mock.config.users[0]));
+    const first = await requestJson(api.baseUrl, '/dashboard', { token });
+    assert.equal(first.status, 200, first.text);
+
+    mock.configure({ rows: [...mock.config.rows, ['4', '18/02/2026', 'Budi', 'Es Teh', '2', 'Rp 10.000']] });
+    const second = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+    assert.equal(second.status, 200, second.text);
+
+    const delivery = await waitForEvent('rows.added');
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.data.user, 'Kasir Mock');
+    assert.deepEqual(event.data.rows.map((row) => row.Produk), ['Es Teh']);
+    const expected = crypto
+      .createHmac('sha256', SECRET)
+      .update(`${delivery.headers['x-webhook-timestamp']}.${delivery.body}`)
+      .digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(received.some((item) => item.headers['x-webhook-event'] === 'rows.removed'), false);
+
+    const log = await requestJson(api.baseUrl, `/webhooks/${webhookId}/deliveries`, { headers: ADMIN });
+    assert.equal(log.status, 200, log.text);
+    assert.equal(log.body.deliveries[0].status, 'success');
+    assert.equal(log.body.deliveries[0].body, undefined);
+
+    const replay = await requestJson(api.baseUrl, `/webhooks/deliveries/${log.body.deliveries[0].id}/replay`, {
+      method: 'POST',
+      headers: ADMIN,
+    });
+    assert.equal(replay.status, 202, replay.text);
+    assert.equal(replay.body.delivery.replayOf, log.body.deliveries[0].id);
+  });
+
+  it('alerts on repeated login failures', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    for (let i = 0; i < 2; i += 1) {
+      const res = await requestJson(api.baseUrl, '/auth/login', {
+        method: 'POST',
+        body: { email: VALID_CREDENTIALS.email, password: 'salah' },
+      });
+      assertErrorShape(res, 401, 'LOGIN_FAILED');
+    }
+    const delivery = await waitForEvent('login.failed');
+    const event = JSON.parse(delivery.body);
+    assert.equal(event.data.failures, 2);
+    assert.equal(event.data.user, event.data.email);
+    assert.ok(!delivery.body.includes(VALID_CREDENTIALS.email));
+  });
+
+  it('404 WEBHOOK_NOT_FOUND when deleting twice', async () => {
+    const created = await requestJson(api.baseUrl, '/webhooks', {
+      method: 'POST',
+      headers: ADMIN,
+      body: { url: receiverUrl, secret: SECRET, events: ['*'] },
+    });
+    const { webhook } = created.body;
+    const removed = await requestJson(api.baseUrl, `/webhooks/${webhook.id}`, { method: 'DELETE', headers: ADMIN });
+    assert.equal(removed.status, 200, removed.text);
+    const again = await requestJson(api.baseUrl, `/webhooks/${webhook.id}`, { method: 'DELETE', headers: ADMIN });
+    assertErrorShape(again, 404, 'WEBHOOK_NOT_FOUND');
+  });
+});
+
+function openEventStream(baseUrl, pathname, headers = {}) {
+  const events = [];
+  const waiters = [];
+  let buffer = '';
+  const stream = { events, status: null, request: null, ended: false };
+
+  function notify() {
+    for (const waiter of waiters.slice()) waiter();
+  }
+
+  stream.ready = new Promise((resolve, reject) => {
+    stream.request = http.get(new URL(pathname, baseUrl), { headers }, (res) => {
+      stream.status = res.statusCode;
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+          const event = {};
+          for (const line of block.split('\n')) {
+            const match = line.match(/^(id|event|data): (.*)$/);
+            if (match) event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+          }
+          if (event.event) events.push(event);
+        }
+        notify();
+      });
+      res.on('end', () => {
+        stream.ended = true;
+        notify();
+      });
+      resolve(res);
+    });
+    stream.request.on('error', reject);
+  });
+
+  stream.waitFor = (type, timeoutMs = 20000) =>
+    new Promise((resolve, reject) => {
+      const check = () => {
+        const found = events.find((event) => event.event === type);
+        if (!found) return;
+        clearTimeout(timer);
+        waiters.splice(waiters.indexOf(check), 1);
+        resolve(found);
+      };
+      const timer = setTimeout(() => {
+        waiters.splice(waiters.indexOf(check), 1);
+        reject(new Error(`Event ${type} tidak diterima.`));
+      }, timeoutMs);
+      waiters.push(check);
+      check();
+    });
+  stream.close = () => stream.request.destroy();
+  return stream;
+}
+
+describe('dashboard stream', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      DASHBOARD_STREAM_INTERVAL_MS: '200',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('401 TOKEN_INVALID before opening the stream', async () => {
+    const res = await requestJson(api.baseUrl, '/dashboard/stream?token=bukan-token');
+    assertErrorShape(res, 401, 'TOKEN_INVALID');
+  });
+
+  it('pushes a snapshot, then row changes, and resumes with Last-Event-ID', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const token = signGasToken(mock.issueToken(mock.config.users[0]));
+    const first = openEventStream(api.baseUrl, `/dashboard/stream?token=${encodeURIComponent(token)}`);
+    const res = await first.ready;
+    assert.equal(first.status, 200);
+    assert.match(res.headers['content-type'], /^text\/event-stream/);
+
+    const snapshot = await first.waitFor('snapshot');
+    assert.equal(snapshot.data.user, 'Kasir Mock');
+    assert.equal(snapshot.data.data.length, mock.config.rows.length);
+
+    mock.configure({ rows: [...mock.config.rows, ['4', '18/02/2026', 'Budi', 'Es Teh', '2', 'Rp 10.000']] });
+    const added = await first.waitFor('rows.added');
+    assert.deepEqual(added.data.rows.map((row) => row.Produk), ['Es Teh']);
+    assert.equal(first.events.filter((event) => event.event === 'snapshot').length, 1);
+
+    const second = openEventStream(api.baseUrl, '/dashboard/stream', {
+      Authorization: `Bearer ${token}`,
+      'Last-Event-ID': snapshot.id,
+    });
+    await second.waitFor('rows.added');
+    assert.equal(second.events[0].event, 'rows.added');
+
+    first.close();
+    second.close();
+    const startedAt = Date.now();
+    while (!/STREAM_CHANNEL_STOPPED/.test(api.getOutput()) && Date.now() - startedAt < 5000) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+    }
+    assert.equal((api.getOutput().match(/STREAM_CHANNEL_STARTED/g) || []).length, 1);
+    assert.match(api.getOutput(), /STREAM_CHANNEL_STOPPED/);
+  });
+});
+
+describe('structured logging', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      LOG_LEVEL: 'debug',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('generates a request id when the client sends none', async () => {
+    const res = await requestJson(api.baseUrl, '/session/status', { headers: { 'X-Request-Id': 'bukan id yang valid!' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('tags every entry of a request with its id and redacts secrets', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const login = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: VALID_CREDENTIALS,
+      headers: { 'X-Request-Id': 'req-login-1' },
+    });
+    assert.equal(login.status, 200, login.text);
+    assert.equal(login.headers.get('x-request-id'), 'req-login-1');
+
+    const dashboard = await requestJson(api.baseUrl, '/dashboard?fresh=1', {
+      token: login.body.token,
+      headers: { 'X-Request-Id': 'req-dash-1' },
+    });
+    assert.equal(dashboard.status, 200, dashboard.text);
+
+    const logs = api.getLogs();
+    const loginLogs = logs.filter((entry) => entry.requestId === 'req-login-1');
+    const success = loginLogs.find((entry) => entry.event === 'LOGIN_SUCCESS');
+    assert.equal(success.level, 'info');
+    assert.equal(success.email, 'k***@example.com');
+    assert.equal(typeof success.ip, 'string');
+    assert.deepEqual(
+      loginLogs.filter((entry) => entry.event === 'PLAYWRIGHT_PHASE').map((entry) => entry.phase),
+      ['navigation', 'frame_wait', 'login_submit']
+    );
+    const access = loginLogs.find((entry) => entry.event === 'HTTP_REQUEST');
+    assert.equal(access.route, '/auth/login');
+    assert.equal(access.status, 200);
+    assert.equal(typeof access.durationMs, 'number');
+
+    const dashboardPhases = logs
+      .filter((entry) => entry.requestId === 'req-dash-1' && entry.event === 'PLAYWRIGHT_PHASE')
+      .map((entry) => entry.phase);
+    assert.deepEqual(dashboardPhases, ['navigation', 'frame_wait', 'table_ready', 'extraction']);
+
+    const output = api.getOutput();
+    assert.ok(!output.includes(VALID_CREDENTIALS.password), 'password bocor ke log');
+    assert.ok(!output.includes(login.body.token), 'session token bocor ke log');
+  });
+
+  it('logs failures with the error code', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const res = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: { email: VALID_CREDENTIALS.email, password: 'salah-banget' },
+      headers: { 'X-Request-Id': 'req-login-2' },
+    });
+    assert.equal(res.status, 401, res.text);
+    const failed = api.getLogs().find((entry) => entry.requestId === 'req-login-2' && entry.event === 'LOGIN_FAILED');
+    assert.equal(failed.level, 'warn');
+    assert.equal(failed.code, 'LOGIN_INVALID_CREDENTIALS');
+    assert.ok(!api.getOutput().includes('salah-banget'));
+  });
+});
+
+describe('failure forensics', () => {
+  const ADMIN = { 'X-Admin-Token': 'test-admin-token' };
+  let mock;
+  let api;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'forensics-api-'));
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      ADMIN_TOKEN: 'test-admin-token',
+      FORENSICS_ENABLED: 'true',
+      FORENSICS_DIR: dir,
+      NAVIGATION_TIMEOUT_MS: '2000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('401 ADMIN_UNAUTHORIZED without the admin header', async () => {
+    const res = await requestJson(api.baseUrl, '/forensics');
+    assertErrorShape(res, 401, 'ADMIN_UNAUTHORIZED');
+  });
+
+  it('references the bundle in the error and serves it to admins', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const gasToken = mock.issueToken(mock.config.users[0]);
+    mock.configure({ dashboardDelayMs: 6000 });
+    const failed = await requestJson(api.baseUrl, '/dashboard', { token: signGasToken(gasToken) });
+    mock.configure({ dashboardDelayMs: 0 });
+    assert.equal(failed.status, 504, failed.text);
+    assert.equal(failed.body.code, 'DASHBOARD_TIMEOUT');
+    assert.match(failed.body.artifactId, /^art_[0-9a-z]+_[0-9a-f]{8}$/);
+    const { artifactId } = failed.body;
+
+    const list = await requestJson(api.baseUrl, '/forensics', { headers: ADMIN });
+    assert.equal(list.status, 200, list.text);
+    assert.deepEqual(list.body.artifacts.map((artifact) => artifact.id), [artifactId]);
+
+    const detail = await requestJson(api.baseUrl, `/forensics/${artifactId}`, { headers: ADMIN });
+    assert.equal(detail.body.artifact.operation, 'dashboard');
+    assert.equal(detail.body.artifact.code, 'TIMEOUT');
+    assert.ok(detail.body.artifact.files.some((file) => file.name === 'screenshot.png'));
+
+    const download = await fetch(`${api.baseUrl}/forensics/${artifactId}/download`, { headers: ADMIN });
+    assert.equal(download.status, 200);
+    assert.equal(download.headers.get('content-type'), 'application/zip');
+    assert.match(download.headers.get('content-disposition'), new RegExp(`${artifactId}\\.zip`));
+    const zip = Buffer.from(await download.arrayBuffer());
+    assert.equal(zip.readUInt32LE(0), 0x04034b50);
+
+    const stored = fs
+      .readdirSync(path.join(dir, artifactId))
+      .filter((name) => name !== 'screenshot.png')
+      .map((name) => fs.readFileSync(path.join(dir, artifactId, name), 'utf8'))
+      .join('\n');
+    assert.ok(!stored.includes(gasToken), 'token GAS tersimpan di bundle');
+
+    const missing = await requestJson(api.baseUrl, '/forensics/art_0_00000000', { headers: ADMIN });
+    assertErrorShape(missing, 404, 'ARTIFACT_NOT_FOUND');
+  });
+
+  it('does not capture wrong-password logins by default', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const before = fs.readdirSync(dir).length;
+    const res = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: { email: VALID_CREDENTIALS.email, password: 'salah' },
+    });
+    assertErrorShape(res, 401, 'LOGIN_FAILED');
+    assert.equal(fs.readdirSync(dir).length, before);
+  });
+});
+
+describe('upstream retry and circuit breaker', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      NAVIGATION_TIMEOUT_MS: '1500',
+      GAS_RETRY_MAX: '1',
+      GAS_RETRY_BASE_MS: '50',
+      CIRCUIT_BREAKER_FAILURE_THRESHOLD: '2',
+      CIRCUIT_BREAKER_RESET_MS: '2000',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('never retries a wrong password', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const res = await requestJson(api.baseUrl, '/auth/login', {
+      method: 'POST',
+      body: { email: VALID_CREDENTIALS.email, password: 'salah' },
+      headers: { 'X-Request-Id': 'req-wrong-password' },
+    });
+    assertErrorShape(res, 401, 'LOGIN_FAILED');
+    const retries = api.getLogs().filter((entry) => entry.event === 'GAS_RETRY');
+    assert.deepEqual(retries, []);
+  });
+
+  it('retries timeouts, opens the breaker, then recovers through a probe', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const token = signGasToken(mock.issueToken(mock.config.users[0]));
+    mock.configure({ dashboardDelayMs: 5000 });
+    const slow = await requestJson(api.baseUrl, '/dashboard?fresh=1', {
+      token,
+      headers: { 'X-Request-Id': 'req-slow' },
+    });
+    assertErrorShape(slow, 504, 'DASHBOARD_TIMEOUT');
+    const retry = api.getLogs().find((entry) => entry.event === 'GAS_RETRY');
+    assert.equal(retry.requestId, 'req-slow');
+    assert.equal(retry.operation, 'dashboard');
+    assert.equal(retry.code, 'TIMEOUT');
+    assert.equal(retry.attempt, 1);
+
+    const startedAt = Date.now();
+    const rejected = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+    assertErrorShape(rejected, 503, 'UPSTREAM_UNAVAILABLE');
+    assert.ok(Date.now() - startedAt < 1000, 'breaker terbuka harus menolak cepat');
+    assert.ok(Number(rejected.headers.get('retry-after')) >= 1);
+    const login = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: VALID_CREDENTIALS });
+    assertErrorShape(login, 503, 'UPSTREAM_UNAVAILABLE');
+
+    const health = await requestJson(api.baseUrl, '/health');
+    assert.equal(health.body.circuitBreaker.state, 'open');
+    assert.equal(health.body.circuitBreaker.lastFailure.code, 'TIMEOUT');
+    assert.equal(health.body.circuitBreaker.name, undefined);
+    const metricsText = (await requestJson(api.baseUrl, '/metrics')).text;
+    assert.match(metricsText, /^gas_retries_total\{store="default",operation="dashboard",code="TIMEOUT"\} 1$/m);
+    assert.match(metricsText, /^gas_circuit_breaker_state\{store="default"\} 2$/m);
+
+    mock.configure({ dashboardDelayMs: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 2000));
+    const recovered = await requestJson(api.baseUrl, '/dashboard?fresh=1', { token });
+    assert.equal(recovered.status, 200, recovered.text);
+    const healed = await requestJson(api.baseUrl, '/health');
+    assert.equal(healed.body.circuitBreaker.state, 'closed');
+    assert.equal(healed.body.circuitBreaker.opens, 1);
+    assert.ok(api.getLogs().some((entry) => entry.event === 'CIRCUIT_BREAKER_STATE' && entry.to === 'half_open'));
+  });
+});
+
+describe('readiness probe', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      READINESS_PROBE_ENABLED: 'true',
+      READINESS_PROBE_TTL_MS: '1000',
+      READINESS_PROBE_TIMEOUT_MS: '1500',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('caches the login-form probe and reports failures until it recovers', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const ready = await requestJson(api.baseUrl, '/health/ready');
+    assert.equal(ready.status, 200, ready.text);
+    assert.equal(ready.body.checks.gasLoginForm.status, 'ok');
+    assert.equal(ready.body.checks.gasLoginForm.cached, false);
+
+    const pageViews = mock.stats.pageViews;
+    const cached = await requestJson(api.baseUrl, '/health/ready');
+    assert.equal(cached.body.checks.gasLoginForm.cached, true);
+    assert.equal(mock.stats.pageViews, pageViews);
+
+    mock.configure({ pageDelayMs: 5000 });
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const broken = await requestJson(api.baseUrl, '/health/ready');
+    assert.equal(broken.status, 503, broken.text);
+    assert.equal(broken.body.code, 'NOT_READY');
+    assert.equal(broken.body.status, 'not_ready');
+    assert.equal(broken.body.checks.browser.status, 'ok');
+    assert.equal(broken.body.checks.gasLoginForm.status, 'fail');
+    assert.equal(broken.body.checks.gasLoginForm.lastFailure.code, 'TIMEOUT');
+    const live = await requestJson(api.baseUrl, '/health/live');
+    assert.equal(live.status, 200);
+    assert.ok(api.getLogs().some((entry) => entry.event === 'READINESS_CHECK_FAILED' && entry.check === 'gasLoginForm'));
+
+    mock.configure({ pageDelayMs: 0 });
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const recovered = await requestJson(api.baseUrl, '/health/ready');
+    assert.equal(recovered.status, 200, recovered.text);
+    assert.equal(recovered.body.checks.gasLoginForm.lastFailure.code, 'TIMEOUT');
+  });
+});
+
+describe('extraction profile', () => {
+  let mock;
+  let api;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-api-'));
+    fs.writeFileSync(
+      path.join(dir, 'toko.yaml'),
+      ['name: toko-uji', 'dashboard:', '  fields:', '    periode:', "      pattern: 'periode\\s*:\\s*\\S+\\s+(\\d{4})'", ''].join('\n')
+    );
+    mock = await startMockGas();
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mock.appsScriptUrl,
+      EXTRACTION_PROFILE_PATH: path.join(dir, 'toko.yaml'),
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses to start with an invalid profile', async () => {
+    const invalidPath = path.join(dir, 'salah.yaml');
+    fs.writeFileSync(invalidPath, "login:\n  submit: '#loginBtn'\n");
+    await assert.rejects(
+      startApiServer({ APPS_SCRIPT_URL: mock.appsScriptUrl, EXTRACTION_PROFILE_PATH: invalidPath }),
+      /keluar lebih awal[\s\S]*Field profil ekstraksi tidak dikenal: login.submit/
+    );
+  });
+
+  it('applies the profile to dashboard extraction', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const loaded = api.getLogs().find((entry) => entry.event === 'EXTRACTION_PROFILE_LOADED');
+    assert.equal(loaded.name, 'toko-uji');
+
+    const res = await requestJson(api.baseUrl, '/dashboard', { token: signGasToken(mock.issueToken(mock.config.users[0])) });
+    assert.equal(res.status, 200, res.text);
+    assert.equal(res.body.periode, '2026');
+    assert.equal(res.body.user, 'Kasir Mock');
+  });
+});
+
+describe('multi-store', () => {
+  let mainMock;
+  let branchMock;
+  let api;
+
+  before(async () => {
+    mainMock = await startMockGas();
+    branchMock = await startMockGas({
+      users: [{ email: 'kasir@example.com', password: 'rahasia', name: 'Kasir Cabang' }],
+      periode: 'Maret 2026',
+    });
+    api = await startApiServer({
+      APPS_SCRIPT_URL: mainMock.appsScriptUrl,
+      DEFAULT_STORE_NAME: 'Toko Utama',
+      STORES: JSON.stringify({ cabang: { name: 'Cabang Bandung', baseUrl: branchMock.appsScriptUrl } }),
+      LOGIN_RATE_LIMIT_MAX: '2',
+    });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mainMock.close();
+    await branchMock.close();
+  });
+
+  it('refuses to start with an invalid store list', async () => {
+    await assert.rejects(
+      startApiServer({ APPS_SCRIPT_URL: mainMock.appsScriptUrl, STORES: JSON.stringify({ 'Toko A': {} }) }),
+      /keluar lebih awal[\s\S]*Id toko "Toko A" tidak valid/
+    );
+    await assert.rejects(
+      startApiServer({
+        APPS_SCRIPT_URL: mainMock.appsScriptUrl,
+        SCHEDULER_JOBS: JSON.stringify([{ id: 'cabang', cron: '0 * * * *', token: 'gps1.x.y', store: 'cabang' }]),
+      }),
+      /keluar lebih awal[\s\S]*Job "cabang": toko "cabang" tidak terdaftar di STORES/
+    );
+  });
+
+  it('lists stores without exposing their Apps Script URL', async () => {
+    const res = await requestJson(api.baseUrl, '/stores');
+    assert.equal(res.status, 200, res.text);
+    assert.deepEqual(
+      res.body.stores.map(({ circuitBreaker, ...store }) => store),
+      [
+        { id: 'default', name: 'Toko Utama', isDefault: true },
+        { id: 'cabang', name: 'Cabang Bandung', isDefault: false },
+      ]
+    );
+    assert.equal(res.body.stores[1].circuitBreaker.state, 'closed');
+    assert.doesNotMatch(res.text, /macros/);
+
+    assertErrorShape(await requestJson(api.baseUrl, '/stores/gudang/dashboard'), 404, 'STORE_NOT_FOUND');
+  });
+
+  it('rejects session tokens on a store other than the issuer', async () => {
+    const defaultToken = signGasToken('gas-token');
+    const branchToken = signGasToken('gas-token', { storeId: 'cabang' });
+    assertErrorShape(
+      await requestJson(api.baseUrl, '/stores/cabang/dashboard', { token: defaultToken }),
+      401,
+      'TOKEN_STORE_MISMATCH'
+    );
+    assertErrorShape(await requestJson(api.baseUrl, '/dashboard', { token: branchToken }), 401, 'TOKEN_STORE_MISMATCH');
+
+    const status = await requestJson(api.baseUrl, '/stores/cabang/session/status', { token: branchToken });
+    assert.equal(status.body.authenticated, true);
+    assert.equal(status.body.store, 'cabang');
+  });
+
+  it('rate limits logins per store', async () => {
+    const headers = { 'X-Forwarded-For': '203.0.113.7' };
+    const body = { email: '', password: '' };
+    for (let i = 0; i < 2; i += 1) {
+      const res = await requestJson(api.baseUrl, '/stores/cabang/auth/login', { method: 'POST', body, headers });
+      assert.equal(res.status, 422, res.text);
+    }
+    const limited = await requestJson(api.baseUrl, '/stores/cabang/auth/login', { method: 'POST', body, headers });
+    assert.equal(limited.status, 429, limited.text);
+
+    const other = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body, headers });
+    assert.equal(other.status, 422, other.text);
+  });
+
+  it('logs in and scrapes each store from its own deployment', { skip: NEEDS_BROWSER, timeout: 60000 }, async () => {
+    const login = await requestJson(api.baseUrl, '/stores/cabang/auth/login', {
+      method: 'POST',
+      body: VALID_CREDENTIALS,
+      headers: { 'X-Forwarded-For': '203.0.113.8' },
+    });
+    assert.equal(login.status, 200, login.text);
+
+    const branch = await requestJson(api.baseUrl, '/stores/cabang/dashboard', { token: login.body.token });
+    assert.equal(branch.status, 200, branch.text);
+    assert.equal(branch.body.user, 'Kasir Cabang');
+    assert.equal(branch.body.periode, 'Maret 2026');
+    assert.equal(mainMock.stats.pageViews, 0);
+
+    const main = await requestJson(api.baseUrl, '/dashboard', {
+      token: signGasToken(mainMock.issueToken(mainMock.config.users[0])),
+    });
+    assert.equal(main.status, 200, main.text);
+    assert.equal(main.body.user, 'Kasir Mock');
+    assertErrorShape(
+      await requestJson(api.baseUrl, '/dashboard', { token: login.body.token }),
+      401,
+      'TOKEN_STORE_MISMATCH'
+    );
+
+    const metrics = await requestJson(api.baseUrl, '/metrics');
+    assert.match(metrics.text, /^gas_login_total\{store="cabang",source="login",code="SUCCESS"\} 1$/m);
+    assert.match(
+      metrics.text,
+      /^http_requests_total\{store="cabang",method="GET",route="\/stores\/:storeId\/dashboard",status="200"\} 1$/m
+    );
+    assert.match(metrics.text, /^gas_circuit_breaker_state\{store="cabang"\} 0$/m);
+  });
+});
+
+describe('RPC mode', () => {
+  let mock;
+  let api;
+
+  before(async () => {
+    mock = await startMockGas();
+    api = await startApiServer({ APPS_SCRIPT_URL: mock.appsScriptUrl, GAS_MODE: 'rpc' });
+  });
+
+  after(async () => {
+    await api.stop();
+    await mock.close();
+  });
+
+  it('refuses to start with an unknown GAS_MODE', async () => {
+    await assert.rejects(
+      startApiServer({ APPS_SCRIPT_URL: mock.appsScriptUrl, GAS_MODE: 'api' }),
+      /keluar lebih awal[\s\S]*Mode GAS "api" tidak dikenal/
+    );
+  });
+
+  it('logs in through google.script.run and keeps the dashboard on the DOM by default', { skip: NEEDS_BROWSER, timeout: 30000 }, async () => {
+    const login = await requestJson(api.baseUrl, '/auth/login', { method: 'POST', body: VALID_CREDENTIALS });
+    assert.equal(login.status, 200, login.text);
+    const dashboard = await requestJson(api.baseUrl, '/dashboard', { token: login.body.token });
+    assert.equal(dashboard.status, 200, dashboard.text);
+    assert.equal(dashboard.body.source, 'table');
+    assert.equal(dashboard.body.user, 'Kasir Mock');
+    assert.equal(dashboard.body.rowCount, mock.config.rows.length);
+
+    const success = api.getLogs().find((entry) => entry.event === 'LOGIN_SUCCESS');
+    assert.equal(success.mode, 'rpc');
+    assert.equal(api.getLogs().find((entry) => entry.event === 'EXTRACTION_PROFILE_LOADED').mode, 'rpc');
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isSessionToken, createSessionTokenCodec } = require('../core/session-token');
+
+describe('createSessionTokenCodec', () => {
+  it('round-trips the GAS token, user and lifetime', () => {
+    let current = 1000000;
+    const codec = createSessionTokenCodec({ secret: 's3cret', ttlMs: 60000, now: () => current });
+    const issued = codec.issue({ gasToken: 'gas-abc', user: 'k***@example.com', storeId: 'cabang' });
+    assert.ok(isSessionToken(issued.token));
+
+    current += 30000;
+    const verified = codec.verify(issued.token);
+    assert.equal(verified.ok, true);
+    assert.equal(verified.session.gasToken, 'gas-abc');
+    assert.equal(verified.session.user, 'k***@example.com');
+    assert.equal(verified.session.storeId, 'cabang');
+    assert.equal(verified.session.remainingSeconds, 30);
+    assert.equal(verified.session.expiresAt, issued.expiresAt);
+  });
+
+  it('reports TOKEN_EXPIRED after the lifetime', () => {
+    let current = 0;
+    const codec = createSessionTokenCodec({ secret: 's3cret', ttlMs: 1000, now: () => current });
+    const { token } = codec.issue({ gasToken: 'gas-abc' });
+    assert.equal(codec.verify(token).session.storeId, '');
+    current = 1000;
+    assert.equal(codec.verify(token).code, 'TOKEN_EXPIRED');
+  });
+
+  it('rejects tokens signed with another secret or not in envelope format', () => {
+    const codec = createSessionTokenCodec({ secret: 'a', ttlMs: 1000 });
+    const other = createSessionTokenCodec({ secret: 'b', ttlMs: 1000 });
+    assert.equal(codec.verify(other.issue({ gasToken: 'x' }).token).code, 'TOKEN_INVALID');
+    assert.equal(codec.verify('raw-token').code, 'TOKEN_INVALID');
+    assert.equal(codec.verify('gps1.onlytwo').code, 'TOKEN_INVALID');
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshotStore } = require('../core/snapshot-store');
+
+function dashboard(overrides = {}) {
+  return {
+    user: 'Kasir Mock',
+    periode: 'Februari 2026',
+    totalTransaksi: 73500,
+    rowCount: 1,
+    headers: ['No', 'Total'],
+    data: [{ No: '1', Total: 'Rp 73.500' }],
+    ...overrides,
+  };
+}
+
+describe('createSnapshotStore', () => {
+  let dir;
+  let clock;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    clock = Date.parse('2026-02-16T08:00:00Z');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('records snapshots and lists them newest first per user and periode', () => {
+    const store = createSnapshotStore({ dir, now: () => clock });
+    const first = store.record(dashboard());
+    clock += 60000;
+    const second = store.record(dashboard({ totalTransaksi: 80000 }));
+    store.record(dashboard({ periode: 'Maret 2026' }));
+    store.record(dashboard({ user: 'User Lain' }));
+
+    const listed = store.list({ user: 'Kasir Mock', periode: 'Februari 2026' });
+    assert.deepEqual(listed.map((meta) => meta.id), [second.id, first.id]);
+    assert.equal(listed[0].capturedAt, '2026-02-16T08:01:00.000Z');
+    assert.equal(store.list({ user: 'Kasir Mock' }).length, 3);
+    assert.deepEqual(store.get(first.id).data, [{ No: '1', Total: 'Rp 73.500' }]);
+  });
+
+  it('skips a snapshot identical to the latest one for the same key', () => {
+    const store = createSnapshotStore({ dir, now: () => clock });
+    const first = store.record(dashboard());
+    clock += 60000;
+    assert.equal(store.record(dashboard()), null);
+    assert.equal(createSnapshotStore({ dir, now: () => clock }).record(dashboard()), null);
+    const changed = store.record(dashboard({ totalTransaksi: 80000 }));
+    clock += 60000;
+    // Kembali ke isi lama tetap disimpan: pembandingnya snapshot terbaru, bukan semua riwayat.
+    const reverted = store.record(dashboard());
+    assert.ok(store.record(dashboard({ periode: 'Maret 2026' })));
+
+    assert.deepEqual(
+      store.list({ user: 'Kasir Mock', periode: 'Februari 2026' }).map((meta) => meta.id),
+      [reverted.id, changed.id, first.id]
+    );
+    assert.equal(fs.readdirSync(dir).length, 4);
+  });
+
+  it('reloads the index from disk', () => {
+    const meta = createSnapshotStore({ dir, now: () => clock }).record(dashboard());
+    const reopened = createSnapshotStore({ dir });
+    assert.equal(reopened.size(), 1);
+    assert.equal(reopened.get(meta.id).totalTransaksi, 73500);
+  });
+
+  it('keeps at most maxPerKey snapshots per user and periode', () => {
+    const store = createSnapshotStore({ dir, maxPerKey: 2, now: () => clock });
+    for (let i = 0; i < 4; i += 1) {
+      clock += 1000;
+      store.record(dashboard({ totalTransaksi: i }));
+    }
+    assert.deepEqual(store.list({ user: 'Kasir Mock' }).map((meta) => meta.totalTransaksi), [3, 2]);
+    assert.equal(fs.readdirSync(dir).length, 2);
+  });
+
+  it('separates stores and assigns the default store to untagged snapshots', () => {
+    const store = createSnapshotStore({ dir, maxPerKey: 1, defaultStore: 'default', now: () => clock });
+    const untagged = store.record(dashboard());
+    clock += 1000;
+    const cabang = store.record(dashboard({ store: 'cabang' }));
+
+    assert.equal(untagged.store, 'default');
+    assert.equal(cabang.store, 'cabang');
+    assert.deepEqual(store.list({ store: 'default' }).map((meta) => meta.id), [untagged.id]);
+    assert.deepEqual(store.list({ store: 'cabang', user: 'Kasir Mock' }).map((meta) => meta.id), [cabang.id]);
+  });
+
+  it('rejects ids that are not snapshot ids', () => {
+    const store = createSnapshotStore({ dir });
+    assert.equal(store.get('../refresh-tokens'), null);
+    assert.equal(store.get('snap_zz_00000000'), null);
+  });
+});
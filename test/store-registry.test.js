@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_STORE_ID, createStoreRegistry } = require('../core/store-registry');
+
+const DEFAULT_URL = 'https://script.google.com/macros/s/utama/exec';
+
+function createRegistry(stores) {
+  return createStoreRegistry({
+    defaultStore: { name: 'Toko Utama', baseUrl: DEFAULT_URL },
+    stores,
+    defaultTimeoutMs: 60000,
+  });
+}
+
+describe('createStoreRegistry', () => {
+  it('builds the default store plus configured stores', () => {
+    const registry = createRegistry({
+      cabang: { name: 'Cabang Bandung', baseUrl: 'https://script.google.com/macros/s/cabang/exec', timeoutMs: 90000 },
+      gudang: { baseUrl: 'http://127.0.0.1:3100/macros/s/gudang/exec' },
+    });
+
+    assert.equal(DEFAULT_STORE_ID, 'default');
+    assert.deepEqual(registry.defaultStore, {
+      id: 'default',
+      name: 'Toko Utama',
+      baseUrl: DEFAULT_URL,
+      timeoutMs: 60000,
+      isDefault: true,
+    });
+    assert.deepEqual(registry.get('cabang'), {
+      id: 'cabang',
+      name: 'Cabang Bandung',
+      baseUrl: 'https://script.google.com/macros/s/cabang/exec',
+      timeoutMs: 90000,
+      isDefault: false,
+    });
+    assert.equal(registry.get('gudang').name, 'gudang');
+    assert.equal(registry.get('gudang').timeoutMs, 60000);
+    assert.equal(registry.get('tidak-ada'), null);
+    assert.deepEqual(registry.list().map((store) => store.id), ['default', 'cabang', 'gudang']);
+    assert.equal(registry.size(), 3);
+  });
+
+  it('rejects invalid store definitions', () => {
+    const baseUrl = 'https://script.google.com/macros/s/lain/exec';
+    assert.throws(() => createRegistry([]), /harus berupa object dengan id toko/);
+    assert.throws(() => createRegistry({ default: { baseUrl } }), /Id toko "default" dipakai untuk APPS_SCRIPT_URL/);
+    assert.throws(() => createRegistry({ 'Toko A': { baseUrl } }), /Id toko "Toko A" tidak valid/);
+    assert.throws(() => createRegistry({ cabang: 'https://x' }), /Toko "cabang" harus berupa object/);
+    assert.throws(() => createRegistry({ cabang: { baseUrl, url: baseUrl } }), /field tidak dikenal url/);
+    assert.throws(() => createRegistry({ cabang: { baseUrl: 'ftp://x' } }), /baseUrl harus http atau https/);
+    assert.throws(() => createRegistry({ cabang: { baseUrl: 'bukan url' } }), /baseUrl tidak valid/);
+    assert.throws(() => createRegistry({ cabang: { baseUrl, timeoutMs: '5000' } }), /timeoutMs harus bilangan bulat positif/);
+    assert.throws(() => createRegistry({ cabang: { baseUrl, name: ' ' } }), /name harus berupa string/);
+    assert.throws(
+      () => createRegistry({ cabang: { baseUrl: DEFAULT_URL } }),
+      /Toko "cabang" memakai baseUrl yang sama dengan toko "default"/
+    );
+  });
+});
@@ -0,0 +1,175 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { signPayload, createWebhookManager } = require('../core/webhooks');
+
+const SECRET = 'rahasia-webhook-123';
+
+function startReceiver() {
+  const received = [];
+  const responses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = responses.length > 0 ? responses.shift() : 200;
+      res.end('ok');
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        responses,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const startedAt = Date.now();
+  while (!check()) {
+    if (Date.now() - startedAt > timeoutMs) throw new Error('Timeout menunggu kondisi.');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('createWebhookManager', () => {
+  let receiver;
+  let dir;
+
+  before(async () => {
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await receiver.close();
+  });
+
+  beforeEach(() => {
+    receiver.received.length = 0;
+    receiver.responses.length = 0;
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  });
+
+  it('validates subscriptions and never exposes the secret', () => {
+    const manager = createWebhookManager({ filePath: path.join(dir, 'webhooks.json') });
+    assert.throws(() => manager.subscribe({ url: 'ftp://x', secret: SECRET, events: ['*'] }), {
+      code: 'INVALID_WEBHOOK',
+    });
+    assert.throws(() => manager.subscribe({ url: receiver.url, secret: 'pendek', events: ['*'] }), {
+      code: 'INVALID_WEBHOOK',
+    });
+    assert.throws(() => manager.subscribe({ url: receiver.url, secret: SECRET, events: ['rows.hilang'] }), {
+      code: 'INVALID_WEBHOOK',
+    });
+
+    const webhook = manager.subscribe({ url: receiver.url, secret: SECRET, events: ['rows.added'] });
+    assert.equal(webhook.secret, undefined);
+    assert.equal(manager.list()[0].secret, undefined);
+
+    const reopened = createWebhookManager({ filePath: path.join(dir, 'webhooks.json') });
+    assert.equal(reopened.get(webhook.id).url, receiver.url);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('delivers signed events only to matching subscriptions', async () => {
+    const manager = createWebhookManager({});
+    manager.subscribe({ url: receiver.url, secret: SECRET, events: ['rows.added'] });
+    manager.subscribe({ url: receiver.url, secret: SECRET, events: ['*'], user: 'User Lain' });
+    manager.subscribe({ url: receiver.url, secret: SECRET, events: ['*'], store: 'cabang' });
+
+    const queued = manager.publish('rows.added', { store: 'default', user: 'Kasir Mock', rows: [{ No: '3' }] });
+    assert.equal(queued.length, 1);
+    assert.equal(manager.publish('total.changed', { store: 'default', user: 'Kasir Mock' }).length, 0);
+    await waitFor(() => manager.getDelivery(queued[0].id).status === 'success');
+
+    const [request] = receiver.received;
+    const event = JSON.parse(request.body);
+    assert.equal(event.type, 'rows.added');
+    assert.deepEqual(event.data.rows, [{ No: '3' }]);
+    assert.equal(request.headers['x-webhook-event'], 'rows.added');
+    assert.equal(request.headers['x-webhook-delivery'], queued[0].id);
+    assert.equal(
+      request.headers['x-webhook-signature'],
+      signPayload(SECRET, request.headers['x-webhook-timestamp'], request.body)
+    );
+  });
+
+  it('retries with exponential backoff and records the outcome', async () => {
+    const delays = [];
+    const manager = createWebhookManager({
+      retryBaseMs: 5,
+      maxAttempts: 3,
+      setTimer: (fn, ms) => {
+        delays.push(ms);
+        return setTimeout(fn, ms);
+      },
+    });
+    const webhook = manager.subscribe({ url: receiver.url, secret: SECRET, events: ['*'] });
+
+    receiver.responses.push(500, 503);
+    const [ok] = manager.publish('total.changed', { user: 'Kasir Mock', delta: 5 });
+    await waitFor(() => manager.getDelivery(ok.id).status !== 'pending');
+    assert.deepEqual(delays, [5, 10]);
+    assert.equal(manager.getDelivery(ok.id).status, 'success');
+    assert.equal(manager.getDelivery(ok.id).attempts, 3);
+
+    receiver.responses.push(500, 500, 500);
+    const [failed] = manager.publish('total.changed', { user: 'Kasir Mock', delta: 1 });
+    await waitFor(() => manager.getDelivery(failed.id).status !== 'pending');
+    assert.equal(manager.getDelivery(failed.id).status, 'failed');
+    assert.equal(manager.getDelivery(failed.id).lastStatusCode, 500);
+
+    const replayed = manager.replay(failed.id);
+    assert.equal(replayed.replayOf, failed.id);
+    assert.equal(replayed.eventId, failed.eventId);
+    await waitFor(() => manager.getDelivery(replayed.id).status === 'success');
+    assert.equal(receiver.received.at(-1).body, receiver.received.at(-2).body);
+
+    assert.deepEqual(
+      manager.listDeliveries({ webhookId: webhook.id }).map((delivery) => delivery.id),
+      [replayed.id, failed.id, ok.id]
+    );
+    assert.throws(() => manager.replay('dlv_tidak_ada'), { code: 'DELIVERY_NOT_FOUND' });
+  });
+
+  it('keeps the delivery log across restarts and resumes pending deliveries', async () => {
+    const filePath = path.join(dir, 'webhooks.json');
+    const manager = createWebhookManager({ filePath, retryBaseMs: 60000, setTimer: () => null });
+    manager.subscribe({ url: receiver.url, secret: SECRET, events: ['*'] });
+    const [delivered] = manager.publish('total.changed', { user: 'Kasir Mock', delta: 5 });
+    await waitFor(() => manager.getDelivery(delivered.id).status === 'success');
+    receiver.responses.push(500);
+    const [pending] = manager.publish('total.changed', { user: 'Kasir Mock', delta: 1 });
+    await waitFor(() => manager.getDelivery(pending.id).lastStatusCode === 500);
+
+    const delays = [];
+    const reopened = createWebhookManager({
+      filePath,
+      setTimer: (fn, ms) => {
+        delays.push(ms);
+        return setTimeout(fn, 0);
+      },
+    });
+    assert.equal(reopened.getDelivery(delivered.id).status, 'success');
+    assert.equal(delays.length, 1);
+    assert.ok(delays[0] > 0 && delays[0] <= 60000);
+    await waitFor(() => reopened.getDelivery(pending.id).status === 'success');
+    assert.equal(reopened.getDelivery(pending.id).attempts, 2);
+
+    const replayed = reopened.replay(delivered.id);
+    await waitFor(() => reopened.getDelivery(replayed.id).status === 'success');
+    assert.equal(receiver.received.at(-1).body, receiver.received[0].body);
+    assert.equal((fs.statSync(filePath).mode & 0o777).toString(8), '600');
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { crc32, buildZip } = require('../core/zip');
+const { buildXlsx } = require('../core/xlsx-writer');
+
+// Arsip dibaca dengan Info-ZIP `unzip` (pembaca independen yang memeriksa CRC) jika terpasang.
+const NEEDS_UNZIP = spawnSync('unzip', ['-v'], { stdio: 'ignore' }).status === 0 ? false : 'unzip tidak terpasang';
+
+describe('crc32', () => {
+  it('computes standard CRC-32 checksums', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+  });
+
+  it('matches zlib.crc32 when the runtime provides it', { skip: typeof zlib.crc32 !== 'function' }, () => {
+    const data = crypto.randomBytes(4096);
+    assert.equal(crc32(data), zlib.crc32(data));
+  });
+});
+
+describe('buildZip', () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-'));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeArchive(name, buffer) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  }
+
+  it('is deterministic for the same input', () => {
+    const files = [{ name: 'a.txt', data: 'halo' }];
+    assert.deepEqual(buildZip(files), buildZip(files));
+  });
+
+  it('produces archives that unzip verifies and extracts', { skip: NEEDS_UNZIP }, () => {
+    const binary = crypto.randomBytes(64 * 1024);
+    const filePath = writeArchive(
+      'bundle.zip',
+      buildZip([
+        { name: 'manifest.json', data: '{"id":"abc"}' },
+        { name: 'frames/userHtmlFrame.html', data: '<p>Kasir Mock</p>'.repeat(500) },
+        { name: 'screenshot.png', data: binary },
+        { name: 'empty.log', data: '' },
+      ])
+    );
+
+    const tested = execFileSync('unzip', ['-t', filePath], { encoding: 'utf8' });
+    assert.match(tested, /No errors detected/);
+    assert.deepEqual(execFileSync('unzip', ['-Z1', filePath], { encoding: 'utf8' }).trim().split('\n'), [
+      'manifest.json',
+      'frames/userHtmlFrame.html',
+      'screenshot.png',
+      'empty.log',
+    ]);
+    assert.equal(execFileSync('unzip', ['-p', filePath, 'manifest.json'], { encoding: 'utf8' }), '{"id":"abc"}');
+    assert.deepEqual(execFileSync('unzip', ['-p', filePath, 'screenshot.png'], { maxBuffer: 1024 * 1024 }), binary);
+    assert.equal(execFileSync('unzip', ['-p', filePath, 'empty.log'], { encoding: 'utf8' }), '');
+  });
+
+  it('produces XLSX containers that unzip accepts', { skip: NEEDS_UNZIP }, () => {
+    const filePath = writeArchive('data.xlsx', buildXlsx([{ name: 'Data', rows: [['No', 'Produk'], [1, 'Kopi']] }]));
+    assert.match(execFileSync('unzip', ['-t', filePath], { encoding: 'utf8' }), /No errors detected/);
+    const sheet = execFileSync('unzip', ['-p', filePath, 'xl/worksheets/sheet1.xml'], { encoding: 'utf8' });
+    assert.match(sheet, /<c r="A2"><v>1<\/v><\/c><c r="B2" t="inlineStr"><is><t xml:space="preserve">Kopi<\/t>/);
+  });
+});